@@ -0,0 +1,86 @@
+/**
+ * Measures the per-tick cost of clipboard change detection with a large image
+ * on the clipboard, comparing the old PNG-encode comparison with the current
+ * ClipboardMonitor path.
+ *
+ * Run with: npm run bench
+ * Note: this overwrites the current clipboard contents.
+ */
+const { app, clipboard, nativeImage } = require('electron');
+const ClipboardMonitor = require('../src/clipboard-monitor');
+
+const WIDTH = 5120;
+const HEIGHT = 2880;
+const TICKS = 20;
+
+function createLargeImage(seed) {
+  const bitmap = Buffer.alloc(WIDTH * HEIGHT * 4);
+  for (let i = 0; i < bitmap.length; i += 4) {
+    const pixel = i / 4;
+    bitmap[i] = (pixel * seed) & 0xff;
+    bitmap[i + 1] = (pixel >> 8) & 0xff;
+    bitmap[i + 2] = (pixel >> 16) & 0xff;
+    bitmap[i + 3] = 0xff;
+  }
+  return nativeImage.createFromBitmap(bitmap, { width: WIDTH, height: HEIGHT });
+}
+
+function measure(label, tick) {
+  const timings = [];
+  for (let i = 0; i < TICKS; i++) {
+    const start = process.hrtime.bigint();
+    tick();
+    timings.push(Number(process.hrtime.bigint() - start) / 1e6);
+  }
+
+  timings.sort((a, b) => a - b);
+  const mean = timings.reduce((sum, t) => sum + t, 0) / timings.length;
+  const p95 = timings[Math.min(timings.length - 1, Math.floor(timings.length * 0.95))];
+  console.log(`${label.padEnd(36)} mean ${mean.toFixed(1).padStart(8)}ms   p95 ${p95.toFixed(1).padStart(8)}ms`);
+}
+
+// The detection path before the monitor was reworked: read everything, PNG-encode both images
+function legacyTick(state) {
+  clipboard.readText();
+  const currentImage = clipboard.readImage();
+  const equal = !currentImage.isEmpty() && state.lastImage &&
+    currentImage.toPNG().equals(state.lastImage.toPNG());
+  if (!equal) {
+    state.lastImage = currentImage;
+  }
+}
+
+app.whenReady().then(() => {
+  console.log(`Clipboard poll benchmark: ${WIDTH}x${HEIGHT} image, ${TICKS} ticks each\n`);
+
+  clipboard.writeImage(createLargeImage(7));
+
+  const legacyState = { lastImage: clipboard.readImage() };
+  measure('legacy (unchanged image)', () => legacyTick(legacyState));
+
+  const monitor = new ClipboardMonitor();
+  monitor.on('change', () => {});
+  monitor.resetBaseline();
+  measure('monitor (unchanged image)', () => monitor.checkClipboard());
+
+  // The periodic full read that catches an image replaced by one of the same kind
+  measure('monitor (unchanged image, recheck)', () => {
+    monitor.lastImageCheck = 0;
+    monitor.checkClipboard();
+  });
+
+  clipboard.writeText('benchmark text');
+  monitor.resetBaseline();
+  measure('monitor (unchanged text)', () => monitor.checkClipboard());
+
+  const images = [createLargeImage(3), createLargeImage(5)];
+  let next = 0;
+  measure('monitor (new image every tick)', () => {
+    clipboard.writeImage(images[next++ % images.length]);
+    monitor.lastImageCheck = 0;
+    monitor.checkClipboard();
+  });
+
+  clipboard.clear();
+  app.quit();
+});
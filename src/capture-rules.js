@@ -0,0 +1,265 @@
+/**
+ * Capture rules decide what happens to a clipboard change before it reaches history.
+ *
+ * A rule matches when every condition it sets is true:
+ *   pattern/flags  - regular expression tested against the item text
+ *   minLength      - text is at least this many characters
+ *   maxLength      - text is at most this many characters
+ *   contentType    - item type (text, richtext, image, files) or text subtype (url, email, ...)
+ *   format         - regular expression tested against each available clipboard format
+ *   domain         - URL items whose domain is this one or a subdomain of it
+ *
+ * Actions, from strongest to weakest:
+ *   ignore  - drop the copy entirely
+ *   session - keep it in history for this session but never write it to disk
+ *   expire  - keep it and delete it automatically after expireAfterMinutes
+ */
+
+const { SUBTYPES } = require('./content-classifier');
+
+const RULE_ACTIONS = ['ignore', 'session', 'expire'];
+
+const CONTENT_TYPES = ['text', 'richtext', 'image', 'files', ...SUBTYPES];
+
+// The filters that used to be hard-coded in ClipboardMonitor.containsFiles. Files are
+// now captured as their own item type, so these start off; turning them back on
+// restores the old behavior of dropping file copies and path-like text.
+const DEFAULT_RULES = [
+  {
+    id: 'builtin-file-formats',
+    defaultEnabled: false,
+    name: 'Files and folders',
+    match: {
+      format: 'text/uri-list|x-moz-file|^files$|gnome-copied-files|NSFilenamesPboardType|public\\.file-url|0x6675726C|dyn\\.ah62d4rv4gu8yc6durvwwa3xmrvw1gkdusm1044pxqyuha2pxsvw0e55bsmwca7d3sbwu'
+    },
+    action: 'ignore'
+  },
+  {
+    id: 'builtin-unix-paths',
+    defaultEnabled: false,
+    name: 'Text that looks like a Unix file path',
+    match: { pattern: '^\\/[^\\/\\n]+.*\\.([\\w]+)$', flags: 'm' },
+    action: 'ignore'
+  },
+  {
+    id: 'builtin-windows-paths',
+    defaultEnabled: false,
+    name: 'Text that looks like a Windows file path',
+    match: { pattern: '^[A-Z]:\\\\.*\\.([\\w]+)$', flags: 'm' },
+    action: 'ignore'
+  },
+  {
+    id: 'builtin-file-urls',
+    defaultEnabled: false,
+    name: 'file:// URLs',
+    match: { pattern: '^file:\\/\\/\\/', flags: 'm' },
+    action: 'ignore'
+  }
+];
+
+/**
+ * Combine the built-in rules (with the user's on/off choices) and custom rules
+ */
+function mergeWithDefaults(customRules = [], overrides = {}) {
+  const builtIn = DEFAULT_RULES.map(rule => ({
+    ...rule,
+    builtIn: true,
+    enabled: Object.prototype.hasOwnProperty.call(overrides, rule.id) ? Boolean(overrides[rule.id]) : rule.defaultEnabled !== false
+  }));
+
+  const custom = customRules.map(rule => ({ ...rule, builtIn: false }));
+
+  return [...builtIn, ...custom];
+}
+
+function buildRegex(source, flags = '') {
+  return new RegExp(source, flags);
+}
+
+/**
+ * Check a rule's conditions against an item; a rule without conditions never matches
+ */
+function matchesRule(item, match = {}) {
+  const text = item.text || '';
+  let hasCondition = false;
+
+  if (match.contentType) {
+    hasCondition = true;
+    if (item.type !== match.contentType && item.subtype !== match.contentType) return false;
+  }
+
+  if (match.pattern) {
+    hasCondition = true;
+    if (!text || !buildRegex(match.pattern, match.flags).test(text)) return false;
+  }
+
+  if (typeof match.minLength === 'number') {
+    hasCondition = true;
+    if (!text || text.length < match.minLength) return false;
+  }
+
+  if (typeof match.maxLength === 'number') {
+    hasCondition = true;
+    if (!text || text.length > match.maxLength) return false;
+  }
+
+  if (match.format) {
+    hasCondition = true;
+    const formatRegex = buildRegex(match.format, 'i');
+    if (!(item.formats || []).some(format => formatRegex.test(format))) return false;
+  }
+
+  if (match.domain) {
+    hasCondition = true;
+    const domain = item.classification && item.classification.domain;
+    if (!domain || (domain !== match.domain && !domain.endsWith(`.${match.domain}`))) return false;
+  }
+
+  return hasCondition;
+}
+
+/**
+ * Find the action for an item. When several rules match, the strongest action
+ * wins, and among expiring rules the shortest lifetime wins.
+ */
+function evaluateRules(item, rules) {
+  let result = null;
+
+  for (const rule of rules) {
+    if (!rule.enabled) continue;
+
+    try {
+      if (!matchesRule(item, rule.match)) continue;
+    } catch (error) {
+      console.error(`Capture rule "${rule.name}" failed to evaluate:`, error.message);
+      continue;
+    }
+
+    const candidate = {
+      action: rule.action,
+      rule,
+      expireAfterMinutes: rule.action === 'expire' ? rule.expireAfterMinutes : null
+    };
+
+    if (!result || isStronger(candidate, result)) {
+      result = candidate;
+    }
+  }
+
+  return result;
+}
+
+function isStronger(candidate, current) {
+  const candidateRank = RULE_ACTIONS.indexOf(candidate.action);
+  const currentRank = RULE_ACTIONS.indexOf(current.action);
+
+  if (candidateRank !== currentRank) {
+    return candidateRank < currentRank;
+  }
+
+  return candidate.action === 'expire' && candidate.expireAfterMinutes < current.expireAfterMinutes;
+}
+
+/**
+ * Normalize a rule coming from the settings UI, throwing on invalid input
+ */
+function validateRule(rule) {
+  if (!rule || typeof rule !== 'object') {
+    throw new Error('Rule must be an object');
+  }
+
+  const name = String(rule.name || '').trim();
+  if (!name) {
+    throw new Error('Rule needs a name');
+  }
+
+  if (!RULE_ACTIONS.includes(rule.action)) {
+    throw new Error(`Unknown rule action: ${rule.action}`);
+  }
+
+  const validated = {
+    id: rule.id || `rule-${Date.now()}`,
+    name,
+    enabled: rule.enabled !== false,
+    match: validateMatch(rule.match),
+    action: rule.action
+  };
+
+  if (rule.action === 'expire') {
+    const minutes = Number(rule.expireAfterMinutes);
+    if (!Number.isFinite(minutes) || minutes <= 0) {
+      throw new Error('Expiring rules need a positive number of minutes');
+    }
+    validated.expireAfterMinutes = minutes;
+  }
+
+  return validated;
+}
+
+/**
+ * Normalize a rule's conditions, throwing on invalid input. Shared with
+ * auto-tag rules, which use the same conditions.
+ */
+function validateMatch(source = {}) {
+  const match = {};
+
+  if (source.pattern) {
+    match.pattern = String(source.pattern);
+    match.flags = String(source.flags || '');
+    try {
+      buildRegex(match.pattern, match.flags);
+    } catch (error) {
+      throw new Error(`Invalid pattern: ${error.message}`);
+    }
+  }
+
+  ['minLength', 'maxLength'].forEach(key => {
+    if (source[key] !== undefined && source[key] !== null && source[key] !== '') {
+      const value = Number(source[key]);
+      if (!Number.isInteger(value) || value < 0) {
+        throw new Error(`${key} must be a whole number`);
+      }
+      match[key] = value;
+    }
+  });
+
+  if (source.contentType) {
+    if (!CONTENT_TYPES.includes(source.contentType)) {
+      throw new Error(`Unknown content type: ${source.contentType}`);
+    }
+    match.contentType = source.contentType;
+  }
+
+  if (source.format) {
+    match.format = String(source.format);
+    try {
+      buildRegex(match.format, 'i');
+    } catch (error) {
+      throw new Error(`Invalid format pattern: ${error.message}`);
+    }
+  }
+
+  if (source.domain) {
+    match.domain = String(source.domain).trim().toLowerCase().replace(/^(?:https?:\/\/)?(?:www\.)?/, '').replace(/\/.*$/, '');
+    if (!/^[a-z0-9.-]+\.[a-z]{2,}$/.test(match.domain)) {
+      throw new Error(`Invalid domain: ${source.domain}`);
+    }
+  }
+
+  if (Object.keys(match).length === 0) {
+    throw new Error('Rule needs at least one condition');
+  }
+
+  return match;
+}
+
+module.exports = {
+  RULE_ACTIONS,
+  CONTENT_TYPES,
+  DEFAULT_RULES,
+  mergeWithDefaults,
+  matchesRule,
+  evaluateRules,
+  validateRule,
+  validateMatch
+};
@@ -1,28 +1,50 @@
-const { clipboard } = require('electron');
+const { clipboard, powerMonitor } = require('electron');
 const EventEmitter = require('events');
+const crypto = require('crypto');
+const path = require('path');
+const { fileURLToPath } = require('url');
+
+// Poll faster while the user is active, back off once the machine goes idle
+const POLL_INTERVALS = [
+  { idleSeconds: 300, interval: 5000 },
+  { idleSeconds: 60, interval: 2000 },
+  { idleSeconds: 0, interval: 500 }
+];
+
+// When formats and text have not moved, an image on the clipboard is only
+// read and hashed again this often, as that costs a full bitmap read
+const IMAGE_RECHECK_MS = 2000;
+
+const IMAGE_FORMAT_PATTERN = /image|png|tiff|jpe?g|bitmap|dib/i;
+const FILE_FORMAT_PATTERN = /^(text\/uri-list|x-special\/gnome-copied-files|NSFilenamesPboardType|public\.file-url|FileNameW?)$/i;
 
 class ClipboardMonitor extends EventEmitter {
   constructor() {
     super();
     this.isMonitoring = false;
     this.lastClipboardContent = '';
-    this.lastClipboardImage = null;
-    this.pollInterval = null;
+    this.lastClipboardText = '';
+    this.lastImageSize = null;
+    this.lastImageHash = null;
+    this.lastImageCheck = 0;
+    this.lastFilesKey = '';
+    this.pollTimer = null;
+    this.pollIntervalMs = POLL_INTERVALS[POLL_INTERVALS.length - 1].interval;
     this.lastFormatsKey = '';
-    this.lastContainedFiles = false;
+    this.handleWake = this.handleWake.bind(this);
   }
 
   start() {
     if (this.isMonitoring) return;
     
     this.isMonitoring = true;
-    this.lastClipboardContent = clipboard.readText();
-    this.lastClipboardImage = clipboard.readImage();
+    this.resetBaseline();
     
-    // Poll clipboard every 500ms
-    this.pollInterval = setInterval(() => {
-      this.checkClipboard();
-    }, 500);
+    // Check immediately when the user comes back instead of waiting out a backed-off interval
+    powerMonitor.on('resume', this.handleWake);
+    powerMonitor.on('unlock-screen', this.handleWake);
+    
+    this.scheduleNextCheck();
     
     console.log('Clipboard monitoring started');
   }
@@ -31,69 +53,125 @@ class ClipboardMonitor extends EventEmitter {
     if (!this.isMonitoring) return;
     
     this.isMonitoring = false;
-    if (this.pollInterval) {
-      clearInterval(this.pollInterval);
-      this.pollInterval = null;
+    if (this.pollTimer) {
+      clearTimeout(this.pollTimer);
+      this.pollTimer = null;
     }
+    powerMonitor.removeListener('resume', this.handleWake);
+    powerMonitor.removeListener('unlock-screen', this.handleWake);
     
     console.log('Clipboard monitoring stopped');
   }
 
+  /**
+   * Treat whatever is on the clipboard right now as already seen
+   */
+  resetBaseline() {
+    const formats = clipboard.availableFormats();
+    this.lastFormatsKey = formats.slice().sort().join(',');
+    this.lastClipboardText = clipboard.readText();
+    this.lastClipboardContent = this.getContentKey(this.readTextFlavors());
+    this.lastFilesKey = this.readFilePaths(formats).join('\n');
+    
+    const image = this.hasImageFormat(formats) ? clipboard.readImage() : null;
+    this.lastImageCheck = Date.now();
+    if (image && !image.isEmpty()) {
+      this.lastImageSize = image.getSize();
+      this.lastImageHash = this.hashImage(image);
+    } else {
+      this.lastImageSize = null;
+      this.lastImageHash = null;
+    }
+  }
+
+  scheduleNextCheck(delay = this.getPollInterval()) {
+    if (!this.isMonitoring) return;
+    
+    if (this.pollTimer) {
+      clearTimeout(this.pollTimer);
+    }
+    
+    this.pollTimer = setTimeout(() => {
+      this.pollTimer = null;
+      this.checkClipboard();
+      this.scheduleNextCheck();
+    }, delay);
+  }
+
+  handleWake() {
+    this.scheduleNextCheck(0);
+  }
+
+  getPollInterval() {
+    let idleSeconds = 0;
+    try {
+      idleSeconds = powerMonitor.getSystemIdleTime();
+    } catch (error) {
+      // Idle time is unavailable on some Linux setups; keep polling at full speed
+    }
+    
+    const { interval } = POLL_INTERVALS.find(step => idleSeconds >= step.idleSeconds);
+    if (interval !== this.pollIntervalMs) {
+      console.log(`Clipboard poll interval changed to ${interval}ms (idle ${idleSeconds}s)`);
+      this.pollIntervalMs = interval;
+    }
+    
+    return interval;
+  }
+
   checkClipboard() {
     try {
-      const currentText = clipboard.readText();
-      const currentImage = clipboard.readImage();
+      // Cheap signals first: the list of formats and the plain text
+      const formats = clipboard.availableFormats();
+      const formatsKey = formats.slice().sort().join(',');
+      const text = clipboard.readText();
+      
+      const formatsChanged = formatsKey !== this.lastFormatsKey;
+      const textChanged = text !== this.lastClipboardText;
+      
+      // Only log when formats change to avoid spam
+      if (formatsChanged) {
+        console.log('Available clipboard formats:', formats);
+        this.lastFormatsKey = formatsKey;
+      }
+      this.lastClipboardText = text;
       
-      // Check if clipboard contains files/folders (which we want to ignore)
-      const containsFiles = this.containsFiles();
-      if (containsFiles) {
-        // Only log when files state changes from false to true
-        if (!this.lastContainedFiles) {
-          console.log('Ignoring clipboard content: contains files/folders');
-          this.lastContainedFiles = true;
+      // File copies become a single files item; their text flavor is just the file names
+      const filePaths = this.readFilePaths(formats);
+      const filesKey = filePaths.join('\n');
+      const filesChanged = filesKey !== this.lastFilesKey;
+      this.lastFilesKey = filesKey;
+      
+      if (filePaths.length > 0) {
+        if (filesChanged) {
+          this.lastClipboardContent = this.getContentKey(this.readTextFlavors());
+          this.emit('change', this.createFilesItem(filePaths, formats));
         }
         return;
       }
       
-      // Reset files state when clipboard no longer contains files
-      if (this.lastContainedFiles) {
-        this.lastContainedFiles = false;
+      // The richer text flavors are only worth reading once a cheap signal moved
+      let flavors = null;
+      let contentChanged = false;
+      if (formatsChanged || textChanged) {
+        flavors = this.readTextFlavors();
+        const contentKey = this.getContentKey(flavors);
+        contentChanged = contentKey !== '' && contentKey !== this.lastClipboardContent;
+        this.lastClipboardContent = contentKey;
       }
       
-      // Check for text changes (including rich text)
-      if (currentText && currentText !== this.lastClipboardContent) {
-        this.lastClipboardContent = currentText;
-        
-        // Check if this is rich text (HTML content)
-        const isRichText = this.isRichText(currentText);
-        
-        this.emit('change', {
-          type: isRichText ? 'richtext' : 'text',
-          text: currentText,
-          preview: this.createTextPreview(currentText),
-          isRichText: isRichText
-        });
+      const { image, imageHash, imageChanged } = this.checkImage(formats, formatsChanged || textChanged, contentChanged);
+      
+      if (!contentChanged && !imageChanged) {
         return;
       }
       
-      // Check for image changes
-      if (!currentImage.isEmpty() && !this.imagesEqual(currentImage, this.lastClipboardImage)) {
-        this.lastClipboardImage = currentImage;
-        
-        try {
-          const imageBuffer = currentImage.toPNG();
-          console.log('Created image buffer, size:', imageBuffer.length);
-          
-          this.emit('change', {
-            type: 'image',
-            imageBuffer: imageBuffer, // Store as buffer for persistence
-            preview: 'Image',
-            dataUrl: this.imageToDataUrl(currentImage)
-          });
-        } catch (error) {
-          console.error('Error creating image buffer:', error);
+      const item = this.createClipboardItem(flavors || this.readTextFlavors(), image, formats);
+      if (item) {
+        if (item.imageBuffer) {
+          item.imageHash = imageHash;
         }
-        return;
+        this.emit('change', item);
       }
       
     } catch (error) {
@@ -101,121 +179,238 @@ class ClipboardMonitor extends EventEmitter {
     }
   }
 
-  createTextPreview(text) {
-    if (!text) return '';
+  /**
+   * Detect image changes by size first and a bitmap hash second, so an unchanged
+   * image never has to be PNG-encoded. While the formats and text stay the same
+   * the image is only read again every IMAGE_RECHECK_MS, which is how long
+   * copying one image over another of the same kind can take to show up.
+   */
+  checkImage(formats, cheapSignalsChanged, contentChanged) {
+    if (!this.hasImageFormat(formats)) {
+      this.lastImageSize = null;
+      this.lastImageHash = null;
+      return { image: null, imageHash: null, imageChanged: false };
+    }
     
-    // Remove extra whitespace and newlines
-    const cleaned = text.replace(/\s+/g, ' ').trim();
+    const now = Date.now();
+    if (!cheapSignalsChanged && now - this.lastImageCheck < IMAGE_RECHECK_MS) {
+      return { image: null, imageHash: this.lastImageHash, imageChanged: false };
+    }
+    this.lastImageCheck = now;
     
-    // Truncate if too long
-    if (cleaned.length > 100) {
-      return cleaned.substring(0, 97) + '...';
+    const image = clipboard.readImage();
+    
+    if (image.isEmpty()) {
+      this.lastImageSize = null;
+      this.lastImageHash = null;
+      return { image: null, imageHash: null, imageChanged: false };
     }
     
-    return cleaned;
+    const size = image.getSize();
+    const sizeChanged = !this.lastImageSize ||
+      size.width !== this.lastImageSize.width ||
+      size.height !== this.lastImageSize.height;
+    
+    const imageHash = this.hashImage(image);
+    const imageChanged = sizeChanged || imageHash !== this.lastImageHash;
+    
+    this.lastImageSize = size;
+    this.lastImageHash = imageHash;
+    
+    // A text change that carries the same image still needs the image in the new item
+    return { image: (imageChanged || contentChanged) ? image : null, imageHash, imageChanged };
   }
 
-  imageToDataUrl(image) {
+  hasImageFormat(formats) {
+    return formats.some(format => IMAGE_FORMAT_PATTERN.test(format));
+  }
+
+  hashImage(image) {
     try {
-      const buffer = image.toPNG();
-      return `data:image/png;base64,${buffer.toString('base64')}`;
+      return crypto.createHash('sha1').update(image.toBitmap()).digest('hex');
     } catch (error) {
-      console.error('Error converting image to data URL:', error);
+      console.error('Error hashing clipboard image:', error);
       return null;
     }
   }
 
-  imagesEqual(img1, img2) {
-    if (!img1 || !img2) return false;
-    if (img1.isEmpty() && img2.isEmpty()) return true;
-    if (img1.isEmpty() || img2.isEmpty()) return false;
+  /**
+   * Read every text-based flavor currently on the clipboard
+   */
+  readTextFlavors() {
+    const flavors = {
+      text: clipboard.readText(),
+      html: clipboard.readHTML(),
+      rtf: clipboard.readRTF(),
+      bookmark: null
+    };
     
-    try {
-      const buffer1 = img1.toPNG();
-      const buffer2 = img2.toPNG();
-      return buffer1.equals(buffer2);
-    } catch (error) {
-      return false;
+    // Bookmarks are only supported on macOS and Windows
+    if (process.platform === 'darwin' || process.platform === 'win32') {
+      const bookmark = clipboard.readBookmark();
+      if (bookmark && bookmark.url) {
+        flavors.bookmark = { title: bookmark.title, url: bookmark.url };
+      }
     }
+    
+    return flavors;
   }
 
   /**
-   * Check if clipboard contains files or folders
+   * Read copied file paths from whichever file flavor the platform provides
    */
-  containsFiles() {
+  readFilePaths(formats) {
+    if (!formats.some(format => FILE_FORMAT_PATTERN.test(format))) {
+      return [];
+    }
+    
     try {
-      // Check for file paths (common indicators)
-      const formats = clipboard.availableFormats();
-      
-      // Only log when formats change to avoid spam
-      const formatsKey = formats.sort().join(',');
-      if (this.lastFormatsKey !== formatsKey) {
-        console.log('Available clipboard formats:', formats);
-        this.lastFormatsKey = formatsKey;
+      // Finder puts every selected item in a property list
+      if (formats.includes('NSFilenamesPboardType')) {
+        const plist = clipboard.read('NSFilenamesPboardType');
+        const paths = [...plist.matchAll(/<string>([\s\S]*?)<\/string>/g)].map(match => this.decodeXml(match[1]));
+        if (paths.length > 0) return paths;
       }
       
-      // Common file/folder clipboard formats to ignore
-      const fileFormats = [
-        'text/uri-list',
-        'application/x-moz-file',
-        'Files',
-        'NSFilenamesPboardType',
-        'public.file-url',
-        'CorePasteboardFlavorType 0x6675726C', // file URL
-        'dyn.ah62d4rv4gu8yc6durvwwa3xmrvw1gkdusm1044pxqyuha2pxsvw0e55bsmwca7d3sbwu', // Finder items
-      ];
-      
-      // Check if any file formats are present
-      const hasFileFormats = formats.some(format => 
-        fileFormats.some(fileFormat => 
-          format.toLowerCase().includes(fileFormat.toLowerCase()) ||
-          fileFormat.toLowerCase().includes(format.toLowerCase())
-        )
-      );
-      
-      if (hasFileFormats) {
-        return true;
+      // GTK file managers lead their list with "copy" or "cut", which the file:// filter drops
+      for (const format of ['text/uri-list', 'x-special/gnome-copied-files']) {
+        if (!formats.includes(format)) continue;
+        const paths = clipboard.read(format)
+          .split(/\r?\n/)
+          .filter(line => line.startsWith('file://'))
+          .map(line => fileURLToPath(line.trim()));
+        if (paths.length > 0) return paths;
       }
       
-      // Additional check: if text looks like file paths
-      const text = clipboard.readText();
-      if (text) {
-        // Check for file path patterns
-        const filePathPatterns = [
-          /^\/[^\/\n]+.*\.([\w]+)$/m, // Unix file paths
-          /^[A-Z]:\\.*\.([\w]+)$/m,   // Windows file paths
-          /^file:\/\/\//m,            // File URLs
-        ];
-        
-        const isFilePath = filePathPatterns.some(pattern => pattern.test(text));
-        if (isFilePath) {
-          console.log('Text appears to be file path:', text.substring(0, 100));
-          return true;
-        }
+      if (formats.includes('public.file-url')) {
+        const url = clipboard.read('public.file-url');
+        if (url && url.startsWith('file://')) return [fileURLToPath(url)];
       }
       
-      return false;
+      const windowsFormat = formats.find(format => /^FileNameW?$/i.test(format));
+      if (windowsFormat) {
+        const buffer = clipboard.readBuffer(windowsFormat);
+        const decoded = buffer.toString(/W$/i.test(windowsFormat) ? 'ucs2' : 'latin1');
+        return decoded.split('\0').filter(Boolean);
+      }
     } catch (error) {
-      console.error('Error checking for files:', error);
-      return false;
+      console.error('Error reading copied files:', error);
     }
+    
+    return [];
+  }
+
+  decodeXml(text) {
+    return text
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, '&');
+  }
+
+  createFilesItem(paths, formats) {
+    const names = paths.map(filePath => path.basename(filePath) || filePath);
+    const label = paths.length === 1 ? names[0] : `${paths.length} items: ${names.join(', ')}`;
+    
+    return {
+      type: 'files',
+      files: paths.map((filePath, index) => ({ path: filePath, name: names[index] })),
+      text: paths.join('\n'),
+      preview: this.createTextPreview(label),
+      formats: formats
+    };
+  }
+
+  getContentKey({ text, html, rtf }) {
+    if (!text && !html && !rtf) return '';
+    return [text, html, rtf].join('\u0000');
   }
 
   /**
-   * Check if text content is rich text (HTML)
+   * Build a single multi-format history item from the clipboard flavors
    */
-  isRichText(text) {
-    if (!text) return false;
-    
-    // Simple heuristics to detect HTML/rich text
-    const htmlPatterns = [
-      /<[^>]+>/,                    // HTML tags
-      /&[a-zA-Z]+;/,               // HTML entities
-      /\{\\rtf1/,                  // RTF format
-      /\{\\colortbl/,              // RTF color table
-    ];
-    
-    return htmlPatterns.some(pattern => pattern.test(text));
+  createClipboardItem({ text, html, rtf, bookmark }, image, formats) {
+    const hasImage = image && !image.isEmpty();
+    const plainText = text || this.htmlToText(html);
+    
+    if (!plainText && !hasImage) {
+      return null;
+    }
+    
+    const isRichText = Boolean(html || rtf);
+    const item = {
+      type: plainText ? (isRichText ? 'richtext' : 'text') : 'image',
+      formats: formats,
+      isRichText: isRichText
+    };
+    
+    if (plainText) {
+      item.text = plainText;
+      item.preview = this.createTextPreview(plainText);
+    } else {
+      item.preview = 'Image';
+    }
+    
+    if (html) item.html = html;
+    if (rtf) item.rtf = rtf;
+    if (bookmark) item.bookmark = bookmark;
+    
+    if (hasImage) {
+      try {
+        item.imageBuffer = image.toPNG(); // Store as buffer for persistence
+        console.log('Created image buffer, size:', item.imageBuffer.length);
+      } catch (error) {
+        console.error('Error creating image buffer:', error);
+        if (!plainText) return null;
+      }
+    }
+    
+    return item;
+  }
+
+  /**
+   * Derive plain text from HTML when the source app provided no text flavor
+   */
+  htmlToText(html) {
+    if (!html) return '';
+    
+    return html
+      .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '')
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<\/(p|div|li|tr|h[1-6])>/gi, '\n')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/&amp;/g, '&')
+      .trim();
+  }
+
+  createTextPreview(text) {
+    if (!text) return '';
+    
+    // Remove extra whitespace and newlines
+    const cleaned = text.replace(/\s+/g, ' ').trim();
+    
+    // Truncate if too long
+    if (cleaned.length > 100) {
+      return cleaned.substring(0, 97) + '...';
+    }
+    
+    return cleaned;
+  }
+
+  imageToDataUrl(image) {
+    try {
+      const buffer = image.toPNG();
+      return `data:image/png;base64,${buffer.toString('base64')}`;
+    } catch (error) {
+      console.error('Error converting image to data URL:', error);
+      return null;
+    }
   }
 }
 
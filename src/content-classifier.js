@@ -0,0 +1,246 @@
+/**
+ * Tags text items with a subtype (url, email, phone, color, json, number, path, code)
+ * plus the details the list needs to render and act on them.
+ */
+
+const SUBTYPES = ['url', 'email', 'phone', 'color', 'json', 'number', 'path', 'code'];
+
+const URL_PATTERN = /^(?:https?|ftp):\/\/[^\s]+$|^www\.[^\s]+\.[a-z]{2,}[^\s]*$/i;
+const EMAIL_PATTERN = /^(?:mailto:)?[^\s@]+@[^\s@]+\.[a-z]{2,}$/i;
+const PHONE_PATTERN = /^\+?[\d\s().-]{7,22}$/;
+const NUMBER_PATTERN = /^[-+]?(?:\d{1,3}(?:,\d{3})+|\d+)(?:\.\d+)?(?:e[-+]?\d+)?%?$/i;
+const PATH_PATTERN = /^(?:~|\.{1,2})?\/[^\n]*$|^[A-Z]:\\[^\n]*$/i;
+const HEX_COLOR_PATTERN = /^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+const RGB_COLOR_PATTERN = /^rgba?\(\s*(\d{1,3})\s*[, ]\s*(\d{1,3})\s*[, ]\s*(\d{1,3})\s*(?:[,/]\s*([\d.]+%?)\s*)?\)$/i;
+const HSL_COLOR_PATTERN = /^hsla?\(\s*([\d.]+)(?:deg)?\s*[, ]\s*([\d.]+)%\s*[, ]\s*([\d.]+)%\s*(?:[,/]\s*([\d.]+%?)\s*)?\)$/i;
+
+// Keyword hints per language; the best-scoring language wins
+const LANGUAGE_HINTS = {
+  javascript: [/\b(?:const|let|var)\s+\w+\s*=/, /=>/, /\bfunction\s*\w*\s*\(/, /\bconsole\.\w+\(/, /\brequire\(['"]/, /\bmodule\.exports\b/],
+  typescript: [/\binterface\s+\w+\s*\{/, /:\s*(?:string|number|boolean)\b/, /\bimport\s+.+\s+from\s+['"]/, /\btype\s+\w+\s*=/],
+  python: [/^\s*def\s+\w+\(.*\):/m, /^\s*(?:from\s+\w+\s+)?import\s+\w+/m, /\bself\./, /\belif\b/, /\bprint\(/, /^\s*class\s+\w+(?:\(.*\))?:/m],
+  shell: [/^#!\/bin\/(?:ba|z)?sh/, /^\s*\$\s+\w+/m, /\bsudo\s+/, /\|\s*(?:grep|awk|sed|xargs)\b/, /\b(?:echo|export|cd)\s+/, /&&\s*\w+/],
+  sql: [/\bSELECT\b[\s\S]+\bFROM\b/i, /\bINSERT\s+INTO\b/i, /\bUPDATE\s+\w+\s+SET\b/i, /\bCREATE\s+TABLE\b/i, /\bWHERE\b/i],
+  html: [/<\/?(?:div|span|p|a|ul|li|html|body|head|script|section)\b[^>]*>/i, /<!DOCTYPE html>/i],
+  css: [/^[\w.#\-\s,:>]+\{[^}]*:[^}]*;[^}]*\}/m, /@media\b/, /\b(?:margin|padding|display|color):\s*[^;]+;/],
+  java: [/\bpublic\s+(?:static\s+)?(?:void|class|int|String)\b/, /\bSystem\.out\.println\(/, /\bprivate\s+final\b/],
+  go: [/^package\s+\w+/m, /\bfunc\s+(?:\(\w+\s+\*?\w+\)\s*)?\w+\(/, /:=/, /\bfmt\.\w+\(/],
+  rust: [/\bfn\s+\w+\s*\(/, /\blet\s+mut\b/, /\bimpl\b/, /\bprintln!\(/, /->\s*\w+/],
+  ruby: [/^\s*def\s+\w+[^:]*$/m, /^\s*end\s*$/m, /\bputs\s+/, /\battr_accessor\b/],
+  php: [/<\?php/, /\$\w+\s*=/, /\bfunction\s+\w+\s*\(.*\$\w+/, /->\w+\(/]
+};
+
+/**
+ * Classify a text item, returning { subtype, ...details } or null for plain text
+ */
+function classifyText(text) {
+  if (!text) return null;
+
+  const trimmed = text.trim();
+  if (!trimmed) return null;
+
+  const singleLine = !trimmed.includes('\n');
+
+  if (singleLine) {
+    if (URL_PATTERN.test(trimmed)) {
+      return { subtype: 'url', url: normalizeUrl(trimmed), domain: getDomain(trimmed) };
+    }
+
+    if (EMAIL_PATTERN.test(trimmed)) {
+      return { subtype: 'email', email: trimmed.replace(/^mailto:/i, '') };
+    }
+
+    const color = parseColor(trimmed);
+    if (color) {
+      return { subtype: 'color', color };
+    }
+
+    if (NUMBER_PATTERN.test(trimmed)) {
+      return { subtype: 'number', value: parseNumber(trimmed) };
+    }
+
+    if (isPhoneNumber(trimmed)) {
+      return { subtype: 'phone', phone: trimmed.replace(/[^\d+]/g, '') };
+    }
+
+    if (PATH_PATTERN.test(trimmed)) {
+      return { subtype: 'path', path: trimmed };
+    }
+  }
+
+  const json = parseJson(trimmed);
+  if (json) {
+    return { subtype: 'json', summary: json };
+  }
+
+  const language = guessLanguage(trimmed);
+  if (language) {
+    return { subtype: 'code', language };
+  }
+
+  return null;
+}
+
+function normalizeUrl(text) {
+  return /^www\./i.test(text) ? `https://${text}` : text;
+}
+
+function getDomain(text) {
+  try {
+    return new URL(normalizeUrl(text)).hostname.replace(/^www\./, '');
+  } catch (error) {
+    return null;
+  }
+}
+
+function isPhoneNumber(text) {
+  // Dates like 2026-10-01 share the shape of a phone number
+  if (!PHONE_PATTERN.test(text) || /^\d{4}-\d{2}-\d{2}$/.test(text)) return false;
+
+  const digits = text.replace(/\D/g, '');
+  // Needs a leading + or separators, otherwise it is just a number
+  return digits.length >= 7 && digits.length <= 15 && /^\+|[\s().-]/.test(text);
+}
+
+function parseNumber(text) {
+  const value = Number(text.replace(/,/g, '').replace(/%$/, ''));
+  return Number.isFinite(value) ? value : null;
+}
+
+function parseJson(text) {
+  if (!/^[[{]/.test(text) || text.length > 1024 * 1024) return null;
+
+  try {
+    const value = JSON.parse(text);
+    if (Array.isArray(value)) {
+      return `Array · ${value.length} item${value.length === 1 ? '' : 's'}`;
+    }
+    if (value && typeof value === 'object') {
+      const keys = Object.keys(value).length;
+      return `Object · ${keys} key${keys === 1 ? '' : 's'}`;
+    }
+  } catch (error) {
+    // Not JSON
+  }
+
+  return null;
+}
+
+function guessLanguage(text) {
+  // Prose rarely has these; code almost always has at least one
+  if (!/[{}();=<>$]|^\s{2,}\S/m.test(text)) return null;
+
+  let best = null;
+  let bestScore = 0;
+
+  for (const [language, hints] of Object.entries(LANGUAGE_HINTS)) {
+    const score = hints.filter(hint => hint.test(text)).length;
+    if (score > bestScore) {
+      best = language;
+      bestScore = score;
+    }
+  }
+
+  return bestScore >= 2 ? best : null;
+}
+
+/**
+ * Parse hex, rgb() and hsl() colors into { r, g, b, a }
+ */
+function parseColor(text) {
+  if (HEX_COLOR_PATTERN.test(text)) {
+    let hex = text.slice(1);
+    if (hex.length <= 4) {
+      hex = hex.split('').map(char => char + char).join('');
+    }
+    return {
+      r: parseInt(hex.slice(0, 2), 16),
+      g: parseInt(hex.slice(2, 4), 16),
+      b: parseInt(hex.slice(4, 6), 16),
+      a: hex.length === 8 ? Math.round(parseInt(hex.slice(6, 8), 16) / 255 * 100) / 100 : 1
+    };
+  }
+
+  let match = text.match(RGB_COLOR_PATTERN);
+  if (match) {
+    const [r, g, b] = match.slice(1, 4).map(Number);
+    if ([r, g, b].some(channel => channel > 255)) return null;
+    return { r, g, b, a: parseAlpha(match[4]) };
+  }
+
+  match = text.match(HSL_COLOR_PATTERN);
+  if (match) {
+    const [h, s, l] = match.slice(1, 4).map(Number);
+    if (s > 100 || l > 100) return null;
+    return { ...hslToRgb(h % 360, s / 100, l / 100), a: parseAlpha(match[4]) };
+  }
+
+  return null;
+}
+
+function parseAlpha(value) {
+  if (value === undefined) return 1;
+  const alpha = value.endsWith('%') ? parseFloat(value) / 100 : parseFloat(value);
+  return Math.min(1, Math.max(0, alpha));
+}
+
+function hslToRgb(h, s, l) {
+  const c = (1 - Math.abs(2 * l - 1)) * s;
+  const x = c * (1 - Math.abs((h / 60) % 2 - 1));
+  const m = l - c / 2;
+  const [r, g, b] = h < 60 ? [c, x, 0] : h < 120 ? [x, c, 0] : h < 180 ? [0, c, x]
+    : h < 240 ? [0, x, c] : h < 300 ? [x, 0, c] : [c, 0, x];
+
+  return {
+    r: Math.round((r + m) * 255),
+    g: Math.round((g + m) * 255),
+    b: Math.round((b + m) * 255)
+  };
+}
+
+function rgbToHsl({ r, g, b }) {
+  const rn = r / 255;
+  const gn = g / 255;
+  const bn = b / 255;
+  const max = Math.max(rn, gn, bn);
+  const min = Math.min(rn, gn, bn);
+  const l = (max + min) / 2;
+  let h = 0;
+  let s = 0;
+
+  if (max !== min) {
+    const d = max - min;
+    s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+    if (max === rn) h = ((gn - bn) / d + (gn < bn ? 6 : 0)) * 60;
+    else if (max === gn) h = ((bn - rn) / d + 2) * 60;
+    else h = ((rn - gn) / d + 4) * 60;
+  }
+
+  return { h: Math.round(h), s: Math.round(s * 100), l: Math.round(l * 100) };
+}
+
+function toHexString(color) {
+  const hex = [color.r, color.g, color.b].map(channel => channel.toString(16).padStart(2, '0')).join('');
+  const alpha = color.a < 1 ? Math.round(color.a * 255).toString(16).padStart(2, '0') : '';
+  return `#${hex}${alpha}`;
+}
+
+function toRgbString(color) {
+  return color.a < 1
+    ? `rgba(${color.r}, ${color.g}, ${color.b}, ${color.a})`
+    : `rgb(${color.r}, ${color.g}, ${color.b})`;
+}
+
+function toHslString(color) {
+  const { h, s, l } = rgbToHsl(color);
+  return color.a < 1 ? `hsla(${h}, ${s}%, ${l}%, ${color.a})` : `hsl(${h}, ${s}%, ${l}%)`;
+}
+
+module.exports = {
+  SUBTYPES,
+  classifyText,
+  parseColor,
+  toHexString,
+  toRgbString,
+  toHslString
+};
@@ -0,0 +1,215 @@
+/**
+ * Fuzzy matching for plain search words.
+ *
+ * A word matches text in one of three ways, best first:
+ *   - as a substring ("board" in "clipboard")
+ *   - as a compact subsequence ("clpbrd" in "clipboard")
+ *   - as a word with a typo or two ("clipbaord" for "clipboard")
+ *
+ * Subsequence and typo matching only look at the start of long text, so that
+ * searching thousands of large items stays fast. Substrings are found anywhere.
+ */
+
+// Characters of each item the slower matching looks at
+const FUZZY_SCAN_LIMIT = 5000;
+
+// A subsequence match may spread over at most this many times the word's length
+const MAX_SPREAD = 3;
+
+// Starting points tried for a subsequence match
+const MAX_STARTS = 50;
+
+const WORD_PATTERN = /[\p{L}\p{N}_]+/gu;
+const WORD_SEPARATOR = /[^\p{L}\p{N}_]+/u;
+
+function isWordStart(text, index) {
+  return index === 0 || !/[\p{L}\p{N}_]/u.test(text[index - 1]);
+}
+
+/**
+ * Words in the text that a typo match can land on, without duplicates
+ */
+function getWords(lower) {
+  return new Set(lower.slice(0, FUZZY_SCAN_LIMIT).split(WORD_SEPARATOR).filter(Boolean));
+}
+
+/**
+ * Edit distance counting a swap of neighbouring letters as one edit. Returns
+ * max + 1 as soon as the distance is known to be larger than max.
+ */
+function getTypoDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (value, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let distance = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, previousRow[j - 2] + 1);
+      }
+      nextRow.push(distance);
+      rowMin = Math.min(rowMin, distance);
+    }
+
+    if (rowMin > max) return max + 1;
+    previousRow = row;
+    row = nextRow;
+  }
+
+  return row[b.length];
+}
+
+function getMaxTypos(term) {
+  if (term.length >= 8) return 2;
+  return term.length >= 4 ? 1 : 0;
+}
+
+/**
+ * Positions of the most compact subsequence match near the start of the text,
+ * or null
+ */
+function findSubsequence(term, lower) {
+  const text = lower.slice(0, FUZZY_SCAN_LIMIT);
+  const maxSpan = term.length * MAX_SPREAD;
+  let best = null;
+  let starts = 0;
+
+  for (let start = text.indexOf(term[0]); start !== -1 && starts < MAX_STARTS; start = text.indexOf(term[0], start + 1)) {
+    starts++;
+    const positions = [start];
+    let index = start;
+
+    for (let i = 1; i < term.length; i++) {
+      index = text.indexOf(term[i], index + 1);
+      if (index === -1 || index - start >= maxSpan) break;
+      positions.push(index);
+    }
+    if (positions.length < term.length) {
+      if (index === -1) break; // Later starts cannot find the rest either
+      continue;
+    }
+
+    const span = positions[positions.length - 1] - start + 1;
+    if (!best || span < best.span) {
+      best = { span, positions };
+      if (span === term.length) break;
+    }
+  }
+
+  return best;
+}
+
+function positionsToRanges(positions) {
+  const ranges = [];
+  positions.forEach(position => {
+    const last = ranges[ranges.length - 1];
+    if (last && last[1] === position) {
+      last[1]++;
+    } else {
+      ranges.push([position, position + 1]);
+    }
+  });
+  return ranges;
+}
+
+/**
+ * Build a matcher for one lowercase search word. score() rates prepared text
+ * from prepareText() (0 for no match); ranges() finds what to highlight in a
+ * short piece of text such as a preview.
+ */
+function createFuzzyMatcher(term) {
+  const maxTypos = getMaxTypos(term);
+  // The same words come up in many items, so each is only compared once
+  const typoCache = new Map();
+
+  const getTypos = word => {
+    if (!typoCache.has(word)) {
+      typoCache.set(word, getTypoDistance(term, word, maxTypos));
+    }
+    return typoCache.get(word);
+  };
+
+  const score = prepared => {
+    const { lower } = prepared;
+    const index = lower.indexOf(term);
+    if (index !== -1) {
+      return 100 + (isWordStart(lower, index) ? 15 : 0) + (index === 0 ? 10 : 0);
+    }
+
+    if (term.length >= 3) {
+      const subsequence = findSubsequence(term, lower);
+      if (subsequence) {
+        return Math.round(60 * term.length / subsequence.span);
+      }
+    }
+
+    if (maxTypos > 0) {
+      let fewest = maxTypos + 1;
+      for (const word of prepared.words) {
+        fewest = Math.min(fewest, getTypos(word));
+        if (fewest === 1) break;
+      }
+      if (fewest <= maxTypos) {
+        return 50 - 15 * fewest;
+      }
+    }
+
+    return 0;
+  };
+
+  const ranges = text => {
+    const lower = text.toLowerCase();
+    const found = [];
+
+    let index = lower.indexOf(term);
+    while (index !== -1) {
+      found.push([index, index + term.length]);
+      index = lower.indexOf(term, index + term.length);
+    }
+    if (found.length > 0) return found;
+
+    if (term.length >= 3) {
+      const subsequence = findSubsequence(term, lower);
+      if (subsequence) return positionsToRanges(subsequence.positions);
+    }
+
+    if (maxTypos > 0) {
+      for (const match of lower.matchAll(WORD_PATTERN)) {
+        if (getTypos(match[0]) <= maxTypos) {
+          found.push([match.index, match.index + match[0].length]);
+        }
+      }
+    }
+    return found;
+  };
+
+  return { score, ranges };
+}
+
+/**
+ * Lowercase text, and its words once a typo match needs them. Worth keeping
+ * while the text does not change.
+ */
+function prepareText(text) {
+  const lower = text.toLowerCase();
+  let words = null;
+
+  return {
+    lower,
+    get words() {
+      if (!words) words = getWords(lower);
+      return words;
+    }
+  };
+}
+
+module.exports = {
+  createFuzzyMatcher,
+  prepareText
+};
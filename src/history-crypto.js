@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+
+/**
+ * AES-256-GCM helpers for encrypting history files at rest.
+ *
+ * Encrypted data is MAGIC + 12-byte IV + 16-byte auth tag + ciphertext, so a
+ * file can be told apart from plain JSON or PNG by its first bytes. That lets
+ * the store read a directory that is half-way through being migrated.
+ */
+
+const MAGIC = Buffer.from('HBIC1');
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const KEY_LENGTH = 32;
+const JOURNAL_LINE_PREFIX = 'enc:';
+const VERIFIER_TEXT = 'hbiclipboard-history';
+
+// Roughly 100ms on a laptop; slow enough to make guessing passphrases expensive
+const SCRYPT_OPTIONS = { N: 32768, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+function generateKey() {
+  return crypto.randomBytes(KEY_LENGTH);
+}
+
+function generateSalt() {
+  return crypto.randomBytes(16);
+}
+
+function deriveKey(passphrase, salt) {
+  return crypto.scryptSync(passphrase, salt, KEY_LENGTH, SCRYPT_OPTIONS);
+}
+
+function isEncrypted(buffer) {
+  return buffer.length >= MAGIC.length && buffer.subarray(0, MAGIC.length).equals(MAGIC);
+}
+
+function encrypt(key, data) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(data), cipher.final()]);
+
+  return Buffer.concat([MAGIC, iv, cipher.getAuthTag(), ciphertext]);
+}
+
+/**
+ * Decrypt data produced by encrypt(); throws when the key is wrong or the data was altered
+ */
+function decrypt(key, buffer) {
+  if (!isEncrypted(buffer)) {
+    throw new Error('Data is not encrypted');
+  }
+
+  const ivStart = MAGIC.length;
+  const tagStart = ivStart + IV_LENGTH;
+  const dataStart = tagStart + TAG_LENGTH;
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, buffer.subarray(ivStart, tagStart));
+  decipher.setAuthTag(buffer.subarray(tagStart, dataStart));
+
+  return Buffer.concat([decipher.update(buffer.subarray(dataStart)), decipher.final()]);
+}
+
+function encryptLine(key, text) {
+  return JOURNAL_LINE_PREFIX + encrypt(key, Buffer.from(text, 'utf8')).toString('base64');
+}
+
+function decryptLine(key, line) {
+  return decrypt(key, Buffer.from(line.slice(JOURNAL_LINE_PREFIX.length), 'base64')).toString('utf8');
+}
+
+function isEncryptedLine(line) {
+  return line.startsWith(JOURNAL_LINE_PREFIX);
+}
+
+/**
+ * A small encrypted marker stored with the settings, used to check a passphrase
+ * before anything is read with it
+ */
+function createVerifier(key) {
+  return encrypt(key, Buffer.from(VERIFIER_TEXT, 'utf8')).toString('base64');
+}
+
+function checkVerifier(key, verifier) {
+  try {
+    return decrypt(key, Buffer.from(verifier, 'base64')).toString('utf8') === VERIFIER_TEXT;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  generateKey,
+  generateSalt,
+  deriveKey,
+  isEncrypted,
+  encrypt,
+  decrypt,
+  encryptLine,
+  decryptLine,
+  isEncryptedLine,
+  createVerifier,
+  checkVerifier
+};
@@ -0,0 +1,64 @@
+/**
+ * Filtering and ordering history for the window, which asks for one page of
+ * results at a time instead of holding the whole history.
+ *
+ * Results are ordered like this: with fuzzy search words, by how well items
+ * match; otherwise pinned items first in their arranged order, then the rest
+ * in the chosen sort mode. Each result belongs to a section (best, pinned or
+ * the sort mode) that the window shows as a header.
+ */
+
+const { parseQuery, rankItems, isRankedQuery } = require('./search-query');
+const { sortItems } = require('./usage-stats');
+
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Items must carry every selected tag and be in the selected collection
+ */
+function matchesTagFilter(item, tags, collectionId) {
+  const itemTags = item.tags || [];
+  if (tags.some(tag => !itemTags.includes(tag))) {
+    return false;
+  }
+  return !collectionId || (item.collectionIds || []).includes(collectionId);
+}
+
+/**
+ * Run a query over newest-first history. Throws with a message for the search
+ * box when the query does not parse.
+ */
+function runQuery(items, { query = '', tags = [], collectionId = null, sortMode = 'recent' } = {}, now = Date.now()) {
+  const terms = parseQuery(query, now);
+  const ranked = isRankedQuery(terms);
+  const filtered = items.filter(item => matchesTagFilter(item, tags, collectionId));
+
+  let results = rankItems(ranked ? filtered : sortItems(filtered, sortMode, now), terms, now);
+  if (!ranked) {
+    const pinned = results.filter(item => item.pinned).sort((a, b) => a.pinOrder - b.pinOrder);
+    results = [...pinned, ...results.filter(item => !item.pinned)];
+  }
+
+  const sections = results.map(item => getSection(item, ranked, sortMode));
+  return { items: results, sections, sectionCount: new Set(sections).size, ranked };
+}
+
+function getSection(item, ranked, sortMode) {
+  if (ranked) return 'best';
+  return item.pinned ? 'pinned' : sortMode;
+}
+
+/**
+ * Every tag in use with its item count, most used first
+ */
+function getTagCounts(items) {
+  const counts = new Map();
+  items.forEach(item => (item.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1)));
+  return [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+}
+
+module.exports = {
+  MAX_PAGE_SIZE,
+  runQuery,
+  getTagCounts
+};
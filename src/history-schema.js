@@ -0,0 +1,221 @@
+const crypto = require('crypto');
+
+/**
+ * The shape of a stored history item and the migrations that bring older
+ * items up to it.
+ *
+ * Every item carries schemaVersion. Items written before versioning have none
+ * and count as version 1. Migrations run in order at load time; an item that
+ * fails a migration or does not validate afterwards is handed back as
+ * quarantined instead of being loaded.
+ *
+ * Version 3 fields:
+ *   id            - string of letters, digits, - and _ (also the image file name)
+ *   type          - text, richtext, image or files
+ *   timestamp     - when it was copied, in milliseconds
+ *   text          - required for text, rich text and files items
+ *   files         - non-empty list of { path, ... } for files items
+ *   imageStored   - the image lives in the store's blob file; required for images
+ *   byteSize      - bytes counted against the storage budget
+ *   tags, collectionIds - optional lists of strings
+ *   trashedAt     - set while the item is in the trash
+ *   firstSeen, lastSeen - when the content was first copied and last copied or pasted
+ *   copyCount, pasteCount - how often it was copied, and picked from the window
+ */
+
+const SCHEMA_VERSION = 3;
+
+const ITEM_TYPES = ['text', 'richtext', 'image', 'files'];
+
+const ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+function createItemId() {
+  return crypto.randomUUID();
+}
+
+function isValidItemId(id) {
+  return typeof id === 'string' && ID_PATTERN.test(id);
+}
+
+/**
+ * Image data in any of the forms older versions stored it: a Buffer, a Buffer
+ * serialized to JSON ({ type: 'Buffer', data: [...] }), a byte array, base64 or
+ * a data URL. Returns null for anything else.
+ */
+function toImageBuffer(value) {
+  if (Buffer.isBuffer(value)) return value;
+  if (Array.isArray(value)) return Buffer.from(value);
+  if (value && value.type === 'Buffer' && Array.isArray(value.data)) return Buffer.from(value.data);
+  if (typeof value === 'string' && value.length > 0) {
+    return Buffer.from(value.replace(/^data:image\/\w+;base64,/, ''), 'base64');
+  }
+  return null;
+}
+
+function getTextByteSize(item) {
+  return ['text', 'html', 'rtf'].reduce((total, key) => total + (typeof item[key] === 'string' ? Buffer.byteLength(item[key]) : 0), 0);
+}
+
+/**
+ * Each migration takes an item at the previous version and returns it at its
+ * own. context.storeImage(id, buffer) writes image data to the store and
+ * returns the fields to merge into the item, or null when it is not an image.
+ */
+const MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Move embedded image data into image files',
+    migrate(item, context) {
+      const { imageBuffer, imageBufferBase64, dataUrl, ...migrated } = item;
+      migrated.id = String(migrated.id);
+
+      // Checked before any image file is named after it
+      if (!isValidItemId(migrated.id)) {
+        throw new Error(`Invalid item id: ${JSON.stringify(item.id)}`);
+      }
+
+      const embedded = imageBuffer || imageBufferBase64 || dataUrl;
+      if (embedded && !migrated.imageStored) {
+        const buffer = toImageBuffer(embedded);
+        const stored = buffer && context.storeImage(migrated.id, buffer);
+
+        if (stored) {
+          Object.assign(migrated, stored);
+        } else if (migrated.type === 'image') {
+          throw new Error('Embedded image data could not be decoded');
+        }
+        // Text items lose an unreadable image flavor but keep their text
+      }
+
+      if (typeof migrated.byteSize !== 'number') {
+        migrated.byteSize = getTextByteSize(migrated) + (migrated.imageBytes || 0);
+      }
+
+      return migrated;
+    }
+  },
+  {
+    version: 3,
+    description: 'Add usage statistics',
+    migrate(item) {
+      // Earlier copies of the same content were discarded, so counting starts here
+      return {
+        ...item,
+        firstSeen: item.timestamp,
+        lastSeen: item.timestamp,
+        copyCount: 1,
+        pasteCount: 0
+      };
+    }
+  }
+];
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(entry => typeof entry === 'string');
+}
+
+/**
+ * Throw when an item at the current version is missing something the app relies on
+ */
+function validateItem(item) {
+  if (!item || typeof item !== 'object') {
+    throw new Error('Item is not an object');
+  }
+  if (item.schemaVersion !== SCHEMA_VERSION) {
+    throw new Error(`Item is at schema version ${item.schemaVersion}, expected ${SCHEMA_VERSION}`);
+  }
+  if (!isValidItemId(item.id)) {
+    throw new Error(`Invalid item id: ${JSON.stringify(item.id)}`);
+  }
+  if (!ITEM_TYPES.includes(item.type)) {
+    throw new Error(`Unknown item type: ${item.type}`);
+  }
+  if (!Number.isFinite(item.timestamp)) {
+    throw new Error('Item has no timestamp');
+  }
+
+  if (item.type === 'image') {
+    if (!item.imageStored && typeof item.imageBufferBase64 !== 'string') {
+      throw new Error('Image item has no image data');
+    }
+  } else if (typeof item.text !== 'string') {
+    throw new Error(`${item.type} item has no text`);
+  }
+
+  if (item.type === 'files' && !(Array.isArray(item.files) && item.files.length > 0 && item.files.every(file => file && typeof file.path === 'string'))) {
+    throw new Error('Files item has no file list');
+  }
+  if (item.tags !== undefined && !isStringList(item.tags)) {
+    throw new Error('Item tags must be a list of strings');
+  }
+  if (item.collectionIds !== undefined && !isStringList(item.collectionIds)) {
+    throw new Error('Item collections must be a list of strings');
+  }
+  if (item.trashedAt !== undefined && !Number.isFinite(item.trashedAt)) {
+    throw new Error('Item has an invalid trash time');
+  }
+  if (!['firstSeen', 'lastSeen', 'copyCount', 'pasteCount'].every(key => Number.isFinite(item[key]))) {
+    throw new Error('Item has no usage statistics');
+  }
+
+  return item;
+}
+
+/**
+ * Bring one item up to the current version, throwing when that is not possible
+ */
+function migrateItem(item, context) {
+  if (!item || typeof item !== 'object') {
+    throw new Error('Item is not an object');
+  }
+
+  const fromVersion = item.schemaVersion || 1;
+  if (fromVersion > SCHEMA_VERSION) {
+    throw new Error(`Item was saved by a newer version of the app (schema ${fromVersion})`);
+  }
+
+  let migrated = item;
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= fromVersion) continue;
+    migrated = { ...migration.migrate(migrated, context), schemaVersion: migration.version };
+  }
+
+  return validateItem(migrated);
+}
+
+/**
+ * Run migrations over a list of items. Returns the items that loaded, the ones
+ * that did not with the reason, and whether anything changed.
+ */
+function migrateItems(items, context) {
+  const migrated = [];
+  const quarantined = [];
+  let upgraded = 0;
+
+  for (const item of items) {
+    try {
+      const result = migrateItem(item, context);
+      if (result !== item) upgraded++;
+      migrated.push(result);
+    } catch (error) {
+      quarantined.push({ item, reason: error.message });
+    }
+  }
+
+  if (upgraded > 0 || quarantined.length > 0) {
+    console.log(`History schema: upgraded ${upgraded} item(s) to version ${SCHEMA_VERSION}, quarantined ${quarantined.length}`);
+  }
+
+  return { items: migrated, quarantined, upgraded };
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  ITEM_TYPES,
+  createItemId,
+  isValidItemId,
+  getTextByteSize,
+  validateItem,
+  migrateItem,
+  migrateItems
+};
@@ -0,0 +1,459 @@
+const fs = require('fs');
+const path = require('path');
+const { nativeImage } = require('electron');
+const crypto = require('crypto');
+const { isEncrypted, encrypt, decrypt, encryptLine, decryptLine, isEncryptedLine } = require('./history-crypto');
+const { migrateItems, isValidItemId } = require('./history-schema');
+
+const INDEX_VERSION = 1;
+const THUMBNAIL_WIDTH = 320;
+const THUMBNAIL_HEIGHT = 160;
+
+/**
+ * On-disk clipboard history.
+ *
+ * Layout inside the store directory:
+ *   index.json    - snapshot of item metadata in display order (no image data)
+ *   journal.jsonl - changes since the snapshot, one operation per line
+ *   blobs/<id>.png  - full-size image for each image item
+ *   thumbs/<id>.png - thumbnail generated once when the image is stored
+ *   quarantine/items.jsonl - items that could not be loaded, with the reason
+ *   quarantine/<id>.png    - their image files, if any
+ *
+ * load() runs the schema migrations over what it reads and compacts straight
+ * away when anything was upgraded or quarantined.
+ *
+ * save() diffs the given history against what is already on disk and only
+ * appends the changed items to the journal; the journal is folded back into
+ * the snapshot once it grows past the size of the history.
+ *
+ * With an encryption key set, every file and journal line is written with
+ * AES-256-GCM. Reads accept both forms, so a directory that was only partly
+ * migrated when the app quit still loads.
+ */
+class HistoryStore {
+  constructor(directory) {
+    this.directory = directory;
+    this.indexPath = path.join(directory, 'index.json');
+    this.journalPath = path.join(directory, 'journal.jsonl');
+    this.blobDirectory = path.join(directory, 'blobs');
+    this.thumbDirectory = path.join(directory, 'thumbs');
+    this.quarantineDirectory = path.join(directory, 'quarantine');
+    this.quarantinePath = path.join(this.quarantineDirectory, 'items.jsonl');
+
+    this.persisted = new Map(); // id -> serialized metadata as last written
+    this.order = [];
+    this.journalEntries = 0;
+    this.thumbnailCache = new Map();
+    this.encryptionKey = null;
+  }
+
+  setEncryptionKey(key) {
+    this.encryptionKey = key;
+  }
+
+  exists() {
+    return fs.existsSync(this.indexPath) || fs.existsSync(this.journalPath);
+  }
+
+  ensureDirectories() {
+    fs.mkdirSync(this.blobDirectory, { recursive: true });
+    fs.mkdirSync(this.thumbDirectory, { recursive: true });
+  }
+
+  /**
+   * Read the snapshot and replay the journal, returning items in display order
+   */
+  load() {
+    this.ensureDirectories();
+
+    const items = new Map();
+    let order = [];
+
+    if (fs.existsSync(this.indexPath)) {
+      try {
+        const snapshot = JSON.parse(this.readFile(this.indexPath));
+        snapshot.items.forEach(item => items.set(item && item.id, item));
+        order = snapshot.items.map(item => item && item.id);
+      } catch (error) {
+        if (error.code === 'HISTORY_LOCKED') throw error;
+        console.error('Error reading history index, starting from the journal only:', error);
+      }
+    }
+
+    this.journalEntries = 0;
+    let lines = [];
+    if (fs.existsSync(this.journalPath)) {
+      try {
+        lines = this.readFile(this.journalPath).split('\n').filter(Boolean);
+      } catch (error) {
+        // Without the key, carrying on would write over files that were never read
+        if (error.code === 'HISTORY_LOCKED') throw error;
+        console.error('Error reading history journal, starting from the index only:', error);
+      }
+    }
+
+    for (const line of lines) {
+      let entry;
+      try {
+        entry = this.parseJournalLine(line);
+      } catch (error) {
+        if (error.code === 'HISTORY_LOCKED') throw error;
+        // A crash mid-append leaves at most one unreadable line at the end
+        console.error('Skipping unreadable history journal entry');
+        continue;
+      }
+
+      this.journalEntries++;
+      if (entry.op === 'put') {
+        const id = entry.item && entry.item.id;
+        if (!items.has(id)) {
+          order.unshift(id);
+        }
+        items.set(id, entry.item);
+      } else if (entry.op === 'delete') {
+        items.delete(entry.id);
+        order = order.filter(id => id !== entry.id);
+      } else if (entry.op === 'order') {
+        order = entry.ids.filter(id => items.has(id));
+      }
+    }
+
+    const { items: history, quarantined, upgraded } = this.upgrade(order.filter(id => items.has(id)).map(id => items.get(id)));
+
+    this.persisted = new Map(history.map(item => [item.id, JSON.stringify(item)]));
+    this.order = history.map(item => item.id);
+
+    // Write the upgraded items back so the migrations only ever run once
+    if (upgraded > 0 || quarantined.length > 0) {
+      this.compact(history);
+    }
+
+    console.log(`Loaded ${history.length} history items (${this.journalEntries} journal entries)`);
+    return history;
+  }
+
+  /**
+   * Add items from the history kept in electron-store before this store
+   * existed. Whatever the store already holds is kept; legacy items with an id
+   * it already has are skipped, so their images cannot replace stored ones.
+   * Returns the legacy items that were added.
+   */
+  importLegacy(legacyItems) {
+    const current = this.load();
+    const currentIds = new Set(current.map(item => item.id));
+    const { items: migrated } = this.upgrade(legacyItems.filter(item => !(item && currentIds.has(String(item.id)))));
+
+    const history = [...current, ...migrated];
+    this.save(history);
+    this.compact(history);
+    return migrated;
+  }
+
+  /**
+   * Bring items from an older schema up to date, quarantining any that cannot be
+   */
+  upgrade(items) {
+    const result = migrateItems(items, {
+      storeImage: (id, buffer) => this.storeLegacyImage(id, buffer)
+    });
+
+    if (result.quarantined.length > 0) {
+      this.quarantine(result.quarantined);
+    }
+    return result;
+  }
+
+  /**
+   * Store image data from an older item format, re-encoded as PNG. Returns the
+   * fields to merge into the item, or null when the data is not an image.
+   */
+  storeLegacyImage(id, buffer) {
+    const image = nativeImage.createFromBuffer(buffer);
+    if (image.isEmpty()) return null;
+
+    return {
+      ...this.writeImage(id, image.toPNG()),
+      imageStored: true,
+      imageHash: crypto.createHash('sha1').update(image.toBitmap()).digest('hex')
+    };
+  }
+
+  /**
+   * Set items aside that could not be loaded or read, together with why. Their
+   * image files move along with them; the caller drops them from history.
+   */
+  quarantine(entries) {
+    fs.mkdirSync(this.quarantineDirectory, { recursive: true });
+
+    const lines = entries.map(({ item, reason }) => {
+      const id = item && item.id;
+      if (isValidItemId(id) && fs.existsSync(this.blobPath(id))) {
+        fs.renameSync(this.blobPath(id), path.join(this.quarantineDirectory, `${id}.png`));
+      }
+      if (isValidItemId(id)) {
+        this.removeImage(id);
+      }
+
+      console.error('Quarantined history item:', id, reason);
+      return this.formatJournalLine({ quarantinedAt: Date.now(), reason, item });
+    });
+
+    fs.appendFileSync(this.quarantinePath, lines.join(''));
+  }
+
+  /**
+   * Persist the given history, writing only what changed since the last save
+   */
+  save(history) {
+    this.ensureDirectories();
+
+    const entries = [];
+    const ids = history.map(item => item.id);
+    const currentIds = new Set(ids);
+
+    for (const id of this.persisted.keys()) {
+      if (!currentIds.has(id)) {
+        entries.push({ op: 'delete', id });
+        this.persisted.delete(id);
+        this.removeImage(id);
+      }
+    }
+
+    // Oldest first, so replaying the puts alone rebuilds newest-first order
+    for (const item of [...history].reverse()) {
+      const serialized = JSON.stringify(item);
+      if (this.persisted.get(item.id) !== serialized) {
+        entries.push({ op: 'put', item });
+        this.persisted.set(item.id, serialized);
+      }
+    }
+
+    if (entries.length > 0 || !this.sameOrder(ids)) {
+      entries.push({ op: 'order', ids });
+    }
+    this.order = ids;
+
+    if (entries.length === 0) return;
+
+    fs.appendFileSync(this.journalPath, entries.map(entry => this.formatJournalLine(entry)).join(''));
+    this.journalEntries += entries.length;
+
+    if (this.journalEntries > Math.max(200, history.length * 2)) {
+      this.compact(history);
+    }
+  }
+
+  sameOrder(ids) {
+    return ids.length === this.order.length && ids.every((id, index) => id === this.order[index]);
+  }
+
+  /**
+   * Fold the journal into a fresh snapshot
+   */
+  compact(history) {
+    const temporaryPath = `${this.indexPath}.tmp`;
+    const snapshot = JSON.stringify({ version: INDEX_VERSION, items: history });
+
+    this.writeFile(temporaryPath, snapshot);
+    fs.renameSync(temporaryPath, this.indexPath);
+    fs.writeFileSync(this.journalPath, '');
+
+    this.journalEntries = 0;
+    console.log(`Compacted history index (${history.length} items)`);
+  }
+
+  /**
+   * Store a PNG for an item and generate its thumbnail once
+   */
+  writeImage(id, pngBuffer) {
+    this.ensureDirectories();
+
+    const image = nativeImage.createFromBuffer(pngBuffer);
+    const thumbnail = HistoryStore.createThumbnail(image);
+
+    this.writeFile(this.blobPath(id), pngBuffer);
+    this.writeFile(this.thumbPath(id), thumbnail);
+    this.thumbnailCache.set(id, `data:image/png;base64,${thumbnail.toString('base64')}`);
+
+    return { imageSize: image.getSize(), imageBytes: pngBuffer.length };
+  }
+
+  readImage(id) {
+    try {
+      return this.readFile(this.blobPath(id), null);
+    } catch (error) {
+      console.error('Error reading stored image:', id, error.message);
+      return null;
+    }
+  }
+
+  getThumbnailDataUrl(id) {
+    if (!this.thumbnailCache.has(id)) {
+      try {
+        const thumbnail = this.readFile(this.thumbPath(id), null);
+        this.thumbnailCache.set(id, `data:image/png;base64,${thumbnail.toString('base64')}`);
+      } catch (error) {
+        console.error('Error reading thumbnail:', id, error.message);
+        return null;
+      }
+    }
+
+    return this.thumbnailCache.get(id);
+  }
+
+  removeImage(id) {
+    this.thumbnailCache.delete(id);
+    fs.rmSync(this.blobPath(id), { force: true });
+    fs.rmSync(this.thumbPath(id), { force: true });
+  }
+
+  /**
+   * Rewrite every file with a new key (or none), used when encryption is turned
+   * on, off or its key changes. Everything is written to a copy of the
+   * directory that only replaces the current one once it is complete, so an
+   * interruption leaves either the old files or the new ones, never a mix;
+   * recoverRewrite() sorts out which at the next start. The caller saves the
+   * new key settings and then calls finishRewrite().
+   */
+  rewrite(history, key) {
+    const rewritePath = `${this.directory}.new`;
+    fs.rmSync(rewritePath, { recursive: true, force: true });
+    this.ensureDirectories();
+
+    const target = new HistoryStore(rewritePath);
+    target.setEncryptionKey(key);
+    target.ensureDirectories();
+
+    if (fs.existsSync(this.quarantinePath)) {
+      const lines = this.readFile(this.quarantinePath).split('\n').filter(Boolean).map(line => target.formatJournalLine(this.parseJournalLine(line)));
+      fs.mkdirSync(target.quarantineDirectory, { recursive: true });
+      fs.writeFileSync(target.quarantinePath, lines.join(''));
+    }
+
+    const directories = [
+      [this.blobDirectory, target.blobDirectory],
+      [this.thumbDirectory, target.thumbDirectory],
+      [this.quarantineDirectory, target.quarantineDirectory]
+    ].filter(([source]) => fs.existsSync(source));
+
+    for (const [source, destination] of directories) {
+      fs.mkdirSync(destination, { recursive: true });
+      for (const name of fs.readdirSync(source)) {
+        if (!name.endsWith('.png')) continue;
+        target.writeFile(path.join(destination, name), this.readFile(path.join(source, name), null));
+      }
+    }
+
+    target.compact(history);
+
+    fs.renameSync(this.directory, `${this.directory}.old`);
+    fs.renameSync(rewritePath, this.directory);
+
+    this.encryptionKey = key;
+    this.persisted = new Map(history.map(item => [item.id, JSON.stringify(item)]));
+    this.order = history.map(item => item.id);
+    this.journalEntries = 0;
+  }
+
+  /**
+   * Delete the files a finished rewrite replaced
+   */
+  finishRewrite() {
+    fs.rmSync(`${this.directory}.old`, { recursive: true, force: true });
+  }
+
+  /**
+   * Finish or roll back a rewrite the app quit in the middle of. Returns true
+   * when the rewritten files are in place, false when the old ones are.
+   */
+  recoverRewrite() {
+    const rewritePath = `${this.directory}.new`;
+    const previousPath = `${this.directory}.old`;
+    const hasRewrite = fs.existsSync(rewritePath);
+    const hasPrevious = fs.existsSync(previousPath);
+
+    if (hasRewrite && fs.existsSync(this.directory)) {
+      // Stopped while writing the copy; the current files were never touched
+      fs.rmSync(rewritePath, { recursive: true, force: true });
+      return false;
+    }
+
+    if (hasRewrite) {
+      // Stopped between the two renames
+      fs.renameSync(rewritePath, this.directory);
+    } else if (!hasPrevious) {
+      return false;
+    }
+
+    this.finishRewrite();
+    return true;
+  }
+
+  /**
+   * Delete everything on disk, used when the app is reset
+   */
+  clear() {
+    fs.rmSync(this.directory, { recursive: true, force: true });
+    this.persisted.clear();
+    this.order = [];
+    this.journalEntries = 0;
+    this.thumbnailCache.clear();
+  }
+
+  blobPath(id) {
+    return path.join(this.blobDirectory, `${id}.png`);
+  }
+
+  thumbPath(id) {
+    return path.join(this.thumbDirectory, `${id}.png`);
+  }
+
+  readFile(filePath, encoding = 'utf8') {
+    let data = fs.readFileSync(filePath);
+    if (isEncrypted(data)) {
+      data = decrypt(this.requireKey(), data);
+    }
+    return encoding ? data.toString(encoding) : data;
+  }
+
+  writeFile(filePath, data) {
+    fs.writeFileSync(filePath, this.encryptionKey ? encrypt(this.encryptionKey, Buffer.from(data)) : data);
+  }
+
+  parseJournalLine(line) {
+    return JSON.parse(isEncryptedLine(line) ? decryptLine(this.requireKey(), line) : line);
+  }
+
+  formatJournalLine(entry) {
+    const line = JSON.stringify(entry);
+    return (this.encryptionKey ? encryptLine(this.encryptionKey, line) : line) + '\n';
+  }
+
+  requireKey() {
+    if (!this.encryptionKey) {
+      const error = new Error('History is encrypted and no key is loaded');
+      error.code = 'HISTORY_LOCKED';
+      throw error;
+    }
+    return this.encryptionKey;
+  }
+
+  static createThumbnail(image) {
+    const { width, height } = image.getSize();
+    const scale = Math.min(1, THUMBNAIL_WIDTH / width, THUMBNAIL_HEIGHT / height);
+
+    const thumbnail = scale < 1
+      ? image.resize({ width: Math.max(1, Math.round(width * scale)), height: Math.max(1, Math.round(height * scale)), quality: 'good' })
+      : image;
+
+    return thumbnail.toPNG();
+  }
+
+  static createThumbnailDataUrl(pngBuffer) {
+    const thumbnail = HistoryStore.createThumbnail(nativeImage.createFromBuffer(pngBuffer));
+    return `data:image/png;base64,${thumbnail.toString('base64')}`;
+  }
+}
+
+module.exports = HistoryStore;
@@ -0,0 +1,375 @@
+const path = require('path');
+const zlib = require('zlib');
+const { ITEM_TYPES } = require('./history-schema');
+
+/**
+ * Import and export of clipboard history.
+ *
+ * Formats:
+ *   archive  - gzipped JSON with every item, its metadata and full images (.hbiclip)
+ *   json     - the same document as plain JSON, without image data
+ *   markdown - readable document
+ *   html     - readable document with images inlined
+ *
+ * Markdown and HTML exports can be imported back too, but only keep what they
+ * show: the text (rich text comes back as plain text), file paths and, from
+ * HTML, images. Tags, pins, collections and usage counts are lost, and the
+ * Markdown export has no images.
+ */
+
+const DOCUMENT_FORMAT = 'hbiclipboard-history';
+const DOCUMENT_VERSION = 1;
+
+const EXPORT_FORMATS = {
+  archive: { label: 'Archive (with images)', extension: 'hbiclip', filterName: 'HBIClipboard Archive' },
+  json: { label: 'JSON (without images)', extension: 'json', filterName: 'JSON' },
+  markdown: { label: 'Markdown', extension: 'md', filterName: 'Markdown' },
+  html: { label: 'HTML', extension: 'html', filterName: 'HTML' }
+};
+
+const IMPORT_EXTENSIONS = ['hbiclip', 'json', 'md', 'html'];
+
+// In-memory fields that only make sense inside the running app
+const LOCAL_FIELDS = ['imageStored', 'imageBufferBase64', 'imageBuffer', 'thumbnailUrl', 'dataUrl', 'ephemeral', 'expiresAt'];
+
+/**
+ * Build the export document. getImagePng(item) returns the item's PNG buffer
+ * or null; it is only called when images are included.
+ */
+function buildExportDocument(items, { includeImages, getImagePng }) {
+  const exported = items.map(item => {
+    const copy = { ...item };
+    LOCAL_FIELDS.forEach(field => delete copy[field]);
+
+    if (includeImages && (item.imageStored || item.imageBufferBase64)) {
+      const png = getImagePng(item);
+      if (png) {
+        copy.imageData = png.toString('base64');
+      }
+    }
+
+    return copy;
+  });
+
+  return {
+    format: DOCUMENT_FORMAT,
+    version: DOCUMENT_VERSION,
+    exportedAt: new Date().toISOString(),
+    items: exported
+  };
+}
+
+function serializeArchive(document) {
+  return zlib.gzipSync(JSON.stringify(document));
+}
+
+function serializeJson(document) {
+  return JSON.stringify(document, null, 2);
+}
+
+function formatDate(timestamp) {
+  return new Date(timestamp).toLocaleString();
+}
+
+function describeItem(item) {
+  return item.subtype || item.type;
+}
+
+/**
+ * Fence text in backticks, using a fence longer than any run inside it
+ */
+function fenceMarkdown(text, language = '') {
+  const longestRun = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(Math.max(3, longestRun + 1));
+  return `${fence}${language}\n${text}\n${fence}`;
+}
+
+function toMarkdown(items) {
+  const sections = items.map(item => {
+    // ISO time so the import can read it back whatever the locale
+    const heading = `## ${new Date(item.timestamp).toISOString()} · ${describeItem(item)}`;
+    let body;
+
+    if (item.type === 'image') {
+      const size = item.imageSize ? ` ${item.imageSize.width}×${item.imageSize.height}` : '';
+      body = `_Image${size}_`;
+    } else if (item.type === 'files') {
+      body = (item.files || []).map(file => `- \`${file.path}\``).join('\n');
+    } else {
+      body = fenceMarkdown(item.text || '', item.classification && item.classification.language || '');
+    }
+
+    return `${heading}\n\n${body}`;
+  });
+
+  return `# Clipboard History\n\nExported ${new Date().toLocaleString()} · ${items.length} item${items.length === 1 ? '' : 's'}\n\n${sections.join('\n\n')}\n`;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function unescapeHtml(text) {
+  return String(text)
+    .replace(/&quot;/g, '"')
+    .replace(/&gt;/g, '>')
+    .replace(/&lt;/g, '<')
+    .replace(/&amp;/g, '&');
+}
+
+function toHtml(items, getImagePng) {
+  const sections = items.map(item => {
+    let body;
+
+    if (item.type === 'image') {
+      const png = getImagePng(item);
+      body = png
+        ? `<img src="data:image/png;base64,${png.toString('base64')}" alt="Clipboard image">`
+        : '<p><em>Image not available</em></p>';
+    } else if (item.type === 'files') {
+      body = `<ul>${(item.files || []).map(file => `<li><code>${escapeHtml(file.path)}</code></li>`).join('')}</ul>`;
+    } else {
+      body = `<pre>${escapeHtml(item.text || '')}</pre>`;
+    }
+
+    return `<section>
+<h2><time datetime="${new Date(item.timestamp).toISOString()}">${escapeHtml(formatDate(item.timestamp))}</time> · ${escapeHtml(describeItem(item))}</h2>
+${body}
+</section>`;
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Clipboard History</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; max-width: 800px; margin: 40px auto; padding: 0 20px; color: #222; }
+section { border-bottom: 1px solid #ddd; padding: 12px 0; }
+h2 { font-size: 13px; color: #666; font-weight: normal; }
+pre { white-space: pre-wrap; word-break: break-word; background: #f5f5f5; padding: 10px; border-radius: 4px; }
+img { max-width: 100%; }
+</style>
+</head>
+<body>
+<h1>Clipboard History</h1>
+<p>Exported ${escapeHtml(new Date().toLocaleString())} · ${items.length} item${items.length === 1 ? '' : 's'}</p>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * Turn one exported section back into an item. kind is what the heading
+ * shows: files, image, or a text type or subtype.
+ */
+function createImportedItem(kind, timestamp, body) {
+  if (kind === 'files') {
+    if (body.files.length === 0) return null;
+    return {
+      type: 'files',
+      files: body.files.map(filePath => ({ path: filePath, name: path.basename(filePath) || filePath })),
+      text: body.files.join('\n'),
+      timestamp
+    };
+  }
+  if (kind === 'image') {
+    return body.imageData ? { type: 'image', imageData: body.imageData, preview: 'Image', timestamp } : null;
+  }
+  return typeof body.text === 'string' && body.text !== '' ? { type: 'text', text: body.text, timestamp } : null;
+}
+
+/**
+ * Exports write ISO times, but older Markdown exports wrote them in the local
+ * format. Sections whose time does not parse get one just after the previous
+ * section's so the order survives.
+ */
+function parseSectionTime(value, previous) {
+  const timestamp = Date.parse(value);
+  if (Number.isFinite(timestamp)) return timestamp;
+  return previous === null ? Date.now() : previous - 1;
+}
+
+function splitHeading(heading) {
+  const separator = heading.lastIndexOf(' · ');
+  return separator === -1 ? [heading, 'text'] : [heading.slice(0, separator), heading.slice(separator + 3).trim()];
+}
+
+/**
+ * Read the sections of a Markdown export. Headings inside code fences are
+ * part of the copied text, not new sections.
+ */
+function parseMarkdownExport(text) {
+  if (!/^# Clipboard History\s*$/m.test(text)) {
+    throw new Error('File is not a clipboard history export');
+  }
+
+  const sections = [];
+  let current = null;
+  let fence = null;
+
+  for (const line of text.split(/\r?\n/)) {
+    if (fence) {
+      if (line === fence) fence = null;
+      current.lines.push(line);
+      continue;
+    }
+
+    const heading = /^## (.*)$/.exec(line);
+    if (heading) {
+      current = { heading: heading[1], lines: [] };
+      sections.push(current);
+    } else if (current) {
+      const opening = /^(`{3,})/.exec(line);
+      if (opening) fence = opening[1];
+      current.lines.push(line);
+    }
+  }
+
+  let previous = null;
+  return sections.map(section => {
+    const [date, kind] = splitHeading(section.heading);
+    const body = section.lines.join('\n').trim();
+    const fenced = /^(`{3,})[^\n]*\n([\s\S]*?)\n?\1$/.exec(body);
+    const files = body.split('\n').map(line => /^- `(.*)`$/.exec(line)).filter(Boolean).map(match => match[1]);
+
+    previous = parseSectionTime(date, previous);
+    return createImportedItem(kind, previous, { text: fenced ? fenced[2] : undefined, files });
+  }).filter(Boolean);
+}
+
+/**
+ * Read the sections of an HTML export
+ */
+function parseHtmlExport(html) {
+  const sections = [...html.matchAll(/<section>\s*<h2>([\s\S]*?)<\/h2>([\s\S]*?)<\/section>/g)];
+  if (!/<title>Clipboard History<\/title>/.test(html) || sections.length === 0) {
+    throw new Error('File is not a clipboard history export');
+  }
+
+  let previous = null;
+  return sections.map(([, heading, content]) => {
+    const datetime = /<time datetime="([^"]*)"/.exec(heading);
+    const [date, kind] = splitHeading(unescapeHtml(heading.replace(/<[^>]*>/g, '')));
+    const pre = /<pre>([\s\S]*?)<\/pre>/.exec(content);
+    const image = /<img src="data:image\/png;base64,([A-Za-z0-9+/=]+)"/.exec(content);
+    const files = [...content.matchAll(/<li><code>([\s\S]*?)<\/code><\/li>/g)].map(match => unescapeHtml(match[1]));
+
+    previous = parseSectionTime(datetime ? datetime[1] : date, previous);
+    return createImportedItem(kind, previous, {
+      text: pre ? unescapeHtml(pre[1]) : undefined,
+      imageData: image ? image[1] : null,
+      files
+    });
+  }).filter(Boolean);
+}
+
+/**
+ * Read an export in any of the formats, returning its items. Throws when the
+ * file is not an export from this app.
+ */
+function parseImportFile(buffer) {
+  let content = buffer;
+
+  // gzip magic number
+  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    content = zlib.gunzipSync(buffer);
+  }
+
+  const text = content.toString('utf8');
+  if (/^\s*<!DOCTYPE html/i.test(text)) {
+    return parseHtmlExport(text);
+  }
+  if (/^\s*#/.test(text)) {
+    return parseMarkdownExport(text);
+  }
+
+  let document;
+  try {
+    document = JSON.parse(text);
+  } catch (error) {
+    throw new Error('File is not a clipboard history export');
+  }
+
+  if (!document || document.format !== DOCUMENT_FORMAT || !Array.isArray(document.items)) {
+    throw new Error('File is not a clipboard history export');
+  }
+
+  if (document.version > DOCUMENT_VERSION) {
+    throw new Error('File was exported by a newer version of the app');
+  }
+
+  return document.items.filter(isImportableItem);
+}
+
+function isImportableItem(item) {
+  if (!item || typeof item !== 'object' || !ITEM_TYPES.includes(item.type)) return false;
+  if (typeof item.timestamp !== 'number') return false;
+  // JSON exports leave images out, so there is nothing to bring back
+  if (item.type === 'image') return typeof item.imageData === 'string';
+  if (item.type === 'files') return Array.isArray(item.files) && item.files.length > 0;
+  return typeof item.text === 'string';
+}
+
+/**
+ * Key used to spot the same content already in history; matches the
+ * duplicate checks in addToHistory
+ */
+function getContentKey(item) {
+  if (item.type === 'image') {
+    // Without a hash or the data to compare, an image only matches itself
+    return `image:${item.imageHash || item.imageData || `id:${item.id}`}`;
+  }
+  if (item.type === 'files') {
+    return `files:${item.text}`;
+  }
+  return `text:${item.text}\u0000${item.html || ''}`;
+}
+
+function isTextItem(item) {
+  return item.type === 'text' || item.type === 'richtext';
+}
+
+/**
+ * Split imported items into ones that are new and ones already in history
+ * (or repeated within the file). Text without markup, which is all Markdown
+ * and HTML imports bring back, matches on the text alone: those exports drop
+ * the markup of rich text, so it would never match its original otherwise.
+ */
+function planImport(existingItems, importedItems) {
+  const seen = new Set(existingItems.map(getContentKey));
+  const seenText = new Set(existingItems.filter(isTextItem).map(item => item.text));
+  const newItems = [];
+  let duplicates = 0;
+
+  for (const item of importedItems) {
+    const key = getContentKey(item);
+    if (seen.has(key) || (isTextItem(item) && !item.html && seenText.has(item.text))) {
+      duplicates++;
+    } else {
+      seen.add(key);
+      if (isTextItem(item)) seenText.add(item.text);
+      newItems.push(item);
+    }
+  }
+
+  return { total: importedItems.length, newItems, duplicates };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  IMPORT_EXTENSIONS,
+  buildExportDocument,
+  serializeArchive,
+  serializeJson,
+  toMarkdown,
+  toHtml,
+  parseImportFile,
+  planImport,
+  getContentKey
+};
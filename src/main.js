@@ -1,5 +1,7 @@
-const { app, BrowserWindow, globalShortcut, clipboard, ipcMain, screen, Tray, Menu } = require('electron');
+const { app, BrowserWindow, globalShortcut, clipboard, dialog, ipcMain, nativeImage, screen, shell, safeStorage, Tray, Menu, Notification } = require('electron');
+const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 
 // For electron-store v11+ which uses ES modules, we need to use dynamic import
 let Store;
@@ -8,12 +10,30 @@ const initStore = async () => {
     Store = ElectronStore;
 };
 const ClipboardMonitor = require('./clipboard-monitor');
+const HistoryStore = require('./history-store');
+const { SCHEMA_VERSION, createItemId, isValidItemId, getTextByteSize, migrateItem } = require('./history-schema');
+const historyCrypto = require('./history-crypto');
+const historyTransfer = require('./history-transfer');
+const { getRetentionPolicy, applyRetentionPolicy, getUsage, validateRetentionPolicy } = require('./retention');
+const { validateSnippet, createSnippetFromItem, snippetToItem } = require('./snippets');
+const { TRANSFORMS, applyChain, validatePreset } = require('./text-transforms');
+const tagging = require('./tags');
+const { SORT_MODES, recordActivity, getUsageStats } = require('./usage-stats');
+const { MAX_PAGE_SIZE, runQuery, getTagCounts } = require('./history-query');
+const { mergeWithDefaults, evaluateRules, validateRule } = require('./capture-rules');
+const { detectSensitive, maskPreview } = require('./sensitive-detector');
+const { describeFiles, refreshFileExistence, writeFilesToClipboard } = require('./utils/files');
+const { classifyText, toHexString, toRgbString, toHslString } = require('./content-classifier');
 const { getCursorPosition, hasAccessibilityPermissions, requestAccessibilityPermissions } = require('./utils/system');
+const { createPasteInjector } = require('./utils/paste-injector');
+const { PASTE_FORMATS, PASTE_FORMAT_LABELS, getAvailableFormats, getPasteContent } = require('./paste-formats');
+const PasteQueue = require('./paste-queue');
 
 class ClipboardManager {
   constructor() {
     this.store = null;
     this.clipboardHistory = [];
+    this.historyQuery = null; // Last query the window ran, reused while it pages through the results
     this.clipboardWindow = null;
     this.startupWindow = null;
     this.monitor = null;
@@ -28,12 +48,33 @@ class ClipboardManager {
       this.store.set('windowFollowsCursor', true);
     }
     
-    this.clipboardHistory = this.store.get('clipboardHistory', []);
+    this.historyStore = new HistoryStore(path.join(app.getPath('userData'), 'history'));
+    this.recoverEncryptionChange();
+    
+    // With passphrase encryption, or when the keychain is unavailable, history
+    // stays locked (and nothing is captured) until the window unlocks it
+    this.historyLocked = !this.loadEncryptionKey();
+    this.trash = [];
+    if (!this.historyLocked) {
+      this.loadHistory();
+    }
+    this.pauseState = this.store.get('capturePause', { paused: false, until: null, untilNextCopy: false });
+    this.pauseTimer = null;
     this.tray = null;
+    this.trayIconEmpty = false;
     this.lastCursorPosition = null;
     this.windowCreationTime = null;
     this.isWindowInitializing = false;
+    this.dialogOpen = false;
     this.lastShortcutTrigger = 0;
+    this.closeWindowTimer = null;
+    
+    // Where a picked item gets pasted: the app that had focus before the window
+    // opened, as a promise while the injector is still finding out
+    this.pasteInjector = createPasteInjector();
+    this.pasteTarget = null;
+    this.pasteQueue = new PasteQueue(this.store.get('pasteQueueOrder', 'fifo'));
+    console.log('Paste injector:', this.pasteInjector ? this.pasteInjector.name : 'not supported on this platform');
   }
 
   async init() {
@@ -43,9 +84,17 @@ class ClipboardManager {
     // Initialize clipboard monitoring
     this.monitor = new ClipboardMonitor();
     this.monitor.on('change', (clipboardData) => {
-      this.addToHistory(clipboardData);
+      this.handleClipboardChange(clipboardData);
     });
-    this.monitor.start();
+
+    // Starts the monitor unless capture was paused when the app last quit
+    this.applyPauseState();
+
+    // Expired items and retention limits, at startup and then on a schedule
+    this.enforceRetention();
+    setInterval(() => {
+      this.enforceRetention();
+    }, 30000);
 
     // Register global shortcut
     this.registerGlobalShortcut();
@@ -150,6 +199,8 @@ class ClipboardManager {
       }, 1000);
     } else {
       console.log(`Global shortcut ${shortcut} registered successfully`);
+      this.registerPauseShortcut();
+      this.registerPasteNextShortcut();
       
       // Verify registration
       const isRegistered = globalShortcut.isRegistered(shortcut);
@@ -157,6 +208,272 @@ class ClipboardManager {
     }
   }
 
+  registerPauseShortcut() {
+    const shortcut = this.store.get('pauseShortcut', 'Control+Option+Command+P');
+    if (!shortcut) return true;
+    
+    const success = globalShortcut.register(shortcut, () => {
+      console.log('Pause shortcut triggered');
+      if (this.pauseState.paused) {
+        this.resumeCapture();
+      } else {
+        this.pauseCapture();
+      }
+    });
+    
+    console.log(success ? `Pause shortcut ${shortcut} registered successfully` : `Failed to register pause shortcut ${shortcut}`);
+    return success;
+  }
+
+  /**
+   * Stop capturing clipboard changes, indefinitely, for a number of minutes,
+   * or until the next copy has been skipped
+   */
+  pauseCapture({ minutes = null, untilNextCopy = false } = {}) {
+    this.pauseState = {
+      paused: true,
+      until: minutes ? Date.now() + minutes * 60000 : null,
+      untilNextCopy
+    };
+    this.store.set('capturePause', this.pauseState);
+    console.log('Capture paused:', this.describePauseState());
+    this.applyPauseState();
+  }
+
+  resumeCapture() {
+    this.pauseState = { paused: false, until: null, untilNextCopy: false };
+    this.store.set('capturePause', this.pauseState);
+    console.log('Capture resumed');
+    this.applyPauseState();
+  }
+
+  applyPauseState() {
+    if (this.pauseTimer) {
+      clearTimeout(this.pauseTimer);
+      this.pauseTimer = null;
+    }
+    
+    const { paused, until, untilNextCopy } = this.pauseState;
+    
+    if (paused && until && until <= Date.now()) {
+      // The pause ran out while the app was closed
+      this.resumeCapture();
+      return;
+    }
+    
+    if (!paused || untilNextCopy) {
+      // Skipping the next copy needs the monitor running to see it;
+      // starting resets its baseline so copies made while paused are not picked up
+      this.monitor.start();
+    } else {
+      this.monitor.stop();
+    }
+    
+    if (paused && until) {
+      this.pauseTimer = setTimeout(() => this.resumeCapture(), until - Date.now());
+    }
+    
+    this.updateTrayState();
+    
+    if (this.clipboardWindow) {
+      this.clipboardWindow.webContents.send('pause-state-changed', this.getPauseStateForRenderer());
+    }
+  }
+
+  describePauseState() {
+    const { paused, until, untilNextCopy } = this.pauseState;
+    
+    if (!paused) return 'capturing';
+    if (untilNextCopy) return 'paused until the next copy';
+    if (until) {
+      const time = new Date(until).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+      return `paused until ${time}`;
+    }
+    return 'paused until resumed';
+  }
+
+  getPauseStateForRenderer() {
+    return { ...this.pauseState, description: this.describePauseState() };
+  }
+
+  getPauseMenuTemplate() {
+    if (this.pauseState.paused) {
+      return [{
+        label: `Resume Capture (${this.describePauseState()})`,
+        click: () => this.resumeCapture()
+      }];
+    }
+    
+    return [{
+      label: 'Pause Capture',
+      submenu: [
+        { label: 'Until Resumed', click: () => this.pauseCapture() },
+        { label: 'For 5 Minutes', click: () => this.pauseCapture({ minutes: 5 }) },
+        { label: 'For 15 Minutes', click: () => this.pauseCapture({ minutes: 15 }) },
+        { label: 'For 1 Hour', click: () => this.pauseCapture({ minutes: 60 }) },
+        { type: 'separator' },
+        { label: 'Skip Next Copy', click: () => this.pauseCapture({ untilNextCopy: true }) }
+      ]
+    }];
+  }
+
+  registerPasteNextShortcut() {
+    const shortcut = this.store.get('pasteNextShortcut', 'Control+Option+Command+N');
+    if (!shortcut) return true;
+    
+    const success = globalShortcut.register(shortcut, () => {
+      console.log('Paste next shortcut triggered');
+      this.pasteNextFromQueue();
+    });
+    
+    console.log(success ? `Paste next shortcut ${shortcut} registered successfully` : `Failed to register paste next shortcut ${shortcut}`);
+    return success;
+  }
+
+  /**
+   * Start collecting copies and picked items into the paste queue, or stop
+   * and drop what is left in it
+   */
+  setPasteQueueActive(active) {
+    if (active) {
+      this.pasteQueue.start();
+    } else {
+      this.pasteQueue.stop();
+    }
+    console.log(active ? 'Paste queue started' : 'Paste queue stopped');
+    this.notifyPasteQueueChanged();
+  }
+
+  setPasteQueueOrder(order) {
+    this.pasteQueue.setOrder(order);
+    this.store.set('pasteQueueOrder', order);
+    this.notifyPasteQueueChanged();
+  }
+
+  clearPasteQueue() {
+    this.pasteQueue.clear();
+    this.notifyPasteQueueChanged();
+  }
+
+  /**
+   * Add an item to the paste queue, to go on the clipboard in the given format
+   */
+  queueItem(item, format = 'original') {
+    const waiting = this.pasteQueue.add({ item, format });
+    console.log(`Queued item for pasting, ${waiting} waiting`);
+    this.notifyPasteQueueChanged();
+    return waiting;
+  }
+
+  /**
+   * Put the next queue entry on the clipboard, for the paste next shortcut
+   */
+  pasteNextFromQueue() {
+    const entry = this.pasteQueue.next();
+    if (!entry) {
+      this.showSystemNotification('Paste Queue Empty', this.pasteQueue.active
+        ? 'Copy or pick items to add them to the queue'
+        : 'Start the paste queue from the tray menu or the clipboard window');
+      return false;
+    }
+    
+    const { item, format } = entry;
+    let copied = false;
+    try {
+      const converted = getPasteContent(item, format);
+      if (converted) {
+        clipboard.write(converted);
+        copied = true;
+      } else {
+        copied = this.writeItemToClipboard(item);
+      }
+    } catch (error) {
+      console.error('Error putting queue entry on the clipboard:', error);
+    }
+    
+    // Our own write is a paste, not a new copy to capture (or queue again)
+    if (this.monitor) {
+      this.monitor.resetBaseline();
+    }
+    
+    if (copied) {
+      this.recordActivity('pastes');
+      // Snippets and items that have since left history have no count to update
+      if (this.clipboardHistory.includes(item)) {
+        item.pasteCount++;
+        this.saveHistory();
+      }
+    } else {
+      this.showSystemNotification('Queue Entry Skipped', `${this.getPasteQueueEntryLabel(item)} could not be put on the clipboard`);
+    }
+    
+    console.log(`Paste queue: ${this.describePasteQueue()}`);
+    this.notifyPasteQueueChanged();
+    return copied;
+  }
+
+  describePasteQueue() {
+    const { pasted, total } = this.pasteQueue.getPosition();
+    if (total === 0) return 'empty';
+    return `${pasted} of ${total} pasted`;
+  }
+
+  getPasteQueueEntryLabel(item) {
+    if (item.sensitive) return item.sensitive.label;
+    if (item.type === 'image') return 'Image';
+    const label = item.preview || item.text || '';
+    return label.length > 40 ? label.substring(0, 40) + '…' : label;
+  }
+
+  getPasteQueueState() {
+    return {
+      active: this.pasteQueue.active,
+      order: this.pasteQueue.order,
+      ...this.pasteQueue.getPosition(),
+      description: this.describePasteQueue(),
+      upcoming: this.pasteQueue.getUpcoming().map(({ item, format }) => ({
+        label: this.getPasteQueueEntryLabel(item),
+        format: format === 'original' ? null : PASTE_FORMAT_LABELS[format]
+      }))
+    };
+  }
+
+  notifyPasteQueueChanged() {
+    this.updateTrayState();
+    
+    if (this.clipboardWindow) {
+      this.clipboardWindow.webContents.send('paste-queue-changed', this.getPasteQueueState());
+    }
+  }
+
+  getPasteQueueMenuTemplate() {
+    if (!this.pasteQueue.active) {
+      return [{ label: 'Start Paste Queue', click: () => this.setPasteQueueActive(true) }];
+    }
+    
+    const { pasted, total } = this.pasteQueue.getPosition();
+    return [{
+      label: `Paste Queue (${this.describePasteQueue()})`,
+      submenu: [
+        { label: 'Put Next on Clipboard', enabled: pasted < total, click: () => this.pasteNextFromQueue() },
+        { label: 'Clear Queue', enabled: total > 0, click: () => this.clearPasteQueue() },
+        { type: 'separator' },
+        { label: 'First In, First Out', type: 'radio', checked: this.pasteQueue.order === 'fifo', click: () => this.setPasteQueueOrder('fifo') },
+        { label: 'Last In, First Out', type: 'radio', checked: this.pasteQueue.order === 'lifo', click: () => this.setPasteQueueOrder('lifo') },
+        { type: 'separator' },
+        { label: 'Stop Paste Queue', click: () => this.setPasteQueueActive(false) }
+      ]
+    }];
+  }
+
+  /**
+   * Tell the user something when the clipboard window may not be open
+   */
+  showSystemNotification(title, body) {
+    if (this.store.get('notificationsEnabled', true) && Notification.isSupported()) {
+      new Notification({ title, body }).show();
+    }
+  }
 
 
   setupTray() {
@@ -185,22 +502,34 @@ class ClipboardManager {
     this.tray = new Tray(trayIcon);
     
     // Only set emoji title if we couldn't load the actual icon
-    if (trayIcon.isEmpty()) {
-      this.tray.setTitle('📎');
-    }
+    this.trayIconEmpty = trayIcon.isEmpty();
     
-    const contextMenu = Menu.buildFromTemplate([
+    // Rebuilt on every right click so the pause entries reflect the current state
+    const buildContextMenu = () => Menu.buildFromTemplate([
       {
         label: 'Open HBIClipboard Manager',
         click: () => {
           this.showClipboardWindow(true); // Force top right positioning
         }
       },
+      ...this.getPauseMenuTemplate(),
+      ...this.getPasteQueueMenuTemplate(),
+      { type: 'separator' },
+      {
+        label: 'Export History',
+        submenu: Object.entries(historyTransfer.EXPORT_FORMATS).map(([format, { label }]) => ({
+          label,
+          click: () => this.exportHistory(format)
+        }))
+      },
+      {
+        label: 'Import History…',
+        click: () => this.importHistory()
+      },
       {
         label: 'Clear History',
         click: async () => {
-          this.clipboardHistory = [];
-          this.store.set('clipboardHistory', []);
+          await this.clearHistory();
           console.log('Clipboard history cleared from tray menu');
         }
       },
@@ -214,7 +543,7 @@ class ClipboardManager {
     ]);
     
     // Don't set context menu by default - we'll handle clicks manually
-    this.tray.setToolTip('HBIClipboard Manager - Option+Cmd+V');
+    this.updateTrayState();
     
     // Left click - open HBIClipboard Manager in top right (always)
     this.tray.on('click', () => {
@@ -223,10 +552,30 @@ class ClipboardManager {
     
     // Right click - show context menu
     this.tray.on('right-click', () => {
-      this.tray.popUpContextMenu(contextMenu);
+      this.tray.popUpContextMenu(buildContextMenu());
     });
   }
 
+  /**
+   * Reflect the pause state and paste queue in the tray title and tooltip
+   */
+  updateTrayState() {
+    if (!this.tray) return;
+    
+    const paused = this.pauseState.paused;
+    const title = (this.trayIconEmpty ? '📎' : '') + (paused ? '⏸' : '') + (this.historyLocked ? '🔒' : '');
+    this.tray.setTitle(title);
+    
+    if (this.historyLocked) {
+      this.tray.setToolTip('HBIClipboard Manager - History locked');
+    } else {
+      const tooltip = paused
+        ? `HBIClipboard Manager - Capture ${this.describePauseState()}`
+        : 'HBIClipboard Manager - Option+Cmd+V';
+      this.tray.setToolTip(this.pasteQueue.active ? `${tooltip} - Paste queue ${this.describePasteQueue()}` : tooltip);
+    }
+  }
+
   async showClipboardWindow(forceTopRight = false) {
     try {
       console.log('Attempting to show clipboard window...', forceTopRight ? '(forced top right)' : '');
@@ -238,6 +587,14 @@ class ClipboardManager {
       }
       
       this.isWindowInitializing = true;
+      this.clearCloseWindowTimer();
+      
+      // Ask before our window takes focus; reopening it keeps the original target.
+      // Not awaited: the tool answers while the window is still loading, and
+      // the answer is only needed at paste time.
+      if (!this.clipboardWindow || !this.clipboardWindow.isFocused()) {
+        this.pasteTarget = this.capturePasteTarget();
+      }
       
       // Get cursor position for window positioning (unless forcing top right)
       if (!forceTopRight) {
@@ -316,6 +673,12 @@ class ClipboardManager {
           return;
         }
         
+        // File and message dialogs take focus from the window while they are open
+        if (this.dialogOpen) {
+          console.log('Ignoring blur event - dialog open');
+          return;
+        }
+        
         console.log('Window blur detected');
         
         // Small delay to prevent accidental closes
@@ -353,6 +716,82 @@ class ClipboardManager {
     }
   }
 
+  /**
+   * Close the window after the in-window notification has had time to show
+   */
+  scheduleCloseWindow() {
+    this.clearCloseWindowTimer();
+    this.closeWindowTimer = setTimeout(() => {
+      this.closeWindowTimer = null;
+      this.destroyClipboardWindow();
+    }, 2800); // Slightly longer than notification display time
+  }
+
+  clearCloseWindowTimer() {
+    if (this.closeWindowTimer) {
+      clearTimeout(this.closeWindowTimer);
+      this.closeWindowTimer = null;
+    }
+  }
+
+  async capturePasteTarget() {
+    if (!this.pasteInjector) return null;
+    
+    try {
+      const target = await this.pasteInjector.captureTarget();
+      console.log('Paste target:', target);
+      return target;
+    } catch (error) {
+      console.log('Could not capture paste target:', error.message);
+      return null;
+    }
+  }
+
+  getPasteFormat(format) {
+    if (format !== undefined && !PASTE_FORMATS.includes(format)) {
+      throw new Error(`Unknown paste format: ${format}`);
+    }
+    return format || 'original';
+  }
+
+  /**
+   * Whether picking an item should paste it, rather than only copy it
+   */
+  shouldPaste(copyOnly) {
+    return !copyOnly && Boolean(this.pasteInjector) && this.store.get('autoPaste', true);
+  }
+
+  /**
+   * Hide the window, give focus back to the app it was opened from and press
+   * paste there. The item is already on the clipboard, so when any step fails
+   * the user is told to paste it themselves.
+   */
+  async pasteToPreviousApp() {
+    const pendingTarget = this.pasteTarget;
+    this.pasteTarget = null;
+    this.clearCloseWindowTimer();
+    this.hideClipboardWindow();
+    
+    try {
+      // capturePasteTarget never rejects, it resolves to null instead
+      const target = await pendingTarget;
+      if (target) {
+        await this.pasteInjector.activate(target);
+      }
+      // Let the target app handle the focus change before the keystroke arrives
+      await new Promise(resolve => setTimeout(resolve, 100));
+      await this.pasteInjector.sendPaste();
+      console.log('Pasted into previous app via', this.pasteInjector.name);
+      return true;
+    } catch (error) {
+      console.error('Paste into previous app failed:', error.message);
+      this.showSystemNotification('Could Not Paste', 'The item is on the clipboard, paste it with ' + (process.platform === 'darwin' ? 'Cmd+V' : 'Ctrl+V'));
+      return false;
+    } finally {
+      this.destroyClipboardWindow();
+    }
+  }
+
   destroyClipboardWindow() {
     if (this.clipboardWindow) {
       console.log('Destroying clipboard window...');
@@ -424,213 +863,2280 @@ class ClipboardManager {
     return { x, y };
   }
 
-  addToHistory(clipboardData) {
-    // Remove duplicate if exists
-    this.clipboardHistory = this.clipboardHistory.filter(item => {
-      if (item.type !== clipboardData.type) return true;
-      if (item.type === 'text' || item.type === 'richtext') {
-        return item.text !== clipboardData.text;
-      } else if (item.type === 'image') {
-        // For images, compare the dataUrl since buffers are harder to compare
-        return item.dataUrl !== clipboardData.dataUrl;
+  getCaptureRules() {
+    return mergeWithDefaults(
+      this.store.get('captureRules', []),
+      this.store.get('captureRuleOverrides', {})
+    );
+  }
+
+  /**
+   * Run capture rules on a clipboard change before it reaches history
+   */
+  handleClipboardChange(clipboardData) {
+    if (this.historyLocked) {
+      console.log('History is locked, not capturing');
+      return;
+    }
+    
+    if (this.pauseState.paused) {
+      if (this.pauseState.untilNextCopy) {
+        console.log('Skipped one copy while paused, resuming capture');
+        this.resumeCapture();
       }
-      return true;
-    });
+      return;
+    }
     
-    // Add to beginning of array
-    const newItem = {
-      ...clipboardData,
-      timestamp: Date.now(),
-      id: Date.now().toString()
-    };
+    if (!this.prepareCapture(clipboardData)) return;
+    
+    const item = this.addToHistory(clipboardData);
+    
+    if (this.pasteQueue.active) {
+      this.queueItem(item);
+    }
+  }
+
+  /**
+   * Classify an item and run capture rules and sensitive detection on it, for
+   * copies and for text made in the app (transforms, merges) alike. Returns
+   * false when a capture rule says to ignore it.
+   */
+  prepareCapture(clipboardData) {
+    if (clipboardData.type === 'files') {
+      clipboardData.files = describeFiles(clipboardData.files.map(file => file.path));
+    }
+    
+    this.classifyItem(clipboardData);
     
-    // Special handling for image buffers to ensure they're stored properly
-    if (newItem.type === 'image' && newItem.imageBuffer) {
-      console.log('Storing image item, buffer type:', typeof newItem.imageBuffer);
-      console.log('Is Buffer:', Buffer.isBuffer(newItem.imageBuffer));
+    const result = evaluateRules(clipboardData, this.getCaptureRules());
+    
+    if (result) {
+      console.log(`Capture rule "${result.rule.name}" matched, action: ${result.action}`);
       
-      // Convert buffer to a format that electron-store can handle
-      if (Buffer.isBuffer(newItem.imageBuffer)) {
-        // Store as base64 string to avoid serialization issues
-        newItem.imageBufferBase64 = newItem.imageBuffer.toString('base64');
-        delete newItem.imageBuffer; // Remove original buffer
-        console.log('Converted buffer to base64, length:', newItem.imageBufferBase64.length);
+      if (result.action === 'ignore') {
+        return false;
+      } else if (result.action === 'session') {
+        clipboardData.ephemeral = true;
+      } else if (result.action === 'expire') {
+        clipboardData.expiresAt = Date.now() + result.expireAfterMinutes * 60000;
       }
     }
     
-    this.clipboardHistory.unshift(newItem);
+    this.applySensitiveDetection(clipboardData);
     
-    // Limit history size (use configured limit or default to 50)
-    const historyLimit = this.store.get('historyLimit', 50);
-    if (this.clipboardHistory.length > historyLimit) {
-      this.clipboardHistory = this.clipboardHistory.slice(0, historyLimit);
+    if (!clipboardData.sensitive) {
+      const autoTags = tagging.getAutoTags(clipboardData, this.store.get('autoTagRules', []));
+      if (autoTags.length > 0) {
+        clipboardData.tags = autoTags;
+      }
     }
     
-    // Save to persistent storage
-    this.store.set('clipboardHistory', this.clipboardHistory);
+    return true;
+  }
+
+  /**
+   * Tag text items with a subtype (url, email, color, ...) that the list and rules can use
+   */
+  classifyItem(item) {
+    if ((item.type !== 'text' && item.type !== 'richtext') || item.sensitive || item.subtype !== undefined) {
+      return;
+    }
     
-    // Update window if open
-    if (this.clipboardWindow) {
-      this.clipboardWindow.webContents.send('history-updated', this.clipboardHistory);
+    const result = classifyText(item.text);
+    if (result) {
+      const { subtype, ...classification } = result;
+      item.subtype = subtype;
+      item.classification = classification;
+    } else {
+      item.subtype = null;
     }
   }
 
-  setupIPC() {
-    ipcMain.handle('get-clipboard-history', () => {
-      return this.clipboardHistory;
-    });
+  /**
+   * Flag secrets so they stay off disk, are masked in the list and expire quickly
+   */
+  applySensitiveDetection(clipboardData) {
+    if (!this.store.get('sensitiveDetectionEnabled', true)) return;
+    
+    const sensitive = detectSensitive(clipboardData);
+    if (!sensitive) return;
+    
+    console.log('Sensitive content detected:', sensitive.label);
+    
+    const expiryMinutes = this.store.get('sensitiveExpiryMinutes', 5);
+    const expiresAt = Date.now() + expiryMinutes * 60000;
+    
+    clipboardData.sensitive = sensitive;
+    clipboardData.ephemeral = true;
+    
+    // Classification details such as a URL's domain would leak past the mask
+    delete clipboardData.subtype;
+    delete clipboardData.classification;
+    clipboardData.expiresAt = Math.min(clipboardData.expiresAt || Infinity, expiresAt);
+  }
 
-    ipcMain.handle('get-history-limit', () => {
-      return this.store.get('historyLimit', 50);
-    });
+  /**
+   * One page of history for the window, filtered and ordered as asked. The
+   * full result is kept so paging through it does not run the query again.
+   */
+  queryHistory({ query = '', tags = [], collectionId = null, offset = 0, limit = MAX_PAGE_SIZE } = {}) {
+    const sortMode = this.store.get('sortMode', 'recent');
+    const key = JSON.stringify({ query, tags, collectionId, sortMode });
+    
+    if (!this.historyQuery || this.historyQuery.key !== key) {
+      try {
+        this.historyQuery = { key, ...runQuery(this.clipboardHistory, { query, tags, collectionId, sortMode }) };
+      } catch (error) {
+        return { error: error.message, items: [], total: 0, offset: 0 };
+      }
+    }
+    
+    const { items, sections, sectionCount, ranked } = this.historyQuery;
+    const start = Math.max(0, offset);
+    const end = start + Math.min(Math.max(1, limit), MAX_PAGE_SIZE);
+    
+    return {
+      items: items.slice(start, end).map((item, index) => ({
+        ...this.getItemSummary(item),
+        section: sections[start + index],
+        sectionStart: sections[start + index] !== sections[start + index - 1]
+      })),
+      total: items.length,
+      offset: start,
+      sectionCount,
+      ranked,
+      tagCounts: getTagCounts(this.clipboardHistory),
+      hasKeptItems: this.clipboardHistory.some(item => item.pinned || item.collectionIds)
+    };
+  }
 
-    ipcMain.handle('select-clipboard-item', async (event, itemId) => {
-      const item = this.clipboardHistory.find(h => h.id === itemId);
-      if (!item) return;
+  /**
+   * What the list shows for an item: no full text or rich flavors. The window
+   * asks for the whole item with getRendererItem when it opens one.
+   */
+  getItemSummary(item) {
+    const { text, html, rtf, bookmark, ...summary } = this.getRendererItem(item);
+    return summary;
+  }
 
-      // Move item to top of history
-      this.clipboardHistory = this.clipboardHistory.filter(h => h.id !== itemId);
-      this.clipboardHistory.unshift(item);
-      this.store.set('clipboardHistory', this.clipboardHistory);
+  getRendererItem(item) {
+    // The window only ever gets thumbnails; full images stay in main
+    if (item.imageStored) {
+      item = { ...item, thumbnailUrl: this.historyStore.getThumbnailDataUrl(item.id) };
+    } else if (item.imageBufferBase64) {
+      const { imageBufferBase64, ...rest } = item;
+      item = rest;
+    }
+    
+    if (item.type === 'files') {
+      return { ...item, files: refreshFileExistence(item.files) };
+    }
+    if (!item.sensitive) return item;
+    
+    const { text, html, rtf, bookmark, ...masked } = item;
+    return { ...masked, preview: maskPreview(item) };
+  }
 
-      // Set clipboard content
-      if (item.type === 'text' || item.type === 'richtext') {
-        console.log('Setting text to clipboard:', item.text.substring(0, 50) + '...');
-        clipboard.writeText(item.text);
-        
-        // Show in-window notification (if enabled)
-        const notificationsEnabled = this.store.get('notificationsEnabled', true);
-        if (notificationsEnabled) {
-          const textPreview = item.text.length > 50 ? item.text.substring(0, 50) + '...' : item.text;
-          const notificationTitle = item.type === 'richtext' ? 'Rich Text Copied' : 'Text Copied';
-          if (this.clipboardWindow) {
-            this.clipboardWindow.webContents.send('show-notification', {
-              title: notificationTitle,
-              message: `"${textPreview}" is ready to paste`,
-              type: 'success'
-            });
-          }
-        }
-      } else if (item.type === 'image') {
-        console.log('Setting image to clipboard...');
-        console.log('Item has imageBufferBase64:', !!item.imageBufferBase64);
-        console.log('Item has imageBuffer:', !!item.imageBuffer);
-        
-        let buffer = null;
-        
-        // Try to get buffer from different possible formats
-        if (item.imageBufferBase64) {
-          console.log('Using base64 buffer, length:', item.imageBufferBase64.length);
-          buffer = Buffer.from(item.imageBufferBase64, 'base64');
-        } else if (item.imageBuffer) {
-          console.log('Using direct buffer, size:', item.imageBuffer ? item.imageBuffer.length : 'undefined');
-          buffer = item.imageBuffer;
-          
-          // Ensure buffer is actually a Buffer
-          if (!Buffer.isBuffer(buffer)) {
-            console.log('Converting imageBuffer data to Buffer...');
-            if (buffer && buffer.data) {
-              // Handle case where buffer was serialized as {type: 'Buffer', data: [...]}
-              buffer = Buffer.from(buffer.data);
-            } else if (Array.isArray(buffer)) {
-              // Handle case where buffer was serialized as array
-              buffer = Buffer.from(buffer);
-            } else {
-              console.error('Cannot convert imageBuffer to Buffer:', typeof buffer);
-              return;
-            }
-          }
-        } else {
-          console.error('No image buffer found for item:', item.id);
-          return;
-        }
-        
-        try {
-          // Convert buffer back to NativeImage
-          const { nativeImage } = require('electron');
-          const image = nativeImage.createFromBuffer(buffer);
-          console.log('Created NativeImage, isEmpty:', image.isEmpty());
-          
-          if (image.isEmpty()) {
-            console.error('Created NativeImage is empty');
-            return;
-          }
-          
-          clipboard.writeImage(image);
-          
-          // Verify the image was set correctly
-          const verifyImage = clipboard.readImage();
-          console.log('Clipboard image verification - isEmpty:', verifyImage.isEmpty());
-          
-          // Show in-window notification (if enabled)
-          const notificationsEnabled = this.store.get('notificationsEnabled', true);
-          if (notificationsEnabled && this.clipboardWindow) {
-            this.clipboardWindow.webContents.send('show-notification', {
-              title: 'Image Copied',
-              message: 'Image is ready to paste',
-              type: 'success'
-            });
-          }
-        } catch (error) {
-          console.error('Error setting image to clipboard:', error);
-          // Show error notification (if enabled)
-          const notificationsEnabled = this.store.get('notificationsEnabled', true);
-          if (notificationsEnabled && this.clipboardWindow) {
-            this.clipboardWindow.webContents.send('show-notification', {
-              title: 'Error',
-              message: 'Failed to copy image to clipboard',
-              type: 'error'
-            });
-          }
-        }
-      }
+  /**
+   * Split what the store holds into history and trash
+   */
+  loadHistory() {
+    this.migrateLegacyHistory();
+    
+    const items = this.historyStore.load();
+    this.clipboardHistory = items.filter(item => !item.trashedAt);
+    this.trash = items.filter(item => item.trashedAt);
+    this.clipboardHistory.forEach(item => this.classifyItem(item));
+  }
 
-      // Delay window destruction to show notification
-      setTimeout(() => {
-        this.destroyClipboardWindow();
-      }, 2800); // Slightly longer than notification display time
+  /**
+   * Persist history and trash, leaving out items that should only live for this session
+   */
+  saveHistory() {
+    this.historyQuery = null;
+    if (this.historyLocked) return;
+    this.historyStore.save(this.getStoredItems());
+  }
 
-      console.log('Item set to clipboard and ready for pasting');
-    });
+  getPersistedHistory() {
+    return this.clipboardHistory.filter(item => !item.ephemeral);
+  }
 
-    ipcMain.handle('close-clipboard-window', () => {
-      this.destroyClipboardWindow();
-    });
+  getStoredItems() {
+    return [...this.getPersistedHistory(), ...this.trash.filter(item => !item.ephemeral)];
+  }
 
-    ipcMain.handle('clear-clipboard-history', () => {
-      console.log('Clearing clipboard history...');
-      this.clipboardHistory = [];
-      this.store.set('clipboardHistory', []);
-      
-      // Update window if open
-      if (this.clipboardWindow) {
-        this.clipboardWindow.webContents.send('history-updated', this.clipboardHistory);
-      }
-      
-      console.log('Clipboard history cleared');
+  /**
+   * Give the history store its key if one can be loaded without the user.
+   * Returns false when history has to stay locked.
+   */
+  loadEncryptionKey() {
+    const encryption = this.store.get('historyEncryption', null);
+    if (!encryption) return true;
+    
+    if (encryption.mode !== 'keychain') return false;
+    
+    if (!safeStorage.isEncryptionAvailable()) {
+      console.error('History is encrypted with a keychain key but the keychain is not available');
+      return false;
+    }
+    
+    try {
+      const key = Buffer.from(safeStorage.decryptString(Buffer.from(encryption.wrappedKey, 'base64')), 'base64');
+      this.historyStore.setEncryptionKey(key);
       return true;
-    });
+    } catch (error) {
+      console.error('Could not read the history key from the keychain:', error.message);
+      return false;
+    }
+  }
 
-    ipcMain.handle('update-history-limit', (event, limit) => {
-      console.log('Updating history limit to:', limit);
-      
-      // Truncate current history if needed
-      if (this.clipboardHistory.length > limit) {
-        this.clipboardHistory = this.clipboardHistory.slice(0, limit);
-        this.store.set('clipboardHistory', this.clipboardHistory);
-        
-        // Update window if open
+  getEncryptionState() {
+    const encryption = this.store.get('historyEncryption', null);
+    return {
+      mode: encryption ? encryption.mode : 'off',
+      locked: this.historyLocked,
+      keychainAvailable: this.isKeychainUsable()
+    };
+  }
+
+  isKeychainUsable() {
+    if (!safeStorage.isEncryptionAvailable()) return false;
+    // On Linux without a secret service Electron falls back to a hard-coded password
+    if (process.platform === 'linux' && safeStorage.getSelectedStorageBackend) {
+      return safeStorage.getSelectedStorageBackend() !== 'basic_text';
+    }
+    return true;
+  }
+
+  /**
+   * Unlock passphrase-encrypted history and start capturing again
+   */
+  unlockHistory(passphrase) {
+    const encryption = this.store.get('historyEncryption', null);
+    if (!this.historyLocked || !encryption) return this.getEncryptionState();
+    
+    if (encryption.mode === 'keychain') {
+      if (!this.loadEncryptionKey()) {
+        throw new Error('The system keychain is not available');
+      }
+    } else {
+      const key = historyCrypto.deriveKey(String(passphrase || ''), Buffer.from(encryption.salt, 'base64'));
+      if (!historyCrypto.checkVerifier(key, encryption.verifier)) {
+        throw new Error('Wrong passphrase');
+      }
+      this.historyStore.setEncryptionKey(key);
+    }
+    
+    this.historyLocked = false;
+    this.loadHistory();
+    this.enforceRetention();
+    this.updateTrayState();
+    this.notifyHistoryUpdated();
+    
+    // Copies made while locked were never seen, so start from what is on the clipboard now
+    if (this.monitor) {
+      this.monitor.resetBaseline();
+    }
+    
+    console.log('History unlocked');
+    return this.getEncryptionState();
+  }
+
+  /**
+   * Turn encryption off, or on with a keychain key or passphrase, rewriting the
+   * stored history with the new key. The new settings wait under
+   * historyEncryptionPending until the rewritten files have replaced the old
+   * ones, so the key settings in use always match what is on disk.
+   */
+  setEncryption({ mode, passphrase }) {
+    if (this.historyLocked) {
+      throw new Error('Unlock history before changing encryption');
+    }
+    
+    const previous = this.store.get('historyEncryption', null);
+    let key = null;
+    let encryption = null;
+    
+    if (mode === 'off') {
+      if (!previous) return this.getEncryptionState();
+    } else if (mode === 'keychain') {
+      if (!this.isKeychainUsable()) {
+        throw new Error('The system keychain is not available on this machine');
+      }
+      key = historyCrypto.generateKey();
+      encryption = {
+        mode,
+        wrappedKey: safeStorage.encryptString(key.toString('base64')).toString('base64'),
+        verifier: historyCrypto.createVerifier(key)
+      };
+    } else if (mode === 'passphrase') {
+      if (!passphrase || passphrase.length < 8) {
+        throw new Error('Passphrase must be at least 8 characters');
+      }
+      const salt = historyCrypto.generateSalt();
+      key = historyCrypto.deriveKey(passphrase, salt);
+      encryption = {
+        mode,
+        salt: salt.toString('base64'),
+        verifier: historyCrypto.createVerifier(key)
+      };
+    } else {
+      throw new Error(`Unknown encryption mode: ${mode}`);
+    }
+    
+    console.log(`Rewriting history with encryption ${mode}...`);
+    this.store.set('historyEncryptionPending', { encryption });
+    try {
+      this.historyStore.rewrite(this.getStoredItems(), key);
+    } catch (error) {
+      // Depending on how far it got, either the old files or the new ones are in place
+      if (!this.recoverEncryptionChange()) {
+        throw error;
+      }
+      this.historyStore.setEncryptionKey(key);
+    }
+    
+    this.applyEncryptionSettings(encryption);
+    this.store.delete('historyEncryptionPending');
+    this.historyStore.finishRewrite();
+    
+    console.log('History encryption is now', mode);
+    return this.getEncryptionState();
+  }
+
+  applyEncryptionSettings(encryption) {
+    if (encryption) {
+      this.store.set('historyEncryption', encryption);
+    } else {
+      this.store.delete('historyEncryption');
+    }
+  }
+
+  /**
+   * Finish or roll back an encryption change that was interrupted, at startup
+   * before the key is loaded. Returns true when the change went through.
+   */
+  recoverEncryptionChange() {
+    const pending = this.store.get('historyEncryptionPending', null);
+    const rewritten = this.historyStore.recoverRewrite();
+    if (!pending) return false;
+    
+    if (rewritten) {
+      this.applyEncryptionSettings(pending.encryption);
+      console.log('Finished an interrupted history encryption change');
+    } else {
+      console.log('Rolled back an interrupted history encryption change');
+    }
+    this.store.delete('historyEncryptionPending');
+    return rewritten;
+  }
+
+  /**
+   * Move history out of the electron-store JSON blob into the history store,
+   * next to anything already there. The schema migrations write each embedded
+   * image out as its own file. Runs once the key is loaded, so an encrypted
+   * store can be read.
+   */
+  migrateLegacyHistory() {
+    if (!this.store.has('clipboardHistory')) return;
+    
+    const legacyHistory = this.store.get('clipboardHistory', []);
+    console.log(`Migrating ${legacyHistory.length} history items out of electron-store...`);
+    
+    const migrated = this.historyStore.importLegacy(legacyHistory);
+    this.store.delete('clipboardHistory');
+    console.log(`Migrated ${migrated.length} history items`);
+  }
+
+  notifyHistoryUpdated() {
+    this.historyQuery = null;
+    if (this.clipboardWindow) {
+      this.clipboardWindow.webContents.send('history-updated');
+    }
+  }
+
+  /**
+   * Drop items removed by the history limit, per-item expiry or retention
+   * policy. Returns how many were removed; the caller saves.
+   */
+  applyRetention() {
+    const { kept, removed } = applyRetentionPolicy(this.clipboardHistory, {
+      policy: getRetentionPolicy(this.store.get('retentionPolicy', {})),
+      historyLimit: this.store.get('historyLimit', 50)
+    });
+    
+    if (removed.length > 0) {
+      const reasons = removed.reduce((counts, { reason }) => ({ ...counts, [reason]: (counts[reason] || 0) + 1 }), {});
+      console.log(`Retention removed ${removed.length} item(s):`, reasons);
+      this.clipboardHistory = kept;
+    }
+    
+    return removed.length;
+  }
+
+  enforceRetention() {
+    // Expired items leave the paste queue too; it holds its own references
+    const now = Date.now();
+    if (this.pasteQueue.remove(item => item.expiresAt && item.expiresAt <= now) > 0) {
+      this.notifyPasteQueueChanged();
+    }
+    
+    const purged = this.purgeTrash();
+    if (this.applyRetention() > 0) {
+      this.saveHistory();
+      this.notifyHistoryUpdated();
+    } else if (purged > 0) {
+      this.saveHistory();
+    }
+  }
+
+  /**
+   * Permanently delete trashed items older than the trash retention time, or
+   * past their own expiry
+   */
+  purgeTrash() {
+    const now = Date.now();
+    const cutoff = now - this.store.get('trashRetentionHours', 24) * 60 * 60 * 1000;
+    const isExpired = item => item.trashedAt <= cutoff || (item.expiresAt && item.expiresAt <= now);
+    
+    const expired = this.trash.filter(isExpired).length;
+    if (expired > 0) {
+      this.trash = this.trash.filter(item => !isExpired(item));
+      console.log(`Emptied ${expired} item(s) from the trash`);
+    }
+    return expired;
+  }
+
+  /**
+   * Move items from history to the trash, where they can be restored until the
+   * trash retention time runs out. Sensitive items are deleted outright, as is
+   * everything when the trash is turned off. Returns the ids that were trashed.
+   */
+  trashItems(items) {
+    const ids = new Set(items.map(item => item.id));
+    this.clipboardHistory = this.clipboardHistory.filter(item => !ids.has(item.id));
+    
+    const keepInTrash = this.store.get('trashRetentionHours', 24) > 0;
+    const trashed = keepInTrash ? items.filter(item => !item.sensitive) : [];
+    const now = Date.now();
+    trashed.forEach(item => {
+      item.trashedAt = now;
+    });
+    this.trash = [...trashed, ...this.trash];
+    
+    this.saveHistory();
+    this.notifyHistoryUpdated();
+    
+    console.log(`Deleted ${items.length} item(s), ${trashed.length} kept in the trash`);
+    return trashed.map(item => item.id);
+  }
+
+  /**
+   * Tell the window about a deletion, with an Undo button when the items are in the trash
+   */
+  showUndoNotification(title, message, trashedIds) {
+    if (this.clipboardWindow) {
+      this.clipboardWindow.webContents.send('show-notification', {
+        title,
+        message,
+        type: 'success',
+        undoIds: trashedIds.length > 0 ? trashedIds : undefined
+      });
+    }
+  }
+
+  /**
+   * History items with the given ids, in the order given; ids no longer in
+   * history are skipped
+   */
+  getItemsByIds(itemIds) {
+    const byId = new Map(this.clipboardHistory.map(item => [item.id, item]));
+    return [...new Set(itemIds)].map(id => byId.get(id)).filter(Boolean);
+  }
+
+  deleteItems(itemIds) {
+    const items = this.getItemsByIds(itemIds);
+    if (items.length === 0) return 0;
+    
+    const trashedIds = this.trashItems(items);
+    const label = `${items.length} item${items.length === 1 ? '' : 's'}`;
+    this.showUndoNotification('Items Deleted', trashedIds.length > 0 ? `${label} moved to the trash` : `${label} deleted permanently`, trashedIds);
+    return items.length;
+  }
+
+  /**
+   * Join the text of several items with a separator and put the result on
+   * the clipboard as one item, also saving it to history when asked. Items
+   * without text (images) are left out.
+   */
+  mergeItems(itemIds, separator, { save = false } = {}) {
+    if (typeof separator !== 'string') {
+      throw new Error('Separator must be text');
+    }
+    
+    const texts = this.getItemsByIds(itemIds).filter(item => typeof item.text === 'string').map(item => item.text);
+    if (texts.length === 0) {
+      throw new Error('None of the selected items have text');
+    }
+    
+    const text = texts.join(separator);
+    const merged = { type: 'text', text, preview: this.monitor.createTextPreview(text) };
+    
+    if (save) {
+      if (!this.prepareCapture(merged)) {
+        throw new Error('A capture rule ignores this text, so it was not saved');
+      }
+      this.addToHistory(merged);
+    }
+    
+    const copied = this.copyItemToClipboard(merged);
+    
+    // Saved above if asked for; the clipboard write is not a new copy
+    if (this.monitor) {
+      this.monitor.resetBaseline();
+    }
+    console.log(`Merged ${texts.length} item(s)${save ? ' and saved the result' : ''}`);
+    return copied;
+  }
+
+  deleteItem(itemId) {
+    const item = this.clipboardHistory.find(h => h.id === itemId);
+    if (!item) return false;
+    
+    const trashedIds = this.trashItems([item]);
+    this.showUndoNotification('Item Deleted', trashedIds.length > 0 ? 'Moved to the trash' : 'Deleted permanently', trashedIds);
+    return true;
+  }
+
+  /**
+   * Put trashed items back into history where they were. Items whose content
+   * has been copied again since are dropped instead. Returns how many came back.
+   */
+  restoreItems(itemIds) {
+    const ids = new Set(itemIds);
+    const restoring = this.trash.filter(item => ids.has(item.id));
+    this.trash = this.trash.filter(item => !ids.has(item.id));
+    
+    const existing = new Set(this.clipboardHistory.map(historyTransfer.getContentKey));
+    const restored = restoring.filter(item => !existing.has(historyTransfer.getContentKey(item)));
+    
+    restored.forEach(item => {
+      delete item.trashedAt;
+      const index = this.clipboardHistory.findIndex(h => h.timestamp < item.timestamp);
+      this.clipboardHistory.splice(index === -1 ? this.clipboardHistory.length : index, 0, item);
+    });
+    
+    this.applyRetention();
+    this.saveHistory();
+    this.notifyHistoryUpdated();
+    
+    console.log(`Restored ${restored.length} of ${restoring.length} item(s) from the trash`);
+    return restored.length;
+  }
+
+  getTrash() {
+    return this.trash.map(item => this.getRendererItem(item));
+  }
+
+  deleteTrashItems(itemIds) {
+    const ids = new Set(itemIds);
+    this.trash = this.trash.filter(item => !ids.has(item.id));
+    this.saveHistory();
+    return this.getTrash();
+  }
+
+  /**
+   * Replace a text item's text. The rich text flavors no longer match it, so
+   * the item becomes plain text.
+   */
+  editItemText(itemId, text) {
+    const item = this.clipboardHistory.find(h => h.id === itemId);
+    if (!item) return null;
+    if (item.sensitive || (item.type !== 'text' && item.type !== 'richtext')) {
+      throw new Error('Only text items can be edited');
+    }
+    if (typeof text !== 'string' || !text.trim()) {
+      throw new Error('Text cannot be empty');
+    }
+    if (text === item.text) return item;
+    
+    item.type = 'text';
+    item.text = text;
+    item.preview = this.monitor.createTextPreview(text);
+    delete item.html;
+    delete item.rtf;
+    delete item.bookmark;
+    delete item.subtype;
+    delete item.classification;
+    item.byteSize = getTextByteSize(item) + (item.imageBytes || 0);
+    this.classifyItem(item);
+    
+    this.saveHistory();
+    this.notifyHistoryUpdated();
+    return item;
+  }
+
+  getRetentionState() {
+    return {
+      policy: getRetentionPolicy(this.store.get('retentionPolicy', {})),
+      historyLimit: this.store.get('historyLimit', 50),
+      usage: getUsage(this.clipboardHistory)
+    };
+  }
+
+  addToHistory(clipboardData) {
+    // Remove duplicate if exists
+    let duplicate = null;
+    this.clipboardHistory = this.clipboardHistory.filter(item => {
+      if (item.type !== clipboardData.type) return true;
+      let different = true;
+      if (item.type === 'text' || item.type === 'richtext') {
+        different = item.text !== clipboardData.text || (item.html || '') !== (clipboardData.html || '');
+      } else if (item.type === 'files') {
+        different = item.text !== clipboardData.text;
+      } else if (item.type === 'image') {
+        different = !this.isSameImage(item, clipboardData);
+      }
+      if (!different) duplicate = item;
+      return different;
+    });
+    
+    // Add to beginning of array
+    const now = Date.now();
+    const newItem = {
+      ...clipboardData,
+      schemaVersion: SCHEMA_VERSION,
+      timestamp: now,
+      id: createItemId(),
+      firstSeen: duplicate ? duplicate.firstSeen : now,
+      lastSeen: now,
+      copyCount: duplicate ? duplicate.copyCount + 1 : 1,
+      pasteCount: duplicate ? duplicate.pasteCount : 0
+    };
+    this.recordActivity('copies');
+    
+    // Copying an item again keeps its pin, tags and collections. A copy flagged
+    // sensitive keeps its expiry instead: pins and collections would exempt it
+    // from retention and write it to disk, and sensitive items cannot be pinned.
+    if (duplicate) {
+      const tags = tagging.mergeTags(duplicate.tags || [], newItem.tags || []);
+      if (tags.length > 0) {
+        newItem.tags = tags;
+      }
+      if (!newItem.sensitive) {
+        if (duplicate.collectionIds) {
+          newItem.collectionIds = duplicate.collectionIds;
+        }
+        if (duplicate.pinned) {
+          newItem.pinned = true;
+          newItem.pinOrder = duplicate.pinOrder;
+        }
+        if (duplicate.pinned || duplicate.collectionIds) {
+          delete newItem.ephemeral;
+          delete newItem.expiresAt;
+        }
+      }
+    }
+    newItem.byteSize = getTextByteSize(newItem);
+    
+    // Images go to their own file with a thumbnail; the index only keeps metadata
+    if (Buffer.isBuffer(newItem.imageBuffer)) {
+      const imageBuffer = newItem.imageBuffer;
+      delete newItem.imageBuffer;
+      newItem.byteSize += imageBuffer.length;
+      
+      if (newItem.ephemeral) {
+        // Session-only images never touch the disk
+        newItem.imageBufferBase64 = imageBuffer.toString('base64');
+        newItem.thumbnailUrl = HistoryStore.createThumbnailDataUrl(imageBuffer);
+      } else {
+        Object.assign(newItem, this.historyStore.writeImage(newItem.id, imageBuffer));
+        newItem.imageStored = true;
+        console.log('Stored image blob, size:', imageBuffer.length);
+      }
+    }
+    
+    this.clipboardHistory.unshift(newItem);
+    
+    // History size limit and retention budgets
+    this.applyRetention();
+    
+    // Save to persistent storage
+    this.saveHistory();
+    
+    // Update window if open
+    this.notifyHistoryUpdated();
+    return newItem;
+  }
+
+  /**
+   * Put a history item or snippet on the clipboard in one of the paste-as
+   * formats, then paste it into the previous app, or confirm it in the window
+   * and close the window shortly after
+   */
+  copyItemToClipboard(item, { paste = false, format = 'original' } = {}) {
+    const converted = getPasteContent(item, format);
+    
+    // Set clipboard content
+    if (converted) {
+      console.log(`Setting item to clipboard as ${format}`);
+      clipboard.write(converted);
+      
+      if (this.store.get('notificationsEnabled', true) && this.clipboardWindow) {
+        this.clipboardWindow.webContents.send('show-notification', {
+          title: `${PASTE_FORMAT_LABELS[format]} Copied`,
+          message: item.sensitive ? `${item.sensitive.label} is ready to paste` : 'Ready to paste',
+          type: 'success'
+        });
+      }
+    } else if (item.type === 'text' || item.type === 'richtext') {
+      console.log('Setting text to clipboard:', item.sensitive ? `[${item.sensitive.label}]` : item.text.substring(0, 50) + '...');
+      this.writeItemToClipboard(item);
+      
+      // Show in-window notification (if enabled)
+      const notificationsEnabled = this.store.get('notificationsEnabled', true);
+      if (notificationsEnabled) {
+        const textPreview = item.text.length > 50 ? item.text.substring(0, 50) + '...' : item.text;
+        const notificationTitle = item.type === 'richtext' ? 'Rich Text Copied' : 'Text Copied';
         if (this.clipboardWindow) {
-          this.clipboardWindow.webContents.send('history-updated', this.clipboardHistory);
+          this.clipboardWindow.webContents.send('show-notification', {
+            title: notificationTitle,
+            message: item.sensitive ? `${item.sensitive.label} is ready to paste` : `"${textPreview}" is ready to paste`,
+            type: 'success'
+          });
+        }
+      }
+    } else if (item.type === 'image') {
+      console.log('Setting image to clipboard...');
+      
+      try {
+        if (!this.writeItemToClipboard(item)) {
+          this.quarantineItem(item, 'Image data could not be read');
+          return false;
+        }
+        
+        // Verify the image was set correctly
+        const verifyImage = clipboard.readImage();
+        console.log('Clipboard image verification - isEmpty:', verifyImage.isEmpty());
+        
+        // Show in-window notification (if enabled)
+        const notificationsEnabled = this.store.get('notificationsEnabled', true);
+        if (notificationsEnabled && this.clipboardWindow) {
+          this.clipboardWindow.webContents.send('show-notification', {
+            title: 'Image Copied',
+            message: 'Image is ready to paste',
+            type: 'success'
+          });
+        }
+      } catch (error) {
+        console.error('Error setting image to clipboard:', error);
+        // Show error notification (if enabled)
+        const notificationsEnabled = this.store.get('notificationsEnabled', true);
+        if (notificationsEnabled && this.clipboardWindow) {
+          this.clipboardWindow.webContents.send('show-notification', {
+            title: 'Error',
+            message: 'Failed to copy image to clipboard',
+            type: 'error'
+          });
+        }
+      }
+    } else if (item.type === 'files') {
+      console.log('Setting files to clipboard:', item.files.length);
+      
+      const missing = refreshFileExistence(item.files).filter(file => !file.exists).length;
+      const copied = this.writeItemToClipboard(item);
+      
+      const notificationsEnabled = this.store.get('notificationsEnabled', true);
+      if (notificationsEnabled && this.clipboardWindow) {
+        let notification;
+        if (!copied) {
+          notification = { title: 'Files Missing', message: 'None of these files exist anymore', type: 'error' };
+        } else if (missing > 0) {
+          notification = { title: 'Files Copied', message: `${item.files.length - missing} ready to paste, ${missing} missing`, type: 'success' };
+        } else {
+          const label = item.files.length === 1 ? item.files[0].name : `${item.files.length} items`;
+          notification = { title: 'Files Copied', message: `${label} ready to paste`, type: 'success' };
+        }
+        this.clipboardWindow.webContents.send('show-notification', notification);
+      }
+    }
+
+    console.log('Item set to clipboard and ready for pasting');
+    if (paste) {
+      // Not awaited: the window goes away before the paste, so nothing could receive the result
+      this.pasteToPreviousApp();
+    } else {
+      this.scheduleCloseWindow();
+    }
+    return true;
+  }
+
+  /**
+   * Move a history item to the top and put it on the clipboard in the given
+   * format, pasting it into the previous app unless copyOnly is set or
+   * auto-paste is off. While the paste queue is on, the item is queued instead.
+   */
+  selectHistoryItem(itemId, { copyOnly = false, format = 'original' } = {}) {
+    const item = this.clipboardHistory.find(h => h.id === itemId);
+    if (!item) return false;
+    
+    if (this.pasteQueue.active) {
+      this.queuePickedItem(item, format);
+      return true;
+    }
+    
+    item.pasteCount++;
+    item.lastSeen = Date.now();
+    this.recordActivity('pastes');
+    
+    this.clipboardHistory = this.clipboardHistory.filter(h => h.id !== itemId);
+    this.clipboardHistory.unshift(item);
+    this.saveHistory();
+    
+    try {
+      const copied = this.copyItemToClipboard(item, { paste: this.shouldPaste(copyOnly), format });
+      
+      // Our own write is a paste, not a new copy to capture
+      if (this.monitor) {
+        this.monitor.resetBaseline();
+      }
+      return copied;
+    } catch (error) {
+      this.quarantineItem(item, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Queue an item picked in the window, which stays open to pick more
+   */
+  queuePickedItem(item, format) {
+    const waiting = this.queueItem(item, format);
+    
+    if (this.store.get('notificationsEnabled', true) && this.clipboardWindow) {
+      this.clipboardWindow.webContents.send('show-notification', {
+        title: 'Added to Paste Queue',
+        message: `${waiting} waiting to be pasted`,
+        type: 'success'
+      });
+    }
+  }
+
+  /**
+   * Put a snippet on the clipboard like a picked history item, or queue it
+   * while the paste queue is on
+   */
+  selectSnippet(snippetId, { copyOnly = false, format = 'original' } = {}) {
+    const snippet = this.getSnippets().find(existing => existing.id === snippetId);
+    if (!snippet) return false;
+    
+    if (this.pasteQueue.active) {
+      this.queuePickedItem(snippetToItem(snippet), format);
+      return true;
+    }
+    
+    const copied = this.copyItemToClipboard(snippetToItem(snippet), { paste: this.shouldPaste(copyOnly), format });
+    
+    // Our own write is a paste, not a new copy to capture
+    if (this.monitor) {
+      this.monitor.resetBaseline();
+    }
+    return copied;
+  }
+
+  recordActivity(kind) {
+    this.store.set('usageActivity', recordActivity(this.store.get('usageActivity', {}), kind));
+  }
+
+  getUsageStats() {
+    const { daily, types, topItems } = getUsageStats(this.clipboardHistory, this.store.get('usageActivity', {}));
+    
+    return {
+      daily,
+      types,
+      topItems: topItems.map(item => ({
+        id: item.id,
+        type: item.type,
+        preview: item.type === 'image' ? 'Image' : item.preview,
+        copyCount: item.copyCount,
+        pasteCount: item.pasteCount,
+        firstSeen: item.firstSeen
+      }))
+    };
+  }
+
+  /**
+   * Take an item that cannot be read out of history and keep it aside in the
+   * store's quarantine. Session-only items are just dropped, since they must
+   * never reach the disk.
+   */
+  quarantineItem(item, reason) {
+    console.error('Quarantining unreadable history item:', item.id, reason);
+    
+    this.clipboardHistory = this.clipboardHistory.filter(h => h !== item);
+    if (!item.ephemeral && !this.historyLocked) {
+      this.historyStore.quarantine([{ item, reason }]);
+    }
+    this.saveHistory();
+    this.notifyHistoryUpdated();
+    
+    if (this.clipboardWindow) {
+      this.clipboardWindow.webContents.send('show-notification', {
+        title: 'Item Unavailable',
+        message: 'This item could not be read and was removed from history',
+        type: 'error'
+      });
+    }
+  }
+
+  getSnippets() {
+    return this.store.get('snippets', []);
+  }
+
+  saveSnippet(snippet) {
+    const validated = validateSnippet(snippet);
+    const snippets = this.getSnippets();
+    const index = snippets.findIndex(existing => existing.id === validated.id);
+    
+    if (index >= 0) {
+      const existing = snippets[index];
+      validated.createdAt = existing.createdAt;
+      // Rich formatting only survives while the text is unchanged
+      if (!validated.html && existing.html && existing.text === validated.text) {
+        validated.html = existing.html;
+      }
+      snippets[index] = validated;
+    } else {
+      snippets.push(validated);
+    }
+    
+    this.store.set('snippets', snippets);
+    console.log('Saved snippet:', validated.name);
+    this.notifySnippetsUpdated();
+    return validated;
+  }
+
+  deleteSnippet(snippetId) {
+    this.store.set('snippets', this.getSnippets().filter(snippet => snippet.id !== snippetId));
+    console.log('Deleted snippet:', snippetId);
+    this.notifySnippetsUpdated();
+  }
+
+  getTransformPresets() {
+    return this.store.get('transformPresets', []);
+  }
+
+  saveTransformPreset(preset) {
+    const validated = validatePreset(preset);
+    const presets = this.getTransformPresets();
+    const index = presets.findIndex(existing => existing.id === validated.id);
+    
+    if (index >= 0) {
+      presets[index] = validated;
+    } else {
+      presets.push(validated);
+    }
+    
+    this.store.set('transformPresets', presets);
+    console.log('Saved transform preset:', validated.name);
+    return presets;
+  }
+
+  deleteTransformPreset(presetId) {
+    const presets = this.getTransformPresets().filter(preset => preset.id !== presetId);
+    this.store.set('transformPresets', presets);
+    console.log('Deleted transform preset:', presetId);
+    return presets;
+  }
+
+  getTransformSource(itemId) {
+    const item = this.clipboardHistory.find(h => h.id === itemId);
+    if (!item) {
+      throw new Error('Item not found');
+    }
+    if (item.sensitive || (item.type !== 'text' && item.type !== 'richtext')) {
+      throw new Error('Only text items can be transformed');
+    }
+    return item;
+  }
+
+  /**
+   * What a chain of transforms makes of an item, shortened for the window
+   */
+  previewTransform(itemId, chain) {
+    try {
+      const text = applyChain(this.getTransformSource(itemId).text, chain);
+      return { text: text.slice(0, 5000), length: text.length };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  /**
+   * Transform an item's text and copy the result, or save it to history as a
+   * new item. The source item is left as it was.
+   */
+  applyTransform(itemId, chain, { save = false } = {}) {
+    const text = applyChain(this.getTransformSource(itemId).text, chain);
+    if (!text) {
+      throw new Error('The result is empty');
+    }
+    
+    const result = { type: 'text', text, preview: this.monitor.createTextPreview(text) };
+    
+    if (save) {
+      if (!this.prepareCapture(result)) {
+        throw new Error('A capture rule ignores this text, so it was not saved');
+      }
+      this.addToHistory(result);
+      console.log('Saved transformed text to history');
+      return true;
+    }
+    
+    const copied = this.copyItemToClipboard(result);
+    
+    // Only saving should add the result to history
+    if (this.monitor) {
+      this.monitor.resetBaseline();
+    }
+    return copied;
+  }
+
+  notifySnippetsUpdated() {
+    if (this.clipboardWindow) {
+      this.clipboardWindow.webContents.send('snippets-updated', this.getSnippets());
+    }
+  }
+
+  saveItemAsSnippet(item) {
+    try {
+      const snippet = this.saveSnippet(createSnippetFromItem(item));
+      this.showDialogResult('Saved as Snippet', `"${snippet.name}" is in your snippets`, 'success');
+    } catch (error) {
+      console.error('Error saving snippet:', error);
+      this.showDialogResult('Snippet Not Saved', error.message, 'error');
+    }
+  }
+
+  getSnippetMenuTemplate(snippet) {
+    return [
+      {
+        label: this.pasteQueue.active ? 'Add to Paste Queue' : 'Paste',
+        visible: this.pasteQueue.active || this.shouldPaste(false),
+        click: () => this.selectSnippet(snippet.id)
+      },
+      { label: 'Copy Only', click: () => this.selectSnippet(snippet.id, { copyOnly: true }) },
+      this.getPasteAsMenuItem(snippetToItem(snippet), format => this.selectSnippet(snippet.id, { format })),
+      {
+        label: 'Edit…',
+        click: () => {
+          if (this.clipboardWindow) {
+            this.clipboardWindow.webContents.send('edit-snippet', snippet.id);
+          }
+        }
+      },
+      { type: 'separator' },
+      { label: 'Delete', click: () => this.deleteSnippet(snippet.id) }
+    ];
+  }
+
+  /**
+   * Clear history, asking whether to keep pinned items when there are any.
+   * Returns false if the user cancelled.
+   */
+  async clearHistory() {
+    let keepPinned = false;
+    
+    const isKept = item => item.pinned || item.collectionIds;
+    
+    if (this.clipboardHistory.some(isKept)) {
+      const { response } = await this.withDialog(parent => dialog.showMessageBox(parent, {
+        type: 'question',
+        title: 'Clear History',
+        message: 'Keep pinned items and collections?',
+        detail: 'Everything else in your clipboard history will be moved to the trash.',
+        buttons: ['Keep Pinned', 'Clear Everything', 'Cancel'],
+        defaultId: 0,
+        cancelId: 2
+      }));
+      
+      if (response === 2) return false;
+      keepPinned = response === 0;
+    }
+    
+    console.log('Clearing clipboard history...', keepPinned ? '(keeping pins)' : '');
+    const cleared = keepPinned ? this.clipboardHistory.filter(item => !isKept(item)) : this.clipboardHistory;
+    const trashedIds = this.trashItems(cleared);
+    this.showUndoNotification('History Cleared', trashedIds.length > 0 ? `${trashedIds.length} item${trashedIds.length === 1 ? '' : 's'} moved to the trash` : 'History deleted', trashedIds);
+    
+    console.log('Clipboard history cleared');
+    return true;
+  }
+
+  /**
+   * Pin or unpin an item. Pinned items skip limits and retention, and are
+   * always saved to disk, so pinning a session-only item keeps it.
+   */
+  setItemPinned(itemId, pinned) {
+    const item = this.clipboardHistory.find(h => h.id === itemId);
+    if (!item) return false;
+    
+    if (pinned && item.sensitive) {
+      throw new Error('Sensitive items cannot be pinned');
+    }
+    return this.setItemsPinned([itemId], pinned) > 0;
+  }
+
+  /**
+   * Pin or unpin several items, skipping sensitive ones. Newly pinned items
+   * go to the top of the pinned section in the order given. Returns how many
+   * items changed.
+   */
+  setItemsPinned(itemIds, pinned) {
+    const items = this.getItemsByIds(itemIds).filter(item => !(pinned && item.sensitive) && Boolean(item.pinned) !== pinned);
+    
+    // Each pin goes above the current top one, so the first given is pinned last
+    [...items].reverse().forEach(item => {
+      if (pinned) {
+        const pinOrders = this.clipboardHistory.filter(h => h.pinned).map(h => h.pinOrder);
+        item.pinned = true;
+        item.pinOrder = pinOrders.length > 0 ? Math.min(...pinOrders) - 1 : 0;
+        this.makePersistent(item);
+      } else {
+        delete item.pinned;
+        delete item.pinOrder;
+      }
+    });
+    
+    console.log(`${pinned ? 'Pinned' : 'Unpinned'} ${items.length} item(s)`);
+    
+    // Unpinning can put the history back over its limits
+    this.applyRetention();
+    this.saveHistory();
+    this.notifyHistoryUpdated();
+    return items.length;
+  }
+
+  /**
+   * Save a session-only or expiring item to disk for good, used when the
+   * user pins it or adds it to a collection
+   */
+  makePersistent(item) {
+    delete item.ephemeral;
+    delete item.expiresAt;
+    
+    if (item.imageBufferBase64) {
+      Object.assign(item, this.historyStore.writeImage(item.id, Buffer.from(item.imageBufferBase64, 'base64')));
+      item.imageStored = true;
+      delete item.imageBufferBase64;
+      delete item.thumbnailUrl;
+    }
+  }
+
+  getTagState() {
+    return {
+      collections: this.store.get('collections', []),
+      autoTagRules: this.store.get('autoTagRules', [])
+    };
+  }
+
+  notifyTagsUpdated() {
+    if (this.clipboardWindow) {
+      this.clipboardWindow.webContents.send('tags-updated', this.getTagState());
+    }
+  }
+
+  /**
+   * Replace an item's tags and collections
+   */
+  setItemTags(itemId, tags, collectionIds = []) {
+    const item = this.clipboardHistory.find(h => h.id === itemId);
+    if (!item) return false;
+    if (item.sensitive) {
+      throw new Error('Sensitive items cannot be tagged');
+    }
+    
+    const knownCollections = new Set(this.store.get('collections', []).map(collection => collection.id));
+    const normalizedTags = tagging.normalizeTags(tags);
+    const validCollections = [...new Set(collectionIds)].filter(id => knownCollections.has(id));
+    
+    if (normalizedTags.length > 0) {
+      item.tags = normalizedTags;
+    } else {
+      delete item.tags;
+    }
+    
+    if (validCollections.length > 0) {
+      item.collectionIds = validCollections;
+      this.makePersistent(item);
+    } else {
+      delete item.collectionIds;
+    }
+    
+    // Leaving a collection can put the history back over its limits
+    this.applyRetention();
+    this.saveHistory();
+    this.notifyHistoryUpdated();
+    return true;
+  }
+
+  /**
+   * Add tags to several items, keeping the tags they already have. Sensitive
+   * items are skipped. Returns how many items were tagged.
+   */
+  addTagsToItems(itemIds, tags) {
+    const normalizedTags = tagging.normalizeTags(tags);
+    if (normalizedTags.length === 0) {
+      throw new Error('Enter at least one tag');
+    }
+    
+    const items = this.getItemsByIds(itemIds).filter(item => !item.sensitive);
+    items.forEach(item => {
+      item.tags = tagging.mergeTags(item.tags || [], normalizedTags);
+    });
+    
+    console.log(`Tagged ${items.length} item(s) with ${normalizedTags.join(', ')}`);
+    this.saveHistory();
+    this.notifyHistoryUpdated();
+    return items.length;
+  }
+
+  renameTag(from, to) {
+    const source = tagging.normalizeTag(from);
+    const target = tagging.normalizeTag(to);
+    if (source === target) return 0;
+    
+    const changed = tagging.renameTag(this.clipboardHistory, source, target);
+    tagging.renameTag(this.trash, source, target);
+    const rules = this.store.get('autoTagRules', []).map(rule => ({
+      ...rule,
+      tags: tagging.mergeTags(rule.tags.map(tag => (tag === source ? target : tag)))
+    }));
+    this.store.set('autoTagRules', rules);
+    
+    console.log(`Renamed tag #${source} to #${target} on ${changed} item(s)`);
+    this.saveHistory();
+    this.notifyHistoryUpdated();
+    this.notifyTagsUpdated();
+    return changed;
+  }
+
+  deleteTag(tag) {
+    const normalized = tagging.normalizeTag(tag);
+    const changed = tagging.deleteTag(this.clipboardHistory, normalized);
+    tagging.deleteTag(this.trash, normalized);
+    
+    // Rules left with no tags would do nothing, so they go too
+    const rules = this.store.get('autoTagRules', [])
+      .map(rule => ({ ...rule, tags: rule.tags.filter(existing => existing !== normalized) }))
+      .filter(rule => rule.tags.length > 0);
+    this.store.set('autoTagRules', rules);
+    
+    console.log(`Deleted tag #${normalized} from ${changed} item(s)`);
+    this.saveHistory();
+    this.notifyHistoryUpdated();
+    this.notifyTagsUpdated();
+    return changed;
+  }
+
+  saveCollection({ id, name }) {
+    const collections = this.store.get('collections', []);
+    const validatedName = tagging.validateCollectionName(name);
+    
+    if (collections.some(collection => collection.id !== id && collection.name.toLowerCase() === validatedName.toLowerCase())) {
+      throw new Error(`A collection named "${validatedName}" already exists`);
+    }
+    
+    const existing = collections.find(collection => collection.id === id);
+    if (existing) {
+      existing.name = validatedName;
+    } else {
+      collections.push({ id: `collection-${Date.now()}`, name: validatedName });
+    }
+    
+    this.store.set('collections', collections);
+    this.notifyTagsUpdated();
+    return this.getTagState();
+  }
+
+  deleteCollection(collectionId) {
+    this.store.set('collections', this.store.get('collections', []).filter(collection => collection.id !== collectionId));
+    
+    [...this.clipboardHistory, ...this.trash].forEach(item => {
+      if (!item.collectionIds) return;
+      item.collectionIds = item.collectionIds.filter(id => id !== collectionId);
+      if (item.collectionIds.length === 0) delete item.collectionIds;
+    });
+    
+    // Items only kept because of the collection fall back under the normal limits
+    this.applyRetention();
+    this.saveHistory();
+    this.notifyHistoryUpdated();
+    this.notifyTagsUpdated();
+    return this.getTagState();
+  }
+
+  reorderPinned(itemIds) {
+    itemIds.forEach((id, index) => {
+      const item = this.clipboardHistory.find(h => h.id === id && h.pinned);
+      if (item) {
+        item.pinOrder = index;
+      }
+    });
+    
+    this.saveHistory();
+    this.notifyHistoryUpdated();
+  }
+
+  /**
+   * Run a native dialog without the clipboard window closing on blur. The
+   * dialog is attached to the window when it is open.
+   */
+  async withDialog(showDialog) {
+    this.dialogOpen = true;
+    try {
+      const parent = this.clipboardWindow && !this.clipboardWindow.isDestroyed() ? this.clipboardWindow : null;
+      return await showDialog(parent);
+    } finally {
+      this.dialogOpen = false;
+      if (this.clipboardWindow && !this.clipboardWindow.isDestroyed()) {
+        this.clipboardWindow.focus();
+      }
+    }
+  }
+
+  showDialogResult(title, message, type) {
+    if (this.clipboardWindow && !this.clipboardWindow.isDestroyed()) {
+      this.clipboardWindow.webContents.send('show-notification', { title, message, type });
+    } else if (type === 'error') {
+      dialog.showErrorBox(title, message);
+    }
+  }
+
+  /**
+   * Images match on their bitmap hash. When either hash is missing, because
+   * hashing failed or the item predates it, the PNG data is compared instead.
+   */
+  isSameImage(item, clipboardData) {
+    if (item.imageHash && clipboardData.imageHash) {
+      return item.imageHash === clipboardData.imageHash;
+    }
+    if (!Buffer.isBuffer(clipboardData.imageBuffer)) return false;
+
+    const png = this.getItemPng(item);
+    return Boolean(png) && png.equals(clipboardData.imageBuffer);
+  }
+
+  getItemPng(item) {
+    if (item.imageStored) {
+      return this.historyStore.readImage(item.id);
+    }
+    const image = this.getItemImage(item);
+    return image ? image.toPNG() : null;
+  }
+
+  /**
+   * Save history, or just the items with the given ids, to a file in one of
+   * historyTransfer.EXPORT_FORMATS. Items that should never reach the disk
+   * (sensitive and session-only) are left out.
+   */
+  async exportHistory(format, itemIds = null) {
+    const formatInfo = historyTransfer.EXPORT_FORMATS[format];
+    if (!formatInfo) {
+      throw new Error(`Unknown export format: ${format}`);
+    }
+    
+    if (this.historyLocked) {
+      this.showDialogResult('Export Failed', 'Unlock history before exporting', 'error');
+      return false;
+    }
+    
+    const items = itemIds ? this.getItemsByIds(itemIds).filter(item => !item.ephemeral) : this.getPersistedHistory();
+    if (itemIds && items.length === 0) {
+      this.showDialogResult('Nothing to Export', 'Sensitive and session-only items are never exported', 'error');
+      return false;
+    }
+    
+    const date = new Date().toISOString().slice(0, 10);
+    const { canceled, filePath } = await this.withDialog(parent => dialog.showSaveDialog(parent, {
+      title: itemIds ? 'Export Selected Items' : 'Export Clipboard History',
+      defaultPath: path.join(app.getPath('documents'), `clipboard-${itemIds ? 'items' : 'history'}-${date}.${formatInfo.extension}`),
+      filters: [{ name: formatInfo.filterName, extensions: [formatInfo.extension] }]
+    }));
+    
+    if (canceled || !filePath) return false;
+    
+    try {
+      const getImagePng = item => this.getItemPng(item);
+      let content;
+      
+      if (format === 'archive') {
+        content = historyTransfer.serializeArchive(historyTransfer.buildExportDocument(items, { includeImages: true, getImagePng }));
+      } else if (format === 'json') {
+        content = historyTransfer.serializeJson(historyTransfer.buildExportDocument(items, { includeImages: false }));
+      } else if (format === 'markdown') {
+        content = historyTransfer.toMarkdown(items);
+      } else {
+        content = historyTransfer.toHtml(items, getImagePng);
+      }
+      
+      fs.writeFileSync(filePath, content);
+      console.log(`Exported ${items.length} items to ${filePath}`);
+      this.showDialogResult(itemIds ? 'Items Exported' : 'History Exported', `${items.length} items saved to ${path.basename(filePath)}`, 'success');
+      return true;
+    } catch (error) {
+      console.error('Error exporting history:', error);
+      this.showDialogResult('Export Failed', error.message, 'error');
+      return false;
+    }
+  }
+
+  /**
+   * Import an archive or JSON export, showing how many items are new before
+   * asking whether to merge them into history or replace it
+   */
+  async importHistory() {
+    if (this.historyLocked) {
+      this.showDialogResult('Import Failed', 'Unlock history before importing', 'error');
+      return false;
+    }
+    
+    const { canceled, filePaths } = await this.withDialog(parent => dialog.showOpenDialog(parent, {
+      title: 'Import Clipboard History',
+      properties: ['openFile'],
+      filters: [{ name: 'Clipboard History', extensions: historyTransfer.IMPORT_EXTENSIONS }]
+    }));
+    
+    if (canceled || filePaths.length === 0) return false;
+    
+    let importedItems;
+    try {
+      importedItems = historyTransfer.parseImportFile(fs.readFileSync(filePaths[0]));
+      importedItems.forEach(item => {
+        if (item.type === 'image' && !item.imageHash) {
+          const image = nativeImage.createFromBuffer(Buffer.from(item.imageData, 'base64'));
+          item.imageHash = crypto.createHash('sha1').update(image.toBitmap()).digest('hex');
+        }
+      });
+    } catch (error) {
+      console.error('Error reading import file:', error);
+      this.showDialogResult('Import Failed', error.message, 'error');
+      return false;
+    }
+    
+    const mergePlan = historyTransfer.planImport(this.getPersistedHistory(), importedItems);
+    const replacePlan = historyTransfer.planImport([], importedItems);
+    const historyLimit = this.store.get('historyLimit', 50);
+    
+    const details = [
+      `Merge adds ${mergePlan.newItems.length} new item${mergePlan.newItems.length === 1 ? '' : 's'}; ${mergePlan.duplicates} already in your history.`,
+      `Replace swaps your current history for the ${replacePlan.newItems.length} item${replacePlan.newItems.length === 1 ? '' : 's'} in the file.`
+    ];
+    if (/\.(md|html?)$/i.test(filePaths[0])) {
+      details.push('Markdown and HTML exports only bring back text, file paths and (from HTML) images, without tags, pins or collections.');
+    }
+    if (this.getPersistedHistory().length + mergePlan.newItems.length > historyLimit || replacePlan.newItems.length > historyLimit) {
+      details.push(`Only the newest ${historyLimit} items are kept (your history size limit), and retention settings still apply.`);
+    }
+    
+    const { response } = await this.withDialog(parent => dialog.showMessageBox(parent, {
+      type: 'question',
+      title: 'Import Clipboard History',
+      message: `${path.basename(filePaths[0])} contains ${importedItems.length} item${importedItems.length === 1 ? '' : 's'}`,
+      detail: details.join('\n'),
+      buttons: ['Merge', 'Replace', 'Cancel'],
+      defaultId: 0,
+      cancelId: 2
+    }));
+    
+    if (response === 2) return false;
+    
+    const replace = response === 1;
+    const plan = replace ? replacePlan : mergePlan;
+    
+    try {
+      const added = this.addImportedItems(plan.newItems, replace);
+      this.showDialogResult('History Imported', `${added} item${added === 1 ? '' : 's'} ${replace ? 'imported' : 'added'}`, 'success');
+      return true;
+    } catch (error) {
+      console.error('Error importing history:', error);
+      this.showDialogResult('Import Failed', error.message, 'error');
+      return false;
+    }
+  }
+
+  addImportedItems(importedItems, replace) {
+    // Replaced history goes to the trash like any other clear
+    if (replace) {
+      this.trashItems(this.getPersistedHistory());
+    }
+    
+    const existing = this.clipboardHistory;
+    const usedIds = new Set([...this.clipboardHistory, ...this.trash].map(item => item.id));
+    const knownCollections = new Set(this.store.get('collections', []).map(collection => collection.id));
+    
+    const items = [];
+    const migrationContext = { storeImage: (id, buffer) => this.historyStore.storeLegacyImage(id, buffer) };
+    importedItems.forEach(imported => {
+      const { imageData, ...item } = imported;
+      
+      // Ids name image files, so anything unexpected is replaced
+      if (!isValidItemId(item.id) || usedIds.has(item.id)) {
+        item.id = createItemId();
+      }
+      usedIds.add(item.id);
+      
+      // Collections from another install do not exist here
+      if (Array.isArray(item.collectionIds)) {
+        item.collectionIds = item.collectionIds.filter(id => knownCollections.has(id));
+        if (item.collectionIds.length === 0) delete item.collectionIds;
+      }
+      item.byteSize = getTextByteSize(item);
+      
+      // Markdown and HTML exports carry no previews
+      if (item.preview === undefined && typeof item.text === 'string') {
+        item.preview = this.monitor.createTextPreview(item.text);
+      }
+      
+      if (imageData) {
+        const pngBuffer = Buffer.from(imageData, 'base64');
+        Object.assign(item, this.historyStore.writeImage(item.id, pngBuffer));
+        item.imageStored = true;
+        item.byteSize += pngBuffer.length;
+      }
+      
+      // Exports from older versions go through the same migrations as stored history
+      let migrated;
+      try {
+        migrated = migrateItem(item, migrationContext);
+      } catch (error) {
+        console.error('Skipping invalid imported item:', error.message);
+        if (item.imageStored) this.historyStore.removeImage(item.id);
+        return;
+      }
+      
+      this.classifyItem(migrated);
+      items.push(migrated);
+    });
+    
+    this.clipboardHistory = [...existing, ...items].sort((a, b) => b.timestamp - a.timestamp);
+    this.applyRetention();
+    
+    this.saveHistory();
+    this.notifyHistoryUpdated();
+    
+    console.log(`Imported ${items.length} items (${replace ? 'replace' : 'merge'})`);
+    return items.filter(item => this.clipboardHistory.includes(item)).length;
+  }
+
+  /**
+   * Decode a stored item's image back into a NativeImage
+   */
+  getItemImage(item) {
+    let buffer = null;
+    
+    // Stored items keep the image in a file; session-only ones keep it in memory
+    if (item.imageStored) {
+      buffer = this.historyStore.readImage(item.id);
+      if (!buffer) return null;
+    } else if (item.imageBufferBase64) {
+      buffer = Buffer.from(item.imageBufferBase64, 'base64');
+    } else {
+      console.error('No image data found for item:', item.id);
+      return null;
+    }
+    
+    // Convert buffer back to NativeImage
+    const { nativeImage } = require('electron');
+    const image = nativeImage.createFromBuffer(buffer);
+    console.log('Created NativeImage, isEmpty:', image.isEmpty());
+    
+    if (image.isEmpty()) {
+      console.error('Created NativeImage is empty');
+      return null;
+    }
+    
+    return image;
+  }
+
+  /**
+   * Put every stored flavor of an item back on the clipboard in a single write,
+   * so rich editors get the formatting and plain-text targets still get text
+   */
+  writeItemToClipboard(item) {
+    if (item.type === 'files') {
+      const existing = refreshFileExistence(item.files).filter(file => file.exists);
+      if (existing.length === 0) {
+        return false;
+      }
+      writeFilesToClipboard(clipboard, existing.map(file => file.path));
+      return true;
+    }
+    
+    const data = {};
+    
+    if (item.text) data.text = item.text;
+    if (item.html) data.html = item.html;
+    if (item.rtf) data.rtf = item.rtf;
+    
+    // The bookmark flavor only carries a title for the URL held in the text flavor
+    if (item.bookmark && item.bookmark.title && item.bookmark.url === item.text) {
+      data.bookmark = item.bookmark.title;
+    }
+    
+    if (item.imageStored || item.imageBufferBase64) {
+      const image = this.getItemImage(item);
+      if (image) {
+        data.image = image;
+      } else if (item.type === 'image') {
+        return false;
+      }
+    }
+    
+    clipboard.write(data);
+    return true;
+  }
+
+  /**
+   * "Paste As" submenu with the formats the item can be converted to; "Copy
+   * As" when picking an item only copies it
+   */
+  getPasteAsMenuItem(item, onSelect) {
+    const formats = getAvailableFormats(item).filter(format => format !== 'original');
+    return {
+      label: this.shouldPaste(false) ? 'Paste As' : 'Copy As',
+      visible: formats.length > 0,
+      submenu: formats.map(format => ({ label: PASTE_FORMAT_LABELS[format], click: () => onSelect(format) }))
+    };
+  }
+
+  /**
+   * Presets and single transforms, each opening the transform panel with its
+   * chain so the result can be previewed first
+   */
+  getTransformMenuTemplate(item) {
+    const openTransform = chain => {
+      if (this.clipboardWindow) {
+        this.clipboardWindow.webContents.send('transform-item', item.id, chain);
+      }
+    };
+    const presets = this.getTransformPresets().map(preset => ({ label: preset.name, click: () => openTransform(preset.chain) }));
+    
+    return [
+      ...presets,
+      ...(presets.length > 0 ? [{ type: 'separator' }] : []),
+      ...TRANSFORMS.map(transform => ({ label: transform.label, click: () => openTransform([transform.id]) })),
+      { type: 'separator' },
+      { label: 'Chain Transforms…', click: () => openTransform([]) }
+    ];
+  }
+
+  /**
+   * Context menu entries for an item, including actions specific to its subtype
+   */
+  getItemMenuTemplate(item) {
+    const template = [
+      {
+        label: this.pasteQueue.active ? 'Add to Paste Queue' : 'Paste',
+        visible: this.pasteQueue.active || this.shouldPaste(false),
+        click: () => this.selectHistoryItem(item.id)
+      },
+      { label: 'Copy Only', click: () => this.selectHistoryItem(item.id, { copyOnly: true }) },
+      this.getPasteAsMenuItem(item, format => this.selectHistoryItem(item.id, { format }))
+    ];
+    const details = item.classification || {};
+    
+    switch (item.subtype) {
+      case 'url':
+        template.push(
+          { label: 'Open URL', click: () => this.performItemAction(item, 'open-url') },
+          { label: 'Copy Domain', enabled: Boolean(details.domain), click: () => this.performItemAction(item, 'copy-domain') }
+        );
+        break;
+      case 'email':
+        template.push({ label: 'Compose Email', click: () => this.performItemAction(item, 'compose-email') });
+        break;
+      case 'phone':
+        template.push({ label: 'Call', click: () => this.performItemAction(item, 'call') });
+        break;
+      case 'color':
+        template.push(
+          { label: 'Copy as HEX', click: () => this.performItemAction(item, 'copy-hex') },
+          { label: 'Copy as rgb()', click: () => this.performItemAction(item, 'copy-rgb') },
+          { label: 'Copy as hsl()', click: () => this.performItemAction(item, 'copy-hsl') }
+        );
+        break;
+      case 'json':
+        template.push(
+          { label: 'Pretty-print JSON', click: () => this.performItemAction(item, 'json-pretty') },
+          { label: 'Minify JSON', click: () => this.performItemAction(item, 'json-minify') }
+        );
+        break;
+      case 'number':
+        template.push({ label: 'Copy Without Separators', click: () => this.performItemAction(item, 'copy-plain-number') });
+        break;
+      case 'path':
+        template.push(
+          { label: 'Reveal in Finder', click: () => this.performItemAction(item, 'reveal-path') },
+          { label: 'Open', click: () => this.performItemAction(item, 'open-path') }
+        );
+        break;
+    }
+    
+    if (item.type === 'files' && item.files.length > 0) {
+      template.push({ label: 'Reveal in Finder', click: () => this.performItemAction(item, 'reveal-files') });
+    }
+    
+    if (!item.sensitive) {
+      template.push(
+        { type: 'separator' },
+        { label: item.pinned ? 'Unpin' : 'Pin', click: () => this.setItemPinned(item.id, !item.pinned) }
+      );
+      
+      template.push({
+        label: 'Tags & Collections…',
+        click: () => {
+          if (this.clipboardWindow) {
+            this.clipboardWindow.webContents.send('edit-item-tags', item.id);
+          }
         }
+      });
+      
+      if (item.type === 'text' || item.type === 'richtext') {
+        template.push(
+          { label: 'Transform', submenu: this.getTransformMenuTemplate(item) },
+          { label: 'Save as Snippet', click: () => this.saveItemAsSnippet(item) },
+          {
+            label: 'Edit',
+            click: () => {
+              if (this.clipboardWindow) {
+                this.clipboardWindow.webContents.send('edit-item-text', item.id);
+              }
+            }
+          }
+        );
+      }
+    }
+    
+    template.push(
+      { type: 'separator' },
+      { label: 'Delete', click: () => this.deleteItem(item.id) }
+    );
+    
+    return template;
+  }
+
+  /**
+   * Run a context action; actions that produce text put it on the clipboard
+   */
+  async performItemAction(item, action) {
+    const details = item.classification || {};
+    let textToCopy = null;
+    let message = null;
+    
+    try {
+      switch (action) {
+        case 'open-url':
+          await shell.openExternal(details.url);
+          break;
+        case 'copy-domain':
+          textToCopy = details.domain;
+          break;
+        case 'compose-email':
+          await shell.openExternal(`mailto:${details.email}`);
+          break;
+        case 'call':
+          await shell.openExternal(`tel:${details.phone}`);
+          break;
+        case 'copy-hex':
+          textToCopy = toHexString(details.color);
+          break;
+        case 'copy-rgb':
+          textToCopy = toRgbString(details.color);
+          break;
+        case 'copy-hsl':
+          textToCopy = toHslString(details.color);
+          break;
+        case 'json-pretty':
+          textToCopy = JSON.stringify(JSON.parse(item.text), null, 2);
+          message = 'Pretty-printed JSON is ready to paste';
+          break;
+        case 'json-minify':
+          textToCopy = JSON.stringify(JSON.parse(item.text));
+          message = 'Minified JSON is ready to paste';
+          break;
+        case 'copy-plain-number':
+          textToCopy = String(details.value);
+          break;
+        case 'reveal-path':
+          shell.showItemInFolder(details.path.replace(/^~(?=\/)/, app.getPath('home')));
+          break;
+        case 'open-path':
+          await shell.openPath(details.path.replace(/^~(?=\/)/, app.getPath('home')));
+          break;
+        case 'reveal-files':
+          shell.showItemInFolder(item.files[0].path);
+          break;
+        default:
+          throw new Error(`Unknown item action: ${action}`);
+      }
+    } catch (error) {
+      console.error(`Error running item action ${action}:`, error);
+      if (this.clipboardWindow) {
+        this.clipboardWindow.webContents.send('show-notification', {
+          title: 'Action Failed',
+          message: error.message,
+          type: 'error'
+        });
+      }
+      return false;
+    }
+    
+    if (textToCopy !== null) {
+      clipboard.writeText(textToCopy);
+      // A value derived from an item, not a new copy to capture
+      if (this.monitor) {
+        this.monitor.resetBaseline();
+      }
+      message = message || `"${textToCopy}" is ready to paste`;
+    }
+    
+    const notificationsEnabled = this.store.get('notificationsEnabled', true);
+    if (message && notificationsEnabled && this.clipboardWindow) {
+      this.clipboardWindow.webContents.send('show-notification', {
+        title: 'Copied',
+        message,
+        type: 'success'
+      });
+    }
+    
+    return true;
+  }
+
+  setupIPC() {
+    ipcMain.handle('query-history', (event, options) => {
+      return this.queryHistory(options);
+    });
+
+    ipcMain.handle('get-history-item', (event, itemId) => {
+      const item = this.clipboardHistory.find(h => h.id === itemId);
+      return item ? this.getRendererItem(item) : null;
+    });
+
+    ipcMain.handle('reveal-clipboard-item', (event, itemId) => {
+      const item = this.clipboardHistory.find(h => h.id === itemId);
+      if (!item) return null;
+      
+      console.log('Revealing sensitive item:', itemId);
+      return { text: item.text, preview: item.preview };
+    });
+
+    ipcMain.handle('get-history-limit', () => {
+      return this.store.get('historyLimit', 50);
+    });
+
+    ipcMain.handle('select-clipboard-item', async (event, itemId, options = {}) => {
+      return this.selectHistoryItem(itemId, { copyOnly: Boolean(options.copyOnly), format: this.getPasteFormat(options.format) });
+    });
+
+    // Ordering and usage statistics
+    ipcMain.handle('get-sort-mode', () => {
+      return this.store.get('sortMode', 'recent');
+    });
+
+    ipcMain.handle('set-sort-mode', (event, mode) => {
+      if (!SORT_MODES.includes(mode)) {
+        throw new Error(`Unknown sort mode: ${mode}`);
+      }
+      this.store.set('sortMode', mode);
+      this.notifyHistoryUpdated();
+      return true;
+    });
+
+    ipcMain.handle('get-usage-stats', () => {
+      return this.getUsageStats();
+    });
+
+    // Deleting, editing and the trash
+    ipcMain.handle('delete-item', (event, itemId) => {
+      return this.deleteItem(itemId);
+    });
+
+    ipcMain.handle('delete-items', (event, itemIds) => {
+      return this.deleteItems(itemIds);
+    });
+
+    ipcMain.handle('merge-items', (event, itemIds, separator, options = {}) => {
+      return this.mergeItems(itemIds, separator, { save: Boolean(options.save) });
+    });
+
+    ipcMain.handle('edit-item', (event, itemId, text, copy) => {
+      const item = this.editItemText(itemId, text);
+      if (item && copy) {
+        return this.selectHistoryItem(itemId, { copyOnly: true });
+      }
+      return Boolean(item);
+    });
+
+    ipcMain.handle('get-trash', () => {
+      return this.getTrash();
+    });
+
+    ipcMain.handle('restore-items', (event, itemIds) => {
+      return this.restoreItems(itemIds);
+    });
+
+    ipcMain.handle('delete-trash-items', (event, itemIds) => {
+      return this.deleteTrashItems(itemIds);
+    });
+
+    ipcMain.handle('empty-trash', () => {
+      return this.deleteTrashItems(this.trash.map(item => item.id));
+    });
+
+    ipcMain.handle('get-trash-retention-hours', () => {
+      return this.store.get('trashRetentionHours', 24);
+    });
+
+    ipcMain.handle('set-trash-retention-hours', (event, hours) => {
+      const value = Number(hours);
+      if (!Number.isFinite(value) || value < 0) {
+        throw new Error('Trash retention must be zero or a positive number of hours');
       }
+      this.store.set('trashRetentionHours', value);
+      this.enforceRetention();
+      return this.getTrash();
+    });
+
+    // Tags and collections
+    ipcMain.handle('get-tag-state', () => {
+      return this.getTagState();
+    });
+
+    ipcMain.handle('set-item-tags', (event, itemId, tags, collectionIds) => {
+      return this.setItemTags(itemId, tags, collectionIds);
+    });
+
+    ipcMain.handle('add-items-tags', (event, itemIds, tags) => {
+      return this.addTagsToItems(itemIds, tags);
+    });
+
+    ipcMain.handle('rename-tag', (event, from, to) => {
+      return this.renameTag(from, to);
+    });
+
+    ipcMain.handle('delete-tag', (event, tag) => {
+      return this.deleteTag(tag);
+    });
+
+    ipcMain.handle('save-collection', (event, collection) => {
+      return this.saveCollection(collection);
+    });
+
+    ipcMain.handle('delete-collection', (event, collectionId) => {
+      return this.deleteCollection(collectionId);
+    });
+
+    ipcMain.handle('save-auto-tag-rule', (event, rule) => {
+      const validated = tagging.validateAutoTagRule(rule);
+      const rules = this.store.get('autoTagRules', []).filter(existing => existing.id !== validated.id);
+      this.store.set('autoTagRules', [...rules, validated]);
+      console.log('Saved auto-tag rule:', validated.tags.join(', '));
+      this.notifyTagsUpdated();
+      return this.getTagState();
+    });
+
+    ipcMain.handle('delete-auto-tag-rule', (event, ruleId) => {
+      this.store.set('autoTagRules', this.store.get('autoTagRules', []).filter(rule => rule.id !== ruleId));
+      this.notifyTagsUpdated();
+      return this.getTagState();
+    });
+
+    // Snippets
+    ipcMain.handle('get-snippets', () => {
+      return this.getSnippets();
+    });
+
+    ipcMain.handle('save-snippet', (event, snippet) => {
+      return this.saveSnippet(snippet);
+    });
+
+    // Text transforms
+    ipcMain.handle('get-transforms', () => {
+      return {
+        transforms: TRANSFORMS.map(({ id, label }) => ({ id, label })),
+        presets: this.getTransformPresets()
+      };
+    });
+
+    ipcMain.handle('preview-transform', (event, itemId, chain) => {
+      return this.previewTransform(itemId, chain);
+    });
+
+    ipcMain.handle('apply-transform', (event, itemId, chain, options = {}) => {
+      return this.applyTransform(itemId, chain, { save: Boolean(options.save) });
+    });
+
+    ipcMain.handle('save-transform-preset', (event, preset) => {
+      return this.saveTransformPreset(preset);
+    });
+
+    ipcMain.handle('delete-transform-preset', (event, presetId) => {
+      return this.deleteTransformPreset(presetId);
+    });
+
+    ipcMain.handle('delete-snippet', (event, snippetId) => {
+      this.deleteSnippet(snippetId);
+      return true;
+    });
+
+    ipcMain.handle('select-snippet', (event, snippetId, options = {}) => {
+      return this.selectSnippet(snippetId, { copyOnly: Boolean(options.copyOnly), format: this.getPasteFormat(options.format) });
+    });
+
+    ipcMain.handle('show-snippet-menu', (event, snippetId) => {
+      const snippet = this.getSnippets().find(existing => existing.id === snippetId);
+      if (!snippet || !this.clipboardWindow) return;
+      
+      Menu.buildFromTemplate(this.getSnippetMenuTemplate(snippet)).popup({ window: this.clipboardWindow });
+    });
+
+    ipcMain.handle('show-item-menu', (event, itemId) => {
+      const item = this.clipboardHistory.find(h => h.id === itemId);
+      if (!item || !this.clipboardWindow) return;
+      
+      Menu.buildFromTemplate(this.getItemMenuTemplate(item)).popup({ window: this.clipboardWindow });
+    });
+
+    ipcMain.handle('close-clipboard-window', () => {
+      this.destroyClipboardWindow();
+    });
+
+    ipcMain.handle('clear-clipboard-history', () => {
+      return this.clearHistory();
+    });
+
+    ipcMain.handle('set-item-pinned', (event, itemId, pinned) => {
+      return this.setItemPinned(itemId, pinned);
+    });
+
+    ipcMain.handle('set-items-pinned', (event, itemIds, pinned) => {
+      return this.setItemsPinned(itemIds, pinned);
+    });
+
+    ipcMain.handle('reorder-pinned', (event, itemIds) => {
+      this.reorderPinned(itemIds);
+      return true;
+    });
+
+    ipcMain.handle('update-history-limit', (event, limit) => {
+      console.log('Updating history limit to:', limit);
       
-      // Store the new limit (we can use this in addToHistory later)
       this.store.set('historyLimit', limit);
+      
+      // Truncate current history if needed
+      this.enforceRetention();
       console.log('History limit updated');
       return true;
     });
 
+    // Retention
+    ipcMain.handle('get-retention-state', () => {
+      return this.getRetentionState();
+    });
+
+    ipcMain.handle('set-retention-policy', (event, policy) => {
+      const validated = validateRetentionPolicy(policy);
+      this.store.set('retentionPolicy', validated);
+      console.log('Retention policy updated:', validated);
+      this.enforceRetention();
+      return this.getRetentionState();
+    });
+
+    // Capture rules
+    ipcMain.handle('get-capture-rules', () => {
+      return this.getCaptureRules();
+    });
+
+    ipcMain.handle('save-capture-rule', (event, rule) => {
+      const validated = validateRule(rule);
+      const customRules = this.store.get('captureRules', []);
+      const index = customRules.findIndex(existing => existing.id === validated.id);
+      
+      if (index >= 0) {
+        customRules[index] = validated;
+      } else {
+        customRules.push(validated);
+      }
+      
+      this.store.set('captureRules', customRules);
+      console.log('Saved capture rule:', validated.name);
+      return this.getCaptureRules();
+    });
+
+    ipcMain.handle('set-capture-rule-enabled', (event, ruleId, enabled) => {
+      const rule = this.getCaptureRules().find(existing => existing.id === ruleId);
+      if (!rule) {
+        throw new Error(`Unknown capture rule: ${ruleId}`);
+      }
+      
+      if (rule.builtIn) {
+        const overrides = this.store.get('captureRuleOverrides', {});
+        overrides[ruleId] = enabled;
+        this.store.set('captureRuleOverrides', overrides);
+      } else {
+        const customRules = this.store.get('captureRules', []).map(existing =>
+          existing.id === ruleId ? { ...existing, enabled } : existing
+        );
+        this.store.set('captureRules', customRules);
+      }
+      
+      console.log(`Capture rule ${ruleId} ${enabled ? 'enabled' : 'disabled'}`);
+      return this.getCaptureRules();
+    });
+
+    ipcMain.handle('delete-capture-rule', (event, ruleId) => {
+      const customRules = this.store.get('captureRules', []).filter(rule => rule.id !== ruleId);
+      this.store.set('captureRules', customRules);
+      console.log('Deleted capture rule:', ruleId);
+      return this.getCaptureRules();
+    });
+
+    // Import / export
+    ipcMain.handle('export-history', (event, format) => {
+      return this.exportHistory(format);
+    });
+
+    ipcMain.handle('export-items', (event, itemIds, format) => {
+      return this.exportHistory(format, itemIds);
+    });
+
+    ipcMain.handle('import-history', () => {
+      return this.importHistory();
+    });
+
+    // Encryption at rest
+    ipcMain.handle('get-encryption-state', () => {
+      return this.getEncryptionState();
+    });
+
+    ipcMain.handle('set-encryption', (event, options) => {
+      return this.setEncryption(options);
+    });
+
+    ipcMain.handle('unlock-history', (event, passphrase) => {
+      return this.unlockHistory(passphrase);
+    });
+
+    // Sensitive data settings
+    ipcMain.handle('get-sensitive-detection-enabled', () => {
+      return this.store.get('sensitiveDetectionEnabled', true);
+    });
+
+    ipcMain.handle('set-sensitive-detection-enabled', (event, enabled) => {
+      console.log('Setting sensitive detection enabled:', enabled);
+      this.store.set('sensitiveDetectionEnabled', enabled);
+      return true;
+    });
+
+    ipcMain.handle('get-sensitive-expiry-minutes', () => {
+      return this.store.get('sensitiveExpiryMinutes', 5);
+    });
+
+    ipcMain.handle('set-sensitive-expiry-minutes', (event, minutes) => {
+      console.log('Setting sensitive expiry minutes:', minutes);
+      this.store.set('sensitiveExpiryMinutes', minutes);
+      return true;
+    });
+
+    // Pause / incognito capture
+    ipcMain.handle('get-pause-state', () => {
+      return this.getPauseStateForRenderer();
+    });
+
+    ipcMain.handle('show-pause-menu', () => {
+      const menu = Menu.buildFromTemplate(this.getPauseMenuTemplate());
+      if (this.clipboardWindow) {
+        menu.popup({ window: this.clipboardWindow });
+      }
+    });
+
+    ipcMain.handle('resume-capture', () => {
+      this.resumeCapture();
+      return this.getPauseStateForRenderer();
+    });
+
+    ipcMain.handle('get-pause-shortcut', () => {
+      return this.store.get('pauseShortcut', 'Control+Option+Command+P');
+    });
+
+    ipcMain.handle('set-pause-shortcut', (event, shortcut) => {
+      console.log('Setting pause shortcut:', shortcut);
+      const oldShortcut = this.store.get('pauseShortcut', 'Control+Option+Command+P');
+      
+      if (oldShortcut) {
+        globalShortcut.unregister(oldShortcut);
+      }
+      
+      this.store.set('pauseShortcut', shortcut);
+      if (!this.registerPauseShortcut()) {
+        this.store.set('pauseShortcut', oldShortcut);
+        this.registerPauseShortcut();
+        throw new Error('Failed to register new shortcut');
+      }
+      return true;
+    });
+
+    // Paste queue
+    ipcMain.handle('get-paste-queue', () => {
+      return this.getPasteQueueState();
+    });
+
+    ipcMain.handle('show-paste-queue-menu', () => {
+      const menu = Menu.buildFromTemplate(this.getPasteQueueMenuTemplate());
+      if (this.clipboardWindow) {
+        menu.popup({ window: this.clipboardWindow });
+      }
+    });
+
+    ipcMain.handle('set-paste-queue-active', (event, active) => {
+      this.setPasteQueueActive(Boolean(active));
+      return this.getPasteQueueState();
+    });
+
+    ipcMain.handle('clear-paste-queue', () => {
+      this.clearPasteQueue();
+      return this.getPasteQueueState();
+    });
+
+    ipcMain.handle('set-paste-queue-order', (event, order) => {
+      console.log('Setting paste queue order:', order);
+      this.setPasteQueueOrder(order);
+      return this.getPasteQueueState();
+    });
+
+    ipcMain.handle('get-paste-next-shortcut', () => {
+      return this.store.get('pasteNextShortcut', 'Control+Option+Command+N');
+    });
+
+    ipcMain.handle('set-paste-next-shortcut', (event, shortcut) => {
+      console.log('Setting paste next shortcut:', shortcut);
+      const oldShortcut = this.store.get('pasteNextShortcut', 'Control+Option+Command+N');
+      
+      if (oldShortcut) {
+        globalShortcut.unregister(oldShortcut);
+      }
+      
+      this.store.set('pasteNextShortcut', shortcut);
+      if (!this.registerPasteNextShortcut()) {
+        this.store.set('pasteNextShortcut', oldShortcut);
+        this.registerPasteNextShortcut();
+        throw new Error('Failed to register new shortcut');
+      }
+      return true;
+    });
+
     // Auto-launch settings
     ipcMain.handle('get-auto-launch', () => {
       return app.getLoginItemSettings().openAtLogin;
@@ -662,6 +3168,17 @@ class ClipboardManager {
       return true;
     });
 
+    // Paste-back settings
+    ipcMain.handle('get-auto-paste', () => {
+      return { enabled: this.store.get('autoPaste', true), supported: Boolean(this.pasteInjector) };
+    });
+
+    ipcMain.handle('set-auto-paste', (event, enabled) => {
+      console.log('Setting auto-paste:', enabled);
+      this.store.set('autoPaste', Boolean(enabled));
+      return true;
+    });
+
     // Window position settings
     ipcMain.handle('get-window-follows-cursor', () => {
       return this.store.get('windowFollowsCursor', true);
@@ -733,10 +3250,12 @@ class ClipboardManager {
       try {
         // Clear all stored data
         this.store.clear();
+        this.historyStore.clear();
         console.log('All app data cleared');
         
         // Clear clipboard history
         this.clipboardHistory = [];
+        this.historyQuery = null;
         
         // Quit the app
         app.quit();
@@ -0,0 +1,336 @@
+/**
+ * Converting an item's content for the "paste as" modes.
+ *
+ *   original - every stored flavor, as copied
+ *   plain    - the text flavor only, with whitespace tidied up
+ *   markdown - the HTML flavor converted to Markdown
+ *   html     - the HTML flavor's source, pasted as text
+ *
+ * Markdown and HTML source need an HTML flavor; getAvailableFormats() says
+ * which modes an item supports.
+ */
+
+const PASTE_FORMATS = ['original', 'plain', 'markdown', 'html'];
+
+const PASTE_FORMAT_LABELS = {
+  original: 'Original',
+  plain: 'Plain Text',
+  markdown: 'Markdown',
+  html: 'HTML Source'
+};
+
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+// Elements whose content is never part of the pasted text
+const HIDDEN_ELEMENTS = new Set(['head', 'script', 'style', 'template', 'title', 'noscript']);
+
+const BLOCK_ELEMENTS = new Set([
+  'address', 'article', 'aside', 'body', 'dd', 'div', 'dl', 'dt', 'figcaption', 'figure',
+  'footer', 'header', 'html', 'main', 'nav', 'p', 'section'
+]);
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0',
+  copy: '©', reg: '®', trade: '™', hellip: '…', mdash: '—', ndash: '–',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', bull: '•', middot: '·', euro: '€'
+};
+
+const TOKEN_PATTERN = /<!--[\s\S]*?(?:-->|$)|<!\w[^>]*>|<(\/?)([a-zA-Z][\w:-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>|[^<]+|</g;
+const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+// Marks where a code block goes while the rest of the output is tidied up
+const CODE_BLOCK_MARK = '\u0000';
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+    }
+    const decoded = NAMED_ENTITIES[name.toLowerCase()];
+    return decoded === undefined ? entity : decoded;
+  });
+}
+
+function parseAttributes(source) {
+  const attributes = {};
+  for (const match of source.matchAll(ATTRIBUTE_PATTERN)) {
+    attributes[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+  }
+  return attributes;
+}
+
+/**
+ * A forgiving HTML parser: unclosed elements are closed by their parent's end
+ * tag, and end tags without a matching start tag are ignored
+ */
+function parseHtml(html) {
+  const root = { tag: '#root', attributes: {}, children: [] };
+  const stack = [root];
+
+  for (const match of html.matchAll(TOKEN_PATTERN)) {
+    const token = match[0];
+    const parent = stack[stack.length - 1];
+
+    if (match[2]) {
+      const tag = match[2].toLowerCase();
+      if (match[1]) {
+        const index = stack.map(node => node.tag).lastIndexOf(tag);
+        if (index > 0) stack.length = index;
+      } else {
+        const node = { tag, attributes: parseAttributes(match[3] || ''), children: [] };
+        parent.children.push(node);
+        if (!VOID_ELEMENTS.has(tag) && !token.endsWith('/>')) {
+          stack.push(node);
+        }
+      }
+    } else if (!token.startsWith('<!') || token === '<') {
+      parent.children.push({ text: decodeEntities(token) });
+    }
+  }
+
+  return root;
+}
+
+function getTextContent(node) {
+  if (node.text !== undefined) return node.text;
+  return node.children.map(getTextContent).join('');
+}
+
+function escapeMarkdown(text) {
+  return text.replace(/[\\`*_[\]<]/g, '\\$&');
+}
+
+/**
+ * Percent-encode what would end a Markdown link destination early
+ */
+function escapeUrl(url) {
+  return url.replace(/[()<>\s]/g, char => '%' + char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0'));
+}
+
+/**
+ * Wrap inline content in a marker, keeping surrounding spaces outside it
+ * since Markdown does not allow them inside
+ */
+function wrapInline(content, marker) {
+  const match = /^(\s*)([\s\S]*?)(\s*)$/.exec(content);
+  return match[2] ? `${match[1]}${marker}${match[2]}${marker}${match[3]}` : content;
+}
+
+function wrapCode(text) {
+  const longestRun = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(longestRun + 1);
+  const padding = text.startsWith('`') || text.endsWith('`') ? ' ' : '';
+  return `${fence}${padding}${text}${padding}${fence}`;
+}
+
+/**
+ * Tidy rendered Markdown: drop the space that indentation in the HTML source
+ * leaves at the start of a line (deeper indentation is from nested lists),
+ * trailing spaces, repeated blank lines and blank lines at the ends
+ */
+function tidyLines(text) {
+  return text.split('\n')
+    .map(line => line.replace(/^ (?=\S)/, '').trimEnd())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .replace(/^\n+|\n+$/g, '');
+}
+
+function toBlock(content) {
+  const text = tidyLines(content);
+  return text ? `\n\n${text}\n\n` : '';
+}
+
+function prefixLines(text, first, rest) {
+  return text.split('\n').map((line, index) => (index === 0 ? first : rest) + line).join('\n');
+}
+
+class MarkdownWriter {
+  constructor() {
+    this.codeBlocks = [];
+  }
+
+  renderChildren(node) {
+    return node.children.map(child => this.render(child)).join('');
+  }
+
+  render(node) {
+    if (node.text !== undefined) {
+      return escapeMarkdown(node.text.replace(/\s+/g, ' '));
+    }
+
+    const { tag, attributes } = node;
+    if (HIDDEN_ELEMENTS.has(tag)) return '';
+
+    const heading = /^h([1-6])$/.exec(tag);
+    if (heading) {
+      const text = this.renderChildren(node).replace(/\s+/g, ' ').trim();
+      return text ? `\n\n${'#'.repeat(Number(heading[1]))} ${text}\n\n` : '';
+    }
+
+    switch (tag) {
+      case 'br':
+        return '\n';
+      case 'hr':
+        return '\n\n---\n\n';
+      case 'strong':
+      case 'b':
+        return wrapInline(this.renderChildren(node), '**');
+      case 'em':
+      case 'i':
+        return wrapInline(this.renderChildren(node), '*');
+      case 'del':
+      case 's':
+      case 'strike':
+        return wrapInline(this.renderChildren(node), '~~');
+      case 'code':
+      case 'kbd':
+      case 'samp': {
+        const text = getTextContent(node).replace(/\s+/g, ' ');
+        return text.trim() ? wrapCode(text) : text;
+      }
+      case 'a': {
+        const text = this.renderChildren(node);
+        const href = (attributes.href || '').trim();
+        if (!href || /^javascript:/i.test(href) || !text.trim()) return text;
+        return text.trim() === escapeMarkdown(href) ? `<${href}>` : `[${text.trim()}](${escapeUrl(href)})`;
+      }
+      case 'img':
+        return attributes.src ? `![${escapeMarkdown(attributes.alt || '')}](${escapeUrl(attributes.src)})` : '';
+      case 'pre':
+        return this.renderCodeBlock(node);
+      case 'blockquote': {
+        const text = tidyLines(this.renderChildren(node));
+        return text ? `\n\n${prefixLines(text, '> ', '> ').replace(/^> $/gm, '>')}\n\n` : '';
+      }
+      case 'ul':
+      case 'ol':
+        return this.renderList(node);
+      case 'table':
+        return this.renderTable(node);
+      default:
+        return BLOCK_ELEMENTS.has(tag) ? toBlock(this.renderChildren(node)) : this.renderChildren(node);
+    }
+  }
+
+  /**
+   * Code blocks are rendered last so that tidying whitespace leaves them alone
+   */
+  renderCodeBlock(node) {
+    const code = node.children.find(child => child.tag === 'code');
+    const className = `${node.attributes.class || ''} ${code ? code.attributes.class || '' : ''}`;
+    const language = (/(?:^|\s)(?:language|lang)-([\w+#-]+)/.exec(className) || [])[1] || '';
+    const text = getTextContent(node).replace(/\u00a0/g, ' ').replace(/^\n/, '').replace(/\s+$/, '');
+
+    const longestRun = Math.max(2, ...(text.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(longestRun + 1);
+    this.codeBlocks.push(`${fence}${language}\n${text}\n${fence}`);
+    return `\n\n${CODE_BLOCK_MARK}${this.codeBlocks.length - 1}${CODE_BLOCK_MARK}\n\n`;
+  }
+
+  renderList(node) {
+    const ordered = node.tag === 'ol';
+    let number = ordered ? parseInt(node.attributes.start, 10) || 1 : 0;
+
+    const items = node.children.filter(child => child.tag === 'li').map(item => {
+      const marker = ordered ? `${number++}. ` : '- ';
+      // Items are kept tight: no blank lines inside them
+      const text = tidyLines(this.renderChildren(item)).replace(/\n\n+/g, '\n');
+      return prefixLines(text, marker, ' '.repeat(marker.length));
+    });
+    return items.length > 0 ? `\n\n${items.join('\n')}\n\n` : '';
+  }
+
+  renderTable(node) {
+    const rows = [];
+    const collectRows = parent => parent.children.forEach(child => {
+      if (child.tag === 'tr') {
+        rows.push(child.children.filter(cell => cell.tag === 'td' || cell.tag === 'th')
+          .map(cell => this.render({ ...cell, tag: 'span' }).replace(/\s+/g, ' ').trim().replace(/\|/g, '\\|')));
+      } else if (child.children) {
+        collectRows(child);
+      }
+    });
+    collectRows(node);
+
+    const width = Math.max(0, ...rows.map(row => row.length));
+    if (width === 0) return '';
+
+    const lines = rows.map(row => `| ${[...row, ...Array(width - row.length).fill('')].join(' | ')} |`);
+    lines.splice(1, 0, `| ${Array(width).fill('---').join(' | ')} |`);
+    return `\n\n${lines.join('\n')}\n\n`;
+  }
+
+  /**
+   * Put the code blocks back, continuing each line with the quote or list
+   * indentation its mark ended up in
+   */
+  restoreCodeBlocks(text) {
+    const pattern = new RegExp(`^(.*)${CODE_BLOCK_MARK}(\\d+)${CODE_BLOCK_MARK}$`, 'gm');
+    return text.replace(pattern, (mark, prefix, index) => {
+      return prefixLines(this.codeBlocks[Number(index)], prefix, prefix.replace(/[^>\s]/g, ' ')).replace(/[ \t]+$/gm, '');
+    });
+  }
+}
+
+/**
+ * Convert an HTML fragment, as copied from a browser or editor, to Markdown
+ */
+function htmlToMarkdown(html) {
+  const writer = new MarkdownWriter();
+  const markdown = tidyLines(writer.renderChildren(parseHtml(String(html || ''))));
+  return writer.restoreCodeBlocks(markdown);
+}
+
+/**
+ * Text with formatting characters removed: line endings unified, runs of
+ * spaces and tabs collapsed, lines trimmed and at most one blank line in a row
+ */
+function normalizePlainText(text) {
+  return String(text || '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/[\u200b-\u200d\ufeff]/g, '')
+    .replace(/[^\S\n]+/g, ' ')
+    .split('\n').map(line => line.trim()).join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Paste modes the item supports, original first
+ */
+function getAvailableFormats(item) {
+  if (!item || typeof item.text !== 'string') return ['original'];
+  return item.html ? PASTE_FORMATS : ['original', 'plain'];
+}
+
+/**
+ * Clipboard data for pasting the item in a mode other than original, or null
+ * when the item does not support that mode
+ */
+function getPasteContent(item, format) {
+  if (format === 'original' || !getAvailableFormats(item).includes(format)) {
+    return null;
+  }
+
+  switch (format) {
+    case 'plain':
+      return { text: normalizePlainText(item.text) };
+    case 'markdown':
+      return { text: htmlToMarkdown(item.html) };
+    case 'html':
+      return { text: item.html };
+    default:
+      return null;
+  }
+}
+
+module.exports = {
+  PASTE_FORMATS,
+  PASTE_FORMAT_LABELS,
+  htmlToMarkdown,
+  normalizePlainText,
+  getAvailableFormats,
+  getPasteContent
+};
@@ -0,0 +1,88 @@
+/**
+ * Ordered queue of items to paste one after another, for filling out forms.
+ *
+ * Entries are collected while queue mode is on and handed out one at a time
+ * by next(). FIFO hands them out in the order they were added, LIFO starts
+ * with the most recent one. The queue only lives in memory: entries can hold
+ * sensitive items and are meant for the task at hand.
+ */
+
+const QUEUE_ORDERS = ['fifo', 'lifo'];
+
+class PasteQueue {
+  constructor(order = 'fifo') {
+    this.active = false;
+    this.order = QUEUE_ORDERS.includes(order) ? order : 'fifo';
+    this.pending = [];
+    this.pastedCount = 0;
+  }
+
+  start() {
+    this.active = true;
+  }
+
+  /**
+   * Leave queue mode, dropping whatever was not pasted
+   */
+  stop() {
+    this.active = false;
+    this.clear();
+  }
+
+  clear() {
+    this.pending = [];
+    this.pastedCount = 0;
+  }
+
+  setOrder(order) {
+    if (!QUEUE_ORDERS.includes(order)) {
+      throw new Error(`Unknown queue order: ${order}`);
+    }
+    this.order = order;
+  }
+
+  /**
+   * Add an entry ({ item, format }) and return how many are waiting
+   */
+  add(entry) {
+    this.pending.push(entry);
+    return this.pending.length;
+  }
+
+  /**
+   * Drop waiting entries whose item matches, returning how many were dropped
+   */
+  remove(predicate) {
+    const before = this.pending.length;
+    this.pending = this.pending.filter(entry => !predicate(entry.item));
+    return before - this.pending.length;
+  }
+
+  /**
+   * Take the entry to paste next, or null when the queue is empty
+   */
+  next() {
+    if (this.pending.length === 0) return null;
+
+    const entry = this.order === 'lifo' ? this.pending.pop() : this.pending.shift();
+    this.pastedCount++;
+    return entry;
+  }
+
+  /**
+   * Waiting entries in the order next() hands them out
+   */
+  getUpcoming() {
+    return this.order === 'lifo' ? [...this.pending].reverse() : [...this.pending];
+  }
+
+  /**
+   * Entries pasted so far and the size of the whole run, pasted ones included
+   */
+  getPosition() {
+    return { pasted: this.pastedCount, total: this.pastedCount + this.pending.length };
+  }
+}
+
+module.exports = PasteQueue;
+module.exports.QUEUE_ORDERS = QUEUE_ORDERS;
@@ -1,10 +1,40 @@
 const { ipcRenderer } = require('electron');
+const { parseQuery, matchesQuery, getHighlightRanges } = require('../search-query');
+
+// History rows fetched from main at a time, and how far beyond the visible
+// part of the list rows are drawn
+const PAGE_SIZE = 100;
+const OVERSCAN_PX = 400;
+const SECTION_HEADER_HEIGHT = 28;
 
 class ClipboardUI {
     constructor() {
-        this.clipboardHistory = [];
-        this.filteredHistory = [];
+        // The list is snippet entries (when searching, or on the Snippets tab)
+        // followed by history results, which main sends a page at a time
+        this.snippetEntries = [];
+        this.historyPages = new Map(); // Page number -> item summaries
+        this.historyTotal = 0;
+        this.historyResult = { sectionCount: 0, tagCounts: [], hasKeptItems: false };
+        this.historyQueryId = 0;
+        this.loadingPages = new Set();
+        this.rowHeights = new Map(); // Row key -> measured height in pixels
+        this.renderedRange = null;
+        this.renderScheduled = false;
         this.selectedIndex = -1;
+        this.multiSelection = new Map(); // Id -> summary of items picked with Shift/Cmd-click, in the order picked
+        this.selectionAnchor = -1;
+        this.revealedItems = new Map(); // Sensitive item id -> revealed preview
+        this.draggedPinId = null;
+        this.snippets = [];
+        this.activeTab = 'history';
+        this.tagState = { collections: [], autoTagRules: [] };
+        this.activeTags = new Set();
+        this.activeCollectionId = null;
+        this.searchTerms = [];
+        this.searchError = null;
+        this.editingItemId = null;
+        this.editingText = null;
+        this.notificationTimer = null;
         this.searchInput = document.getElementById('searchInput');
         this.clipboardList = document.getElementById('clipboardList');
         
@@ -27,15 +57,72 @@ class ClipboardUI {
             this.handleKeyDown(e);
         });
 
+        // Rows are redrawn while scrolling, so their events are handled on the list
+        this.clipboardList.addEventListener('click', (e) => {
+            this.handleListClick(e);
+        });
+
+        this.clipboardList.addEventListener('contextmenu', (e) => {
+            const element = e.target.closest('.clipboard-item');
+            if (!element) return;
+
+            e.preventDefault();
+            const index = Number(element.dataset.index);
+            const entry = this.getEntry(index);
+            if (!entry) return;
+
+            this.selectedIndex = index;
+            this.updateSelectionUI();
+            ipcRenderer.invoke(entry.isSnippet ? 'show-snippet-menu' : 'show-item-menu', entry.id);
+        });
+
+        this.clipboardList.addEventListener('scroll', () => {
+            this.scheduleRender();
+        });
+
         // IPC listeners
-        ipcRenderer.on('history-updated', (event, history) => {
-            this.clipboardHistory = history;
+        ipcRenderer.on('history-updated', () => {
+            this.refreshHistory(true);
+        });
+
+        ipcRenderer.on('tags-updated', (event, tagState) => {
+            this.tagState = tagState;
+            this.filterHistory();
+            renderTagSettings();
+        });
+
+        ipcRenderer.on('edit-item-tags', (event, itemId) => {
+            openTagEditor(itemId);
+        });
+
+        ipcRenderer.on('transform-item', (event, itemId, chain) => {
+            openTransformEditor(itemId, chain);
+        });
+
+        ipcRenderer.on('edit-item-text', (event, itemId) => {
+            this.startEditing(itemId);
+        });
+
+        ipcRenderer.on('snippets-updated', (event, snippets) => {
+            this.snippets = snippets;
             this.filterHistory();
         });
 
+        ipcRenderer.on('edit-snippet', (event, snippetId) => {
+            openSnippetEditor(snippetId);
+        });
+
+        ipcRenderer.on('pause-state-changed', (event, pauseState) => {
+            this.updatePauseState(pauseState);
+        });
+
+        ipcRenderer.on('paste-queue-changed', (event, queueState) => {
+            this.updatePasteQueueState(queueState);
+        });
+
         // Notification listener
         ipcRenderer.on('show-notification', (event, notification) => {
-            this.showNotification(notification.title, notification.message, notification.type);
+            this.showNotification(notification.title, notification.message, notification.type, notification.undoIds);
         });
 
         // Focus search input when window opens
@@ -46,8 +133,15 @@ class ClipboardUI {
 
     async loadClipboardHistory() {
         try {
-            this.clipboardHistory = await ipcRenderer.invoke('get-clipboard-history');
+            this.updateEncryptionState(await ipcRenderer.invoke('get-encryption-state'));
+
+            this.snippets = await ipcRenderer.invoke('get-snippets');
+            this.tagState = await ipcRenderer.invoke('get-tag-state');
+            document.getElementById('sortModeSelect').value = await ipcRenderer.invoke('get-sort-mode');
             this.filterHistory();
+
+            this.updatePauseState(await ipcRenderer.invoke('get-pause-state'));
+            this.updatePasteQueueState(await ipcRenderer.invoke('get-paste-queue'));
             
             // Load current settings
             const currentLimit = await ipcRenderer.invoke('get-history-limit');
@@ -70,6 +164,14 @@ class ClipboardUI {
                 notificationsToggle.checked = notificationsEnabled;
             }
 
+            // Load auto-paste setting
+            const autoPaste = await ipcRenderer.invoke('get-auto-paste');
+            const autoPasteToggle = document.getElementById('autoPasteToggle');
+            if (autoPasteToggle) {
+                autoPasteToggle.checked = autoPaste.enabled;
+                autoPasteToggle.disabled = !autoPaste.supported;
+            }
+
             // Load window follows cursor setting
             const windowFollowsCursor = await ipcRenderer.invoke('get-window-follows-cursor');
             const windowFollowsCursorToggle = document.getElementById('windowFollowsCursorToggle');
@@ -91,292 +193,2224 @@ class ClipboardUI {
                 keyboardShortcutSelect.value = keyboardShortcut;
             }
 
+            // Load pause shortcut setting
+            const pauseShortcut = await ipcRenderer.invoke('get-pause-shortcut');
+            const pauseShortcutSelect = document.getElementById('pauseShortcutSelect');
+            if (pauseShortcutSelect) {
+                pauseShortcutSelect.value = pauseShortcut;
+            }
+
+            // Load paste queue settings
+            document.getElementById('pasteNextShortcutSelect').value = await ipcRenderer.invoke('get-paste-next-shortcut');
+
+            // Load trash setting
+            const trashRetentionHours = await ipcRenderer.invoke('get-trash-retention-hours');
+            document.getElementById('trashRetentionSelect').value = trashRetentionHours.toString();
+
+            // Load capture rules
+            await loadCaptureRules();
+
+            // Load sensitive data settings
+            const sensitiveDetection = await ipcRenderer.invoke('get-sensitive-detection-enabled');
+            const sensitiveDetectionToggle = document.getElementById('sensitiveDetectionToggle');
+            if (sensitiveDetectionToggle) {
+                sensitiveDetectionToggle.checked = sensitiveDetection;
+            }
+
+            const sensitiveExpiry = await ipcRenderer.invoke('get-sensitive-expiry-minutes');
+            const sensitiveExpirySelect = document.getElementById('sensitiveExpirySelect');
+            if (sensitiveExpirySelect) {
+                sensitiveExpirySelect.value = sensitiveExpiry.toString();
+            }
 
         } catch (error) {
             console.error('Error loading clipboard history and settings:', error);
         }
     }
 
-    filterHistory() {
-        const searchTerm = this.searchInput.value.toLowerCase().trim();
-        
-        if (!searchTerm) {
-            this.filteredHistory = [...this.clipboardHistory];
+    updateEncryptionState(state) {
+        this.encryptionState = state;
+        document.querySelector('.clipboard-container').classList.toggle('locked', state.locked);
+
+        if (state.locked) {
+            const usesPassphrase = state.mode === 'passphrase';
+            document.getElementById('unlockForm').style.display = usesPassphrase ? 'block' : 'none';
+            document.getElementById('lockMessage').textContent = usesPassphrase
+                ? 'Enter your passphrase to unlock it. Nothing is saved while history is locked.'
+                : 'The key is kept in the system keychain, which is not available right now. Nothing is saved while history is locked.';
+
+            if (usesPassphrase) {
+                setTimeout(() => document.getElementById('unlockPassphrase').focus(), 100);
+            }
+        }
+
+        const statusText = {
+            off: 'History is stored unencrypted',
+            keychain: 'History is encrypted with a key kept in the system keychain',
+            passphrase: 'History is encrypted with your passphrase'
+        };
+        document.getElementById('encryptionModeSelect').value = state.mode;
+        document.getElementById('encryptionStatus').textContent = statusText[state.mode] +
+            (state.mode !== 'keychain' && !state.keychainAvailable ? ' (system keychain unavailable)' : '');
+        updateEncryptionModeFields();
+    }
+
+    updatePauseState(pauseState) {
+        const banner = document.getElementById('pauseBanner');
+        const button = document.getElementById('pauseButton');
+
+        if (pauseState.paused) {
+            document.getElementById('pauseBannerText').textContent = `⏸ Capture ${pauseState.description}`;
+            banner.style.display = 'flex';
+            button.textContent = '▶';
+            button.title = 'Resume capture';
         } else {
-            this.filteredHistory = this.clipboardHistory.filter(item => {
-                if (item.type === 'text' || item.type === 'richtext') {
-                    return item.text.toLowerCase().includes(searchTerm) ||
-                           item.preview.toLowerCase().includes(searchTerm);
-                }
-                return false; // Only filter text and rich text items
-            });
+            banner.style.display = 'none';
+            button.textContent = '⏸';
+            button.title = 'Pause capture';
         }
-        
-        this.selectedIndex = -1;
-        this.renderHistory();
     }
 
-    renderHistory() {
-        if (this.filteredHistory.length === 0) {
-            this.clipboardList.innerHTML = `
-                <div class="empty-state">
-                    <p>No clipboard history found.</p>
-                    ${this.searchInput.value ? '<p>Try a different search term.</p>' : '<p>Copy text, rich text, or images to get started!</p>'}
-                </div>
-            `;
+    updatePasteQueueState(queueState) {
+        const banner = document.getElementById('queueBanner');
+        const button = document.getElementById('queueButton');
+        document.getElementById('pasteQueueOrderSelect').value = queueState.order;
+
+        if (!queueState.active) {
+            banner.style.display = 'none';
+            button.textContent = '⇶';
+            button.title = 'Paste queue';
+            button.classList.remove('active');
             return;
         }
 
-        const historyHTML = this.filteredHistory.map((item, index) => {
-            return this.createItemHTML(item, index);
-        }).join('');
+        const next = queueState.upcoming[0];
+        let text;
+        if (queueState.total === 0) {
+            text = '⇶ Paste queue on: copy or pick items to queue them';
+        } else if (next) {
+            text = `⇶ Queue ${queueState.pasted}/${queueState.total}, next: "${next.label}"` + (next.format ? ` as ${next.format}` : '');
+        } else {
+            text = `⇶ Queue ${queueState.pasted}/${queueState.total}, all pasted`;
+        }
 
-        this.clipboardList.innerHTML = historyHTML;
+        const bannerText = document.getElementById('queueBannerText');
+        bannerText.textContent = text;
+        bannerText.title = queueState.upcoming.map((entry, index) => `${index + 1}. ${entry.label}`).join('\n');
+        document.getElementById('queueClearButton').disabled = queueState.total === 0;
+        banner.style.display = 'flex';
 
-        // Add click listeners
-        const items = this.clipboardList.querySelectorAll('.clipboard-item');
-        items.forEach((item, index) => {
-            item.addEventListener('click', () => {
-                this.selectItem(index);
-            });
-        });
+        button.textContent = `${queueState.pasted}/${queueState.total}`;
+        button.title = `Paste queue (${queueState.description})`;
+        button.classList.add('active');
     }
 
-    showNotification(title, message, type = 'success') {
-        const container = document.getElementById('notificationContainer');
-        const titleElement = document.getElementById('notificationTitle');
-        const messageElement = document.getElementById('notificationMessage');
-        const iconElement = document.getElementById('notificationIcon');
-        const notification = container.querySelector('.notification');
-        
-        // Set content
-        titleElement.textContent = title;
-        messageElement.textContent = message;
-        
-        // Set type and icon
-        notification.className = 'notification';
-        if (type === 'error') {
-            notification.classList.add('error');
-            iconElement.textContent = '⚠️';
-        } else {
-            iconElement.textContent = '✓';
+    filterHistory() {
+        this.parseSearch();
+        this.renderTagFilterBar();
+        this.selectedIndex = -1;
+        this.clearMultiSelection();
+        this.clipboardList.scrollTop = 0;
+
+        // Nothing matches a query that does not parse; the error says why.
+        // The Snippets tab is searched here, without asking main.
+        if (this.searchError || this.activeTab === 'snippets') {
+            this.historyQueryId++;
+            this.snippetEntries = this.searchError ? [] : this.getSnippetEntries();
+            this.renderHistory();
+            return;
         }
-        
-        // Show notification
-        container.style.display = 'block';
-        
-        // Auto-hide after 2.5 seconds
-        setTimeout(() => {
-            if (container.style.display !== 'none') {
-                notification.style.animation = 'slideOutNotification 0.3s ease-out forwards';
-                setTimeout(() => {
-                    container.style.display = 'none';
-                    notification.style.animation = '';
-                }, 300);
-            }
-        }, 2500);
+
+        // Searching the history tab also finds snippets, listed first
+        const snippetEntries = this.searchTerms.length > 0 && !this.hasTagFilter() ? this.getSnippetEntries() : [];
+        this.refreshHistory(false, snippetEntries);
     }
 
-    createItemHTML(item, index) {
-        const isSelected = index === this.selectedIndex;
-        const timestamp = this.formatTimestamp(item.timestamp);
-        
-        let icon = '📄';
-        let content = '';
-        
-        if (item.type === 'text') {
-            icon = '📄';
-            content = `<div class="item-preview">${this.escapeHtml(item.preview)}</div>`;
-        } else if (item.type === 'richtext') {
-            icon = '📝';
-            content = `<div class="item-preview">${this.escapeHtml(item.preview)}</div>`;
-        } else if (item.type === 'image') {
-            icon = '🖼️';
-            content = `
-                <img src="${item.dataUrl}" alt="Clipboard image" class="item-image" />
-                <div class="item-preview">Image</div>
-            `;
+    /**
+     * Ask main for the history results of the current search and filters.
+     * Keeping the scroll position reloads the pages on screen, otherwise
+     * the list starts at the top.
+     */
+    async refreshHistory(keepScroll, snippetEntries = this.snippetEntries) {
+        if (this.activeTab !== 'history' || this.searchError) return;
+
+        const queryId = ++this.historyQueryId;
+        const pages = keepScroll ? this.getRenderedPages() : [0];
+        this.loadingPages.clear();
+
+        try {
+            const results = await Promise.all(pages.map(page => this.fetchPage(page)));
+            if (queryId !== this.historyQueryId) return;
+
+            this.snippetEntries = snippetEntries;
+            this.historyPages = new Map();
+            results.forEach((result, index) => this.applyPage(pages[index], result));
+        } catch (error) {
+            console.error('Error loading clipboard history:', error);
+            return;
         }
 
-        return `
-            <div class="clipboard-item ${isSelected ? 'selected' : ''}" data-index="${index}">
-                <div class="item-icon">${icon}</div>
-                <div class="item-content">
-                    ${content}
-                    <div class="item-meta">
-                        <span class="item-type">${item.type}</span>
-                        <span class="item-timestamp">${timestamp}</span>
-                    </div>
-                </div>
-            </div>
-        `;
+        this.renderTagFilterBar();
+        renderTagSettings();
+        this.renderHistory();
     }
 
-    handleKeyDown(e) {
-        switch (e.key) {
-            case 'Escape':
-                // Close settings first if open, otherwise close window
-                const settingsPanel = document.getElementById('settingsPanel');
-                if (settingsPanel.style.display !== 'none') {
-                    toggleSettings();
-                } else {
-                    this.closeWindow();
-                }
-                break;
-            
-            case 'ArrowDown':
-                e.preventDefault();
-                this.moveSelection(1);
-                break;
-            
-            case 'ArrowUp':
-                e.preventDefault();
-                this.moveSelection(-1);
-                break;
-            
-            case 'Enter':
-                e.preventDefault();
-                if (this.selectedIndex >= 0) {
-                    this.selectItem(this.selectedIndex);
-                }
-                break;
-                
-            case 'Tab':
-                e.preventDefault();
-                this.moveSelection(e.shiftKey ? -1 : 1);
-                break;
-        }
+    fetchPage(page) {
+        return ipcRenderer.invoke('query-history', {
+            query: this.searchInput.value,
+            tags: [...this.activeTags],
+            collectionId: this.activeCollectionId,
+            offset: page * PAGE_SIZE,
+            limit: PAGE_SIZE
+        });
     }
 
-    moveSelection(direction) {
-        if (this.filteredHistory.length === 0) return;
-        
-        this.selectedIndex += direction;
-        
-        if (this.selectedIndex < 0) {
-            this.selectedIndex = this.filteredHistory.length - 1;
-        } else if (this.selectedIndex >= this.filteredHistory.length) {
-            this.selectedIndex = 0;
-        }
-        
-        this.updateSelectionUI();
-        this.scrollToSelected();
+    applyPage(page, result) {
+        // Keep what the bulk bar knows about selected items current
+        result.items.filter(item => this.multiSelection.has(item.id)).forEach(item => this.multiSelection.set(item.id, item));
+        this.historyPages.set(page, result.items);
+        this.historyTotal = result.total;
+        this.historyResult = result;
     }
 
-    updateSelectionUI() {
-        const items = this.clipboardList.querySelectorAll('.clipboard-item');
-        items.forEach((item, index) => {
-            if (index === this.selectedIndex) {
-                item.classList.add('selected');
-            } else {
-                item.classList.remove('selected');
+    /**
+     * Fetch pages of the current query that rows on screen need
+     */
+    loadPages(pages) {
+        const queryId = this.historyQueryId;
+
+        pages.filter(page => !this.historyPages.has(page) && !this.loadingPages.has(page)).forEach(async page => {
+            this.loadingPages.add(page);
+            try {
+                const result = await this.fetchPage(page);
+                if (queryId !== this.historyQueryId) return;
+
+                this.loadingPages.delete(page);
+                this.applyPage(page, result);
+                this.renderHistory();
+            } catch (error) {
+                console.error('Error loading history page:', error);
             }
         });
     }
 
-    scrollToSelected() {
-        if (this.selectedIndex < 0) return;
-        
-        const selectedItem = this.clipboardList.querySelector(`.clipboard-item[data-index="${this.selectedIndex}"]`);
-        if (selectedItem) {
-            selectedItem.scrollIntoView({
-                behavior: 'smooth',
-                block: 'nearest'
-            });
+    /**
+     * History pages with rows on screen, or the first page
+     */
+    getRenderedPages() {
+        if (!this.renderedRange) return [0];
+
+        const first = Math.max(0, this.renderedRange.start - this.snippetEntries.length);
+        const last = Math.max(0, this.renderedRange.end - 1 - this.snippetEntries.length);
+        const pages = [];
+        for (let page = Math.floor(first / PAGE_SIZE); page <= Math.floor(last / PAGE_SIZE); page++) {
+            pages.push(page);
         }
+        return pages;
     }
 
-    async selectItem(index) {
-        if (index < 0 || index >= this.filteredHistory.length) return;
-        
-        const item = this.filteredHistory[index];
-        
-        try {
-            await ipcRenderer.invoke('select-clipboard-item', item.id);
-        } catch (error) {
-            console.error('Error selecting clipboard item:', error);
-        }
+    showsHistory() {
+        return this.activeTab === 'history' && !this.searchError;
     }
 
-    formatTimestamp(timestamp) {
-        const now = Date.now();
-        const diff = now - timestamp;
-        
-        if (diff < 60000) { // Less than 1 minute
-            return 'Just now';
-        } else if (diff < 3600000) { // Less than 1 hour
-            const minutes = Math.floor(diff / 60000);
-            return `${minutes}m ago`;
-        } else if (diff < 86400000) { // Less than 1 day
-            const hours = Math.floor(diff / 3600000);
-            return `${hours}h ago`;
-        } else {
-            const days = Math.floor(diff / 86400000);
-            return `${days}d ago`;
+    getEntryCount() {
+        return this.snippetEntries.length + (this.showsHistory() ? this.historyTotal : 0);
+    }
+
+    /**
+     * The snippet or history summary at a list position, or null while its page loads
+     */
+    getEntry(index) {
+        if (index < this.snippetEntries.length) {
+            return this.snippetEntries[index];
         }
+
+        const historyIndex = index - this.snippetEntries.length;
+        const page = this.showsHistory() ? this.historyPages.get(Math.floor(historyIndex / PAGE_SIZE)) : null;
+        return (page && page[historyIndex % PAGE_SIZE]) || null;
     }
 
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+    getLoadedHistoryEntries() {
+        return [...this.historyPages.keys()]
+            .sort((a, b) => a - b)
+            .flatMap(page => this.historyPages.get(page));
     }
 
-    closeWindow() {
-        ipcRenderer.invoke('close-clipboard-window');
+    /**
+     * Parse the search box, showing what is wrong with it under the input
+     */
+    parseSearch() {
+        try {
+            this.searchTerms = parseQuery(this.searchInput.value);
+            this.searchError = null;
+        } catch (error) {
+            this.searchTerms = [];
+            this.searchError = error.message;
+        }
+
+        const errorElement = document.getElementById('searchError');
+        errorElement.textContent = this.searchError || '';
+        errorElement.style.display = this.searchError ? 'block' : 'none';
+        this.searchInput.classList.toggle('invalid', Boolean(this.searchError));
     }
 
+    /**
+     * Escape text for the list, marking what the search matched
+     */
+    highlightText(text) {
+        const ranges = getHighlightRanges(text, this.searchTerms);
+        let html = '';
+        let position = 0;
 
-}
+        ranges.forEach(([start, end]) => {
+            html += this.escapeHtml(text.slice(position, start)) + `<mark>${this.escapeHtml(text.slice(start, end))}</mark>`;
+            position = end;
+        });
 
-// Global functions for HTML event handlers
-function closeWindow() {
-    ipcRenderer.invoke('close-clipboard-window');
-}
+        return html + this.escapeHtml(text.slice(position));
+    }
 
-function toggleSettings() {
-    const settingsPanel = document.getElementById('settingsPanel');
-    const clipboardList = document.getElementById('clipboardList');
-    
-    if (settingsPanel.style.display === 'none') {
-        settingsPanel.style.display = 'block';
-        clipboardList.style.display = 'none';
-    } else {
-        settingsPanel.style.display = 'none';
-        clipboardList.style.display = 'block';
+    hasTagFilter() {
+        return this.activeTags.size > 0 || this.activeCollectionId !== null;
     }
-}
 
-async function clearClipboardHistory() {
-    const confirmed = confirm('Are you sure you want to clear all clipboard history? This action cannot be undone.');
-    if (confirmed) {
-        try {
-            await ipcRenderer.invoke('clear-clipboard-history');
-            // Hide settings and refresh the list
-            toggleSettings();
-        } catch (error) {
-            console.error('Error clearing clipboard history:', error);
-            alert('Failed to clear clipboard history. Please try again.');
+    toggleTagFilter(tag) {
+        if (this.activeTags.has(tag)) {
+            this.activeTags.delete(tag);
+        } else {
+            this.activeTags.add(tag);
         }
+        this.filterHistory();
     }
-}
 
-async function updateHistoryLimit() {
-    const select = document.getElementById('historySizeLimit');
-    const limit = parseInt(select.value);
-    
-    if (limit && limit > 0) {
-        try {
-            await ipcRenderer.invoke('update-history-limit', limit);
-            console.log('History limit updated to:', limit);
-        } catch (error) {
-            console.error('Error updating history limit:', error);
-        }
+    toggleCollectionFilter(collectionId) {
+        this.activeCollectionId = this.activeCollectionId === collectionId ? null : collectionId;
+        this.filterHistory();
     }
-}
 
-async function updateAutoLaunch() {
-    const checkbox = document.getElementById('autoLaunchToggle');
+    /**
+     * Every tag in use with its item count, most used first, as main last counted them
+     */
+    getTagCounts() {
+        return this.historyResult.tagCounts || [];
+    }
+
+    getCollectionName(collectionId) {
+        const collection = this.tagState.collections.find(existing => existing.id === collectionId);
+        return collection ? collection.name : null;
+    }
+
+    renderTagFilterBar() {
+        const bar = document.getElementById('tagFilterBar');
+        const tags = this.getTagCounts().map(([tag]) => tag);
+
+        // Selected tags stay visible even when the last item carrying them is gone
+        this.activeTags.forEach(tag => {
+            if (!tags.includes(tag)) tags.push(tag);
+        });
+        if (this.activeCollectionId !== null && !this.getCollectionName(this.activeCollectionId)) {
+            this.activeCollectionId = null;
+        }
+
+        if (this.activeTab !== 'history' || (tags.length === 0 && this.tagState.collections.length === 0)) {
+            bar.style.display = 'none';
+            return;
+        }
+
+        const collectionChips = this.tagState.collections.map(collection => `
+            <button class="tag-chip collection ${this.activeCollectionId === collection.id ? 'active' : ''}" data-collection-id="${collection.id}">📁 ${this.escapeHtml(collection.name)}</button>
+        `).join('');
+        const tagChips = tags.map(tag => `
+            <button class="tag-chip ${this.activeTags.has(tag) ? 'active' : ''}" data-tag="${tag}">#${this.escapeHtml(tag)}</button>
+        `).join('');
+        const clear = this.hasTagFilter() ? '<button class="link-button" data-clear="true">Clear</button>' : '';
+
+        bar.innerHTML = collectionChips + tagChips + clear;
+        bar.style.display = 'flex';
+
+        bar.querySelectorAll('[data-collection-id]').forEach(chip => {
+            chip.addEventListener('click', () => this.toggleCollectionFilter(chip.dataset.collectionId));
+        });
+        bar.querySelectorAll('[data-tag]').forEach(chip => {
+            chip.addEventListener('click', () => this.toggleTagFilter(chip.dataset.tag));
+        });
+        bar.querySelectorAll('[data-clear]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.activeTags.clear();
+                this.activeCollectionId = null;
+                this.filterHistory();
+            });
+        });
+    }
+
+    /**
+     * Snippets matching the search, grouped by folder, as list entries
+     */
+    getSnippetEntries() {
+        return this.snippets
+            .filter(snippet => matchesQuery({ type: 'text', text: [snippet.name, snippet.folder, snippet.text].join('\n') }, this.searchTerms))
+            .sort((a, b) => (a.folder || '\uffff').localeCompare(b.folder || '\uffff') || a.name.localeCompare(b.name))
+            .map(snippet => ({ ...snippet, isSnippet: true }));
+    }
+
+    getSectionLabel(item) {
+        if (this.activeTab === 'snippets') {
+            return item.folder ? `📁 ${item.folder}` : 'Unfiled';
+        }
+        if (item.isSnippet) return '🧩 Snippets';
+        return SECTION_LABELS[item.section];
+    }
+
+    /**
+     * Section headers only when there is more than one kind of entry (or folders)
+     */
+    showsHeaders() {
+        if (this.activeTab === 'snippets') return true;
+
+        const historySections = this.showsHistory() && this.historyTotal > 0 ? this.historyResult.sectionCount : 0;
+        return (this.snippetEntries.length > 0 ? 1 : 0) + historySections > 1;
+    }
+
+    hasHeader(index, entry) {
+        if (!this.showsHeaders()) return false;
+        if (index === 0 || index === this.snippetEntries.length) return true;
+        if (entry.isSnippet) {
+            return this.getSectionLabel(entry) !== this.getSectionLabel(this.getEntry(index - 1));
+        }
+        return entry.sectionStart;
+    }
+
+    getRowKey(index, entry) {
+        return `${entry.isSnippet ? 'snippet' : 'item'}:${entry.id}:${this.hasHeader(index, entry) ? 'header' : ''}`;
+    }
+
+    /**
+     * Measured height of a row, or a guess until it has been drawn
+     */
+    getRowHeight(index) {
+        const entry = this.getEntry(index);
+        if (!entry) return 70;
+
+        const measured = this.rowHeights.get(this.getRowKey(index, entry));
+        if (measured) return measured;
+
+        let height = entry.thumbnailUrl ? 150 : 70;
+        if (entry.type === 'files') height += 20 * Math.min(entry.files.length, 5);
+        return height + (this.hasHeader(index, entry) ? SECTION_HEADER_HEIGHT : 0);
+    }
+
+    /**
+     * Rows to draw for the current scroll position, with the space above and below them
+     */
+    getVisibleRange() {
+        const count = this.getEntryCount();
+        const scrollTop = this.clipboardList.scrollTop;
+        const viewportBottom = scrollTop + (this.clipboardList.clientHeight || 360);
+        const heights = Array.from({ length: count }, (value, index) => this.getRowHeight(index));
+
+        let start = 0;
+        let top = 0;
+        while (start < count - 1 && top + heights[start] < scrollTop - OVERSCAN_PX) {
+            top += heights[start];
+            start++;
+        }
+
+        let end = start;
+        let bottom = top;
+        while (end < count && bottom < viewportBottom + OVERSCAN_PX) {
+            bottom += heights[end];
+            end++;
+        }
+
+        const total = heights.reduce((sum, height) => sum + height, 0);
+        return { start, end, top, below: total - bottom };
+    }
+
+    scheduleRender() {
+        if (this.renderScheduled) return;
+        this.renderScheduled = true;
+
+        requestAnimationFrame(() => {
+            this.renderScheduled = false;
+            const range = this.getVisibleRange();
+            if (!this.renderedRange || range.start !== this.renderedRange.start || range.end !== this.renderedRange.end) {
+                this.renderHistory();
+            }
+        });
+    }
+
+    renderHistory() {
+        if (this.getEntryCount() === 0) {
+            let message;
+            if (this.searchError) {
+                message = '<p>Fix the search query to see results.</p>';
+            } else if (this.searchInput.value) {
+                message = '<p>Try a different search term.</p>';
+            } else if (this.activeTab === 'snippets') {
+                message = '<p>Click + New, or right-click a history item and choose Save as Snippet.</p>';
+            } else if (this.hasTagFilter()) {
+                message = '<p>No items have all the selected tags.</p>';
+            } else {
+                message = '<p>Copy text, rich text, images or files to get started!</p>';
+            }
+
+            this.clipboardList.innerHTML = `
+                <div class="empty-state">
+                    <p>${this.activeTab === 'snippets' ? 'No snippets found.' : 'No clipboard history found.'}</p>
+                    ${message}
+                </div>
+            `;
+            this.renderedRange = null;
+            return;
+        }
+
+        // Keep unsaved edits when the list re-renders underneath them
+        const editor = this.clipboardList.querySelector('.item-edit-text');
+        const draft = editor ? editor.value : null;
+
+        // Only the rows in and near the visible part of the list are drawn;
+        // spacers stand in for the rest
+        const { start, end, top, below } = this.getVisibleRange();
+        const missingPages = new Set();
+        let rowsHTML = '';
+
+        for (let index = start; index < end; index++) {
+            const entry = this.getEntry(index);
+            if (!entry) {
+                missingPages.add(Math.floor((index - this.snippetEntries.length) / PAGE_SIZE));
+                rowsHTML += `<div class="virtual-row" data-index="${index}"><div class="clipboard-item placeholder" data-index="${index}"></div></div>`;
+                continue;
+            }
+
+            const header = this.hasHeader(index, entry)
+                ? `<div class="list-section-header">${this.escapeHtml(this.getSectionLabel(entry))}</div>`
+                : '';
+            rowsHTML += `<div class="virtual-row" data-index="${index}">${header}${this.createItemHTML(entry, index)}</div>`;
+        }
+
+        this.clipboardList.innerHTML = `
+            <div class="virtual-spacer" style="height: ${top}px"></div>
+            ${rowsHTML}
+            <div class="virtual-spacer" style="height: ${below}px"></div>
+        `;
+        this.renderedRange = { start, end };
+
+        const newEditor = this.clipboardList.querySelector('.item-edit-text');
+        if (newEditor) {
+            if (draft !== null) newEditor.value = draft;
+            newEditor.focus();
+        }
+
+        this.clipboardList.querySelectorAll('.clipboard-item[draggable="true"]').forEach(element => {
+            this.setupPinDrag(element, this.getEntry(Number(element.dataset.index)).id);
+        });
+
+        this.measureRows();
+        this.loadPages([...missingPages]);
+    }
+
+    /**
+     * Remember how tall drawn rows really are. When rows above the visible
+     * part change size, scroll by the difference so the view stays put.
+     */
+    measureRows() {
+        const listTop = this.clipboardList.getBoundingClientRect().top;
+        let shift = 0;
+
+        this.clipboardList.querySelectorAll('.virtual-row').forEach(row => {
+            const index = Number(row.dataset.index);
+            const entry = this.getEntry(index);
+            if (!entry) return;
+
+            const height = row.offsetHeight;
+            const expected = this.getRowHeight(index);
+            if (height === expected) return;
+
+            this.rowHeights.set(this.getRowKey(index, entry), height);
+            if (row.getBoundingClientRect().bottom <= listTop) {
+                shift += height - expected;
+            }
+        });
+
+        if (shift !== 0) {
+            this.clipboardList.scrollTop += shift;
+        }
+    }
+
+    handleListClick(e) {
+        const element = e.target.closest('.clipboard-item');
+        if (!element) return;
+
+        const index = Number(element.dataset.index);
+        const entry = this.getEntry(index);
+        if (!entry) return;
+
+        const editAction = e.target.closest('[data-edit-action]');
+        if (editAction) {
+            if (editAction.dataset.editAction === 'cancel') {
+                this.cancelEditing();
+            } else {
+                this.saveEdit(editAction.dataset.editAction === 'copy');
+            }
+            return;
+        }
+        if (e.target.closest('.item-editor')) return;
+
+        const chip = e.target.closest('.item-tags .tag-chip');
+        if (chip) {
+            if (chip.dataset.collectionId) {
+                this.toggleCollectionFilter(chip.dataset.collectionId);
+            } else {
+                this.toggleTagFilter(chip.dataset.tag);
+            }
+        } else if (e.target.closest('.reveal-btn')) {
+            this.toggleReveal(entry);
+        } else if (e.target.closest('.delete-btn')) {
+            this.deleteItem(entry);
+        } else if (e.target.closest('.edit-btn')) {
+            this.startEditing(entry.id);
+        } else if (e.target.closest('.pin-btn')) {
+            ipcRenderer.invoke('set-item-pinned', entry.id, !entry.pinned);
+        } else if (e.shiftKey || e.metaKey || e.ctrlKey) {
+            this.toggleMultiSelection(index, e.shiftKey);
+        } else if (this.multiSelection.size > 0) {
+            // With items selected a plain click only moves the cursor, so a stray click does not paste
+            this.clearMultiSelection();
+            this.selectedIndex = index;
+            this.updateSelectionUI();
+        } else {
+            this.selectItem(index, getSelectOptions(e));
+        }
+    }
+
+    /**
+     * Cmd/Ctrl-click adds or removes one item; Shift-click selects every
+     * item from the last one clicked. Snippets cannot be selected.
+     */
+    toggleMultiSelection(index, range) {
+        const entry = this.getEntry(index);
+        if (!entry || entry.isSnippet) return;
+
+        if (range) {
+            if (this.selectionAnchor < 0) {
+                this.selectionAnchor = this.selectedIndex >= 0 ? this.selectedIndex : index;
+            }
+            this.selectedIndex = index;
+            this.selectRange(this.selectionAnchor, index);
+            return;
+        }
+
+        if (this.multiSelection.has(entry.id)) {
+            this.multiSelection.delete(entry.id);
+        } else {
+            this.multiSelection.set(entry.id, entry);
+        }
+        this.selectionAnchor = index;
+        this.selectedIndex = index;
+        this.renderBulkBar();
+        this.updateSelectionUI();
+    }
+
+    /**
+     * Shift+Arrow grows or shrinks the selection from where it started
+     */
+    extendSelection(direction) {
+        const next = this.selectedIndex + direction;
+        if (next < 0 || next >= this.getEntryCount()) return;
+
+        if (this.multiSelection.size === 0 || this.selectionAnchor < 0) {
+            this.selectionAnchor = this.selectedIndex >= 0 ? this.selectedIndex : next;
+        }
+        this.selectedIndex = next;
+        this.scrollToSelected();
+        this.selectRange(this.selectionAnchor, next);
+    }
+
+    /**
+     * Select the history items between two list positions, replacing the
+     * selection. Pages in between that are not loaded are fetched first.
+     */
+    async selectRange(from, to) {
+        const start = Math.min(from, to);
+        const end = Math.max(from, to);
+        const queryId = this.historyQueryId;
+        const offset = this.snippetEntries.length;
+
+        try {
+            for (let page = Math.floor(Math.max(0, start - offset) / PAGE_SIZE); page <= Math.floor(Math.max(0, end - offset) / PAGE_SIZE); page++) {
+                if (!this.showsHistory() || this.historyPages.has(page)) continue;
+                const result = await this.fetchPage(page);
+                if (queryId !== this.historyQueryId) return;
+                this.applyPage(page, result);
+            }
+        } catch (error) {
+            console.error('Error loading items to select:', error);
+            return;
+        }
+
+        this.multiSelection.clear();
+        for (let index = start; index <= end; index++) {
+            const entry = this.getEntry(index);
+            if (entry && !entry.isSnippet) {
+                this.multiSelection.set(entry.id, entry);
+            }
+        }
+        this.renderBulkBar();
+        this.updateSelectionUI();
+    }
+
+    clearMultiSelection() {
+        this.multiSelection.clear();
+        this.selectionAnchor = -1;
+        this.renderBulkBar();
+        this.updateSelectionUI();
+    }
+
+    /**
+     * Show the bulk actions bar while items are selected
+     */
+    renderBulkBar() {
+        const bar = document.getElementById('bulkBar');
+        const entries = [...this.multiSelection.values()];
+        const visible = entries.length > 0;
+
+        if (visible) {
+            document.getElementById('bulkCount').textContent = `${entries.length} selected`;
+            document.getElementById('bulkPinButton').textContent = entries.every(entry => entry.pinned) ? '📌 Unpin' : '📌 Pin';
+        }
+        if ((bar.style.display !== 'none') !== visible) {
+            bar.style.display = visible ? 'block' : 'none';
+            // The list gets shorter or taller
+            this.scheduleRender();
+        }
+    }
+
+    /**
+     * Drag a pinned item onto another pinned item to move it there
+     */
+    setupPinDrag(element, itemId) {
+        element.addEventListener('dragstart', (e) => {
+            this.draggedPinId = itemId;
+            e.dataTransfer.effectAllowed = 'move';
+            element.classList.add('dragging');
+        });
+
+        element.addEventListener('dragend', () => {
+            this.draggedPinId = null;
+            element.classList.remove('dragging');
+        });
+
+        element.addEventListener('dragover', (e) => {
+            if (this.draggedPinId === null) return;
+            e.preventDefault();
+            element.classList.add('drag-over');
+        });
+
+        element.addEventListener('dragleave', () => {
+            element.classList.remove('drag-over');
+        });
+
+        element.addEventListener('drop', (e) => {
+            e.preventDefault();
+            element.classList.remove('drag-over');
+            if (this.draggedPinId === null || this.draggedPinId === itemId) return;
+
+            const pinned = this.getLoadedHistoryEntries().filter(item => item.pinned);
+            const [moved] = pinned.splice(pinned.findIndex(item => item.id === this.draggedPinId), 1);
+            pinned.splice(pinned.findIndex(item => item.id === itemId), 0, moved);
+            this.draggedPinId = null;
+
+            ipcRenderer.invoke('reorder-pinned', pinned.map(item => item.id));
+        });
+    }
+
+    async toggleReveal(item) {
+        if (this.revealedItems.has(item.id)) {
+            this.revealedItems.delete(item.id);
+        } else {
+            try {
+                const revealed = await ipcRenderer.invoke('reveal-clipboard-item', item.id);
+                if (!revealed) return;
+                this.revealedItems.set(item.id, revealed.preview);
+            } catch (error) {
+                console.error('Error revealing clipboard item:', error);
+                return;
+            }
+        }
+
+        this.renderHistory();
+    }
+
+    showNotification(title, message, type = 'success', undoIds = null) {
+        const container = document.getElementById('notificationContainer');
+        const titleElement = document.getElementById('notificationTitle');
+        const messageElement = document.getElementById('notificationMessage');
+        const iconElement = document.getElementById('notificationIcon');
+        const undoButton = document.getElementById('notificationUndo');
+        const notification = container.querySelector('.notification');
+        
+        // Set content
+        titleElement.textContent = title;
+        messageElement.textContent = message;
+
+        // Deletions can be undone from the notification while it is showing
+        undoButton.style.display = undoIds ? 'block' : 'none';
+        undoButton.onclick = undoIds ? async () => {
+            container.style.display = 'none';
+            try {
+                await ipcRenderer.invoke('restore-items', undoIds);
+            } catch (error) {
+                console.error('Error restoring items:', error);
+            }
+        } : null;
+        
+        // Set type and icon
+        notification.className = 'notification';
+        if (type === 'error') {
+            notification.classList.add('error');
+            iconElement.textContent = '⚠️';
+        } else {
+            iconElement.textContent = '✓';
+        }
+        
+        // Show notification
+        container.style.display = 'block';
+        notification.style.animation = '';
+        
+        // Auto-hide after 2.5 seconds, or 6 when there is something to undo
+        clearTimeout(this.notificationTimer);
+        this.notificationTimer = setTimeout(() => {
+            if (container.style.display !== 'none') {
+                notification.style.animation = 'slideOutNotification 0.3s ease-out forwards';
+                this.notificationTimer = setTimeout(() => {
+                    container.style.display = 'none';
+                    notification.style.animation = '';
+                }, 300);
+            }
+        }, undoIds ? 6000 : 2500);
+    }
+
+    deleteItem(item) {
+        if (!item || item.isSnippet) return;
+
+        ipcRenderer.invoke('delete-item', item.id).catch(error => {
+            console.error('Error deleting item:', error);
+        });
+    }
+
+    isEditable(item) {
+        return !item.isSnippet && !item.sensitive && (item.type === 'text' || item.type === 'richtext');
+    }
+
+    /**
+     * The list only has previews, so the full text is loaded for editing
+     */
+    async startEditing(itemId) {
+        try {
+            const item = await ipcRenderer.invoke('get-history-item', itemId);
+            if (!item || !this.isEditable(item)) return;
+
+            this.editingItemId = itemId;
+            this.editingText = item.text;
+            this.renderHistory();
+        } catch (error) {
+            console.error('Error loading item for editing:', error);
+        }
+    }
+
+    cancelEditing() {
+        this.editingItemId = null;
+        this.editingText = null;
+        this.renderHistory();
+        this.searchInput.focus();
+    }
+
+    async saveEdit(copy) {
+        const editor = this.clipboardList.querySelector('.item-edit-text');
+        if (!editor) return;
+
+        try {
+            await ipcRenderer.invoke('edit-item', this.editingItemId, editor.value, copy);
+            this.editingItemId = null;
+            this.editingText = null;
+            this.renderHistory();
+            this.searchInput.focus();
+        } catch (error) {
+            console.error('Error editing item:', error);
+            this.showNotification('Edit Not Saved', getIpcErrorMessage(error), 'error');
+        }
+    }
+
+    createItemHTML(item, index) {
+        if (item.isSnippet) {
+            return this.createSnippetHTML(item, index);
+        }
+
+        const isSelected = index === this.selectedIndex;
+        const timestamp = this.formatTimestamp(item.timestamp);
+        
+        let icon = '📄';
+        let content = '';
+        
+        if (item.subtype) {
+            ({ icon, content } = this.createSubtypeContent(item));
+        } else if (item.type === 'text') {
+            icon = '📄';
+            content = `<div class="item-preview">${this.highlightText(item.preview)}</div>`;
+        } else if (item.type === 'richtext') {
+            icon = '📝';
+            content = `<div class="item-preview">${this.highlightText(item.preview)}</div>`;
+        } else if (item.type === 'image') {
+            icon = '🖼️';
+            content = `
+                <img src="${item.thumbnailUrl}" alt="Clipboard image" class="item-image" />
+                <div class="item-preview">Image</div>
+            `;
+        } else if (item.type === 'files') {
+            icon = item.files.length === 1 && !item.files[0].isDirectory ? '📄' : '📁';
+            content = this.createFilesHTML(item.files);
+        }
+
+        // Rich copies can carry an image flavor alongside the text
+        if (item.type !== 'image' && item.thumbnailUrl) {
+            content = `<img src="${item.thumbnailUrl}" alt="Clipboard image" class="item-image" />` + content;
+        }
+
+        if (item.sensitive) {
+            const revealedPreview = this.revealedItems.get(item.id);
+            icon = '🔒';
+            content = `
+                <div class="item-preview ${revealedPreview ? '' : 'masked'}">${this.escapeHtml(revealedPreview || item.preview)}</div>
+                <button class="link-button reveal-btn">${revealedPreview ? 'Hide' : 'Reveal'}</button>
+            `;
+        }
+
+        const isEditing = item.id === this.editingItemId;
+        if (isEditing) {
+            content = `
+                <div class="item-editor">
+                    <textarea class="setting-input item-edit-text" rows="4">${this.escapeHtml(this.editingText)}</textarea>
+                    <div class="item-editor-buttons">
+                        <button class="setting-button" data-edit-action="copy" title="${process.platform === 'darwin' ? '⌘' : 'Ctrl+'}Enter">Save & Copy</button>
+                        <button class="setting-button" data-edit-action="save">Save</button>
+                        <button class="setting-button" data-edit-action="cancel">Cancel</button>
+                    </div>
+                </div>
+            `;
+        }
+
+        const pinButton = item.sensitive ? '' : `
+                <button class="pin-btn ${item.pinned ? 'active' : ''}" title="${item.pinned ? 'Unpin' : 'Pin'}">📌</button>`;
+        const deleteButton = `
+                <button class="delete-btn" title="Delete">🗑️</button>`;
+        const editButton = this.isEditable(item) && !isEditing ? `
+                <button class="edit-btn" title="Edit">✏️</button>` : '';
+        const draggable = item.pinned && !isEditing;
+
+        return `
+            <div class="clipboard-item ${isSelected ? 'selected' : ''} ${this.multiSelection.has(item.id) ? 'multi-selected' : ''} ${item.pinned ? 'pinned' : ''}" data-index="${index}" ${draggable ? 'draggable="true"' : ''}>${pinButton}${deleteButton}${editButton}
+                <div class="item-icon">${icon}</div>
+                <div class="item-content">
+                    ${content}
+                    <div class="item-meta">
+                        <span class="item-type">${item.subtype || item.type}</span>
+                        ${this.createBadgesHTML(item)}
+                        <span class="item-timestamp">${timestamp}</span>
+                    </div>
+                    ${this.createTagsHTML(item)}
+                </div>
+            </div>
+        `;
+    }
+
+    createTagsHTML(item) {
+        const collections = (item.collectionIds || [])
+            .map(id => ({ id, name: this.getCollectionName(id) }))
+            .filter(collection => collection.name);
+        const tags = item.tags || [];
+        if (collections.length === 0 && tags.length === 0) return '';
+
+        const chips = [
+            ...collections.map(collection => `<button class="tag-chip collection" data-collection-id="${collection.id}" title="Show this collection">📁 ${this.escapeHtml(collection.name)}</button>`),
+            ...tags.map(tag => `<button class="tag-chip ${this.activeTags.has(tag) ? 'active' : ''}" data-tag="${tag}" title="Filter by #${tag}">#${this.escapeHtml(tag)}</button>`)
+        ];
+
+        return `<div class="item-tags">${chips.join('')}</div>`;
+    }
+
+    createSnippetHTML(snippet, index) {
+        const isSelected = index === this.selectedIndex;
+        const preview = snippet.text.length > 100 ? snippet.text.substring(0, 100) + '...' : snippet.text;
+
+        return `
+            <div class="clipboard-item snippet-item ${isSelected ? 'selected' : ''}" data-index="${index}">
+                <div class="item-icon">🧩</div>
+                <div class="item-content">
+                    <div class="snippet-name">${this.highlightText(snippet.name)}</div>
+                    <div class="item-preview">${this.highlightText(preview)}</div>
+                    <div class="item-meta">
+                        <span class="item-type">snippet</span>
+                        ${snippet.folder && this.activeTab !== 'snippets' ? `<span class="item-badges"><span class="item-badge">${this.escapeHtml(snippet.folder)}</span></span>` : ''}
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Icon and preview for classified text items (URL, color, JSON, ...)
+     */
+    createSubtypeContent(item) {
+        const details = item.classification || {};
+        const preview = `<div class="item-preview">${this.highlightText(item.preview)}</div>`;
+
+        switch (item.subtype) {
+            case 'url':
+                return {
+                    icon: '🔗',
+                    content: `${preview}<div class="item-detail">${this.escapeHtml(details.domain || '')}</div>`
+                };
+            case 'email':
+                return { icon: '✉️', content: preview };
+            case 'phone':
+                return { icon: '📞', content: preview };
+            case 'color': {
+                const { r, g, b, a } = details.color;
+                return {
+                    icon: `<span class="color-swatch" style="background: rgba(${r}, ${g}, ${b}, ${a})"></span>`,
+                    content: preview
+                };
+            }
+            case 'json':
+                return {
+                    icon: '🧾',
+                    content: `${preview}<div class="item-detail">${this.escapeHtml(details.summary)}</div>`
+                };
+            case 'number':
+                return { icon: '🔢', content: preview };
+            case 'path':
+                return { icon: '📂', content: preview };
+            case 'code':
+                return {
+                    icon: '💻',
+                    content: `<div class="item-preview code">${this.highlightText(item.preview)}</div><div class="item-detail">${this.escapeHtml(details.language)}</div>`
+                };
+            default:
+                return { icon: '📄', content: preview };
+        }
+    }
+
+    createFilesHTML(files) {
+        const visibleFiles = files.slice(0, 4);
+        const missingCount = files.filter(file => !file.exists).length;
+
+        const rows = visibleFiles.map(file => `
+            <li class="file-row ${file.exists ? '' : 'missing'}" title="${this.escapeHtml(file.path)}">
+                <span class="file-name">${file.isDirectory ? '📁' : '📄'} ${this.highlightText(file.name)}</span>
+                <span class="file-size">${file.exists ? this.formatBytes(file.size) : 'missing'}</span>
+            </li>
+        `).join('');
+
+        const more = files.length > visibleFiles.length
+            ? `<li class="file-row more">+${files.length - visibleFiles.length} more</li>`
+            : '';
+
+        const warning = missingCount > 0
+            ? `<div class="file-warning">⚠️ ${missingCount === files.length ? 'All files are' : `${missingCount} of ${files.length} files are`} missing</div>`
+            : '';
+
+        return `<ul class="file-list">${rows}${more}</ul>${warning}`;
+    }
+
+    formatBytes(bytes) {
+        if (typeof bytes !== 'number') return '';
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+    }
+
+    createBadgesHTML(item) {
+        const badges = [];
+
+        if (item.sensitive) {
+            badges.push(`<span class="item-badge sensitive" title="Masked and kept off disk">${this.escapeHtml(item.sensitive.label)}</span>`);
+        } else if (item.ephemeral) {
+            badges.push('<span class="item-badge" title="Not saved to disk">Session</span>');
+        }
+        if (item.copyCount + item.pasteCount > 1) {
+            badges.push(`<span class="item-badge" title="Copied ${item.copyCount}×, pasted ${item.pasteCount}×">↻ ${item.copyCount + item.pasteCount}</span>`);
+        }
+        if (item.expiresAt) {
+            const minutesLeft = Math.max(1, Math.ceil((item.expiresAt - Date.now()) / 60000));
+            badges.push(`<span class="item-badge" title="Deleted automatically">⏳ ${minutesLeft}m</span>`);
+        }
+
+        return badges.length ? `<span class="item-badges">${badges.join('')}</span>` : '';
+    }
+
+    handleKeyDown(e) {
+        // Only the passphrase field is usable while history is locked
+        if (this.encryptionState && this.encryptionState.locked && e.key !== 'Escape') {
+            return;
+        }
+
+        // Leave keys to the settings form while it is open, except Escape to close it
+        const settingsOpen = document.getElementById('settingsPanel').style.display !== 'none';
+        if (settingsOpen && e.key !== 'Escape') {
+            return;
+        }
+
+        // Same for the snippet editor; Escape closes it without saving
+        if (document.getElementById('snippetEditor').style.display !== 'none') {
+            if (e.key === 'Escape') {
+                closeSnippetEditor();
+            }
+            return;
+        }
+
+        if (document.getElementById('tagEditor').style.display !== 'none') {
+            if (e.key === 'Escape') {
+                closeTagEditor();
+            }
+            return;
+        }
+
+        if (document.getElementById('transformEditor').style.display !== 'none') {
+            if (e.key === 'Escape') {
+                closeTransformEditor();
+            }
+            return;
+        }
+
+        // Typing a separator or tags in the bulk bar; Escape clears the selection
+        if (e.target.closest && e.target.closest('#bulkBar')) {
+            if (e.key === 'Escape') {
+                this.clearMultiSelection();
+                this.searchInput.focus();
+            }
+            return;
+        }
+
+        // While an item is being edited, Escape cancels and Cmd/Ctrl+Enter saves and copies
+        if (this.editingItemId !== null) {
+            if (e.key === 'Escape') {
+                this.cancelEditing();
+            } else if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) {
+                e.preventDefault();
+                this.saveEdit(true);
+            }
+            return;
+        }
+
+        switch (e.key) {
+            case 'Escape':
+                // Close settings first if open, then clear a multi-selection, otherwise close window
+                const settingsPanel = document.getElementById('settingsPanel');
+                if (settingsPanel.style.display !== 'none') {
+                    toggleSettings();
+                } else if (this.multiSelection.size > 0) {
+                    this.clearMultiSelection();
+                } else {
+                    this.closeWindow();
+                }
+                break;
+            
+            // Shift+Arrow selects a range of items
+            case 'ArrowDown':
+                e.preventDefault();
+                if (e.shiftKey) {
+                    this.extendSelection(1);
+                } else {
+                    this.moveSelection(1);
+                }
+                break;
+            
+            case 'ArrowUp':
+                e.preventDefault();
+                if (e.shiftKey) {
+                    this.extendSelection(-1);
+                } else {
+                    this.moveSelection(-1);
+                }
+                break;
+            
+            // Enter pastes into the previous app, Cmd/Ctrl+Enter only copies;
+            // Shift and Option/Alt pick the format (see getSelectOptions)
+            case 'Enter':
+                e.preventDefault();
+                if (this.selectedIndex >= 0) {
+                    this.selectItem(this.selectedIndex, getSelectOptions(e));
+                }
+                break;
+                
+            case 'Tab':
+                e.preventDefault();
+                this.moveSelection(e.shiftKey ? -1 : 1);
+                break;
+
+            // Delete, or Cmd+Backspace on a Mac keyboard, deletes the selected items
+            case 'Delete':
+            case 'Backspace':
+                if (this.multiSelection.size > 0 && (e.key === 'Delete' || e.metaKey)) {
+                    e.preventDefault();
+                    bulkDelete();
+                } else if (this.selectedIndex >= 0 && (e.key === 'Delete' || e.metaKey)) {
+                    e.preventDefault();
+                    this.deleteItem(this.getEntry(this.selectedIndex));
+                }
+                break;
+
+            case 'F2':
+                if (this.getEntry(this.selectedIndex)) {
+                    e.preventDefault();
+                    this.startEditing(this.getEntry(this.selectedIndex).id);
+                }
+                break;
+        }
+    }
+
+    moveSelection(direction) {
+        const count = this.getEntryCount();
+        if (count === 0) return;
+        
+        this.selectedIndex += direction;
+        
+        if (this.selectedIndex < 0) {
+            this.selectedIndex = count - 1;
+        } else if (this.selectedIndex >= count) {
+            this.selectedIndex = 0;
+        }
+        
+        this.updateSelectionUI();
+        this.scrollToSelected();
+    }
+
+    updateSelectionUI() {
+        this.clipboardList.querySelectorAll('.clipboard-item').forEach(item => {
+            const index = Number(item.dataset.index);
+            const entry = this.getEntry(index);
+            item.classList.toggle('selected', index === this.selectedIndex);
+            item.classList.toggle('multi-selected', Boolean(entry) && this.multiSelection.has(entry.id));
+        });
+    }
+
+    /**
+     * Scroll just enough to show the selected row, drawing it if it was off screen
+     */
+    scrollToSelected() {
+        if (this.selectedIndex < 0) return;
+        
+        let rowTop = 0;
+        for (let index = 0; index < this.selectedIndex; index++) {
+            rowTop += this.getRowHeight(index);
+        }
+        const rowBottom = rowTop + this.getRowHeight(this.selectedIndex);
+        const list = this.clipboardList;
+
+        if (rowTop < list.scrollTop) {
+            list.scrollTop = rowTop;
+        } else if (rowBottom > list.scrollTop + list.clientHeight) {
+            list.scrollTop = rowBottom - list.clientHeight;
+        }
+        this.renderHistory();
+    }
+
+    async selectItem(index, options = {}) {
+        const item = this.getEntry(index);
+        if (!item) return;
+        
+        try {
+            await ipcRenderer.invoke(item.isSnippet ? 'select-snippet' : 'select-clipboard-item', item.id, options);
+        } catch (error) {
+            console.error('Error selecting clipboard item:', error);
+        }
+    }
+
+    formatTimestamp(timestamp) {
+        const now = Date.now();
+        const diff = now - timestamp;
+        
+        if (diff < 60000) { // Less than 1 minute
+            return 'Just now';
+        } else if (diff < 3600000) { // Less than 1 hour
+            const minutes = Math.floor(diff / 60000);
+            return `${minutes}m ago`;
+        } else if (diff < 86400000) { // Less than 1 day
+            const hours = Math.floor(diff / 3600000);
+            return `${hours}h ago`;
+        } else {
+            const days = Math.floor(diff / 86400000);
+            return `${days}d ago`;
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    closeWindow() {
+        ipcRenderer.invoke('close-clipboard-window');
+    }
+
+
+}
+
+const SORT_MODE_LABELS = {
+    recent: 'Recent',
+    frequent: 'Most Used',
+    frecency: 'Frequent & Recent'
+};
+
+// Headers for the sections main puts history results in
+const SECTION_LABELS = {
+    best: '🔍 Best Matches',
+    pinned: '📌 Pinned',
+    ...SORT_MODE_LABELS
+};
+
+// Global functions for HTML event handlers
+function closeWindow() {
+    ipcRenderer.invoke('close-clipboard-window');
+}
+
+function toggleSettings() {
+    const settingsPanel = document.getElementById('settingsPanel');
+    const clipboardList = document.getElementById('clipboardList');
+    
+    if (settingsPanel.style.display === 'none') {
+        settingsPanel.style.display = 'block';
+        clipboardList.style.display = 'none';
+        document.getElementById('snippetEditor').style.display = 'none';
+        document.getElementById('tagEditor').style.display = 'none';
+        document.getElementById('transformEditor').style.display = 'none';
+        loadRetentionState();
+        loadTrash();
+        loadUsageStats();
+    } else {
+        settingsPanel.style.display = 'none';
+        clipboardList.style.display = 'block';
+    }
+}
+
+function switchTab(tab) {
+    clipboardUI.activeTab = tab;
+    document.querySelectorAll('.list-tab').forEach(button => {
+        button.classList.toggle('active', button.dataset.tab === tab);
+    });
+    document.getElementById('newSnippetButton').style.display = tab === 'snippets' ? 'inline-block' : 'none';
+    document.getElementById('sortModeSelect').style.display = tab === 'history' ? 'inline-block' : 'none';
+    clipboardUI.searchInput.placeholder = tab === 'snippets' ? 'Search snippets...' : 'Search clipboard history and snippets...';
+    clipboardUI.filterHistory();
+    clipboardUI.searchInput.focus();
+}
+
+function openSnippetEditor(snippetId = null) {
+    const snippet = clipboardUI.snippets.find(existing => existing.id === snippetId);
+
+    document.getElementById('snippetEditorTitle').textContent = snippet ? 'Edit Snippet' : 'New Snippet';
+    document.getElementById('snippetId').value = snippet ? snippet.id : '';
+    document.getElementById('snippetName').value = snippet ? snippet.name : '';
+    document.getElementById('snippetFolder').value = snippet ? snippet.folder : '';
+    document.getElementById('snippetText').value = snippet ? snippet.text : '';
+    document.getElementById('deleteSnippetButton').style.display = snippet ? 'block' : 'none';
+
+    const folders = [...new Set(clipboardUI.snippets.map(existing => existing.folder).filter(Boolean))].sort();
+    document.getElementById('snippetFolderList').innerHTML = folders
+        .map(folder => `<option value="${clipboardUI.escapeHtml(folder)}"></option>`)
+        .join('');
+
+    document.getElementById('snippetEditor').style.display = 'block';
+    document.getElementById('tagEditor').style.display = 'none';
+    document.getElementById('transformEditor').style.display = 'none';
+    document.getElementById('clipboardList').style.display = 'none';
+    document.getElementById('snippetName').focus();
+}
+
+function closeSnippetEditor() {
+    document.getElementById('snippetEditor').style.display = 'none';
+    document.getElementById('clipboardList').style.display = 'block';
+    clipboardUI.searchInput.focus();
+}
+
+async function saveSnippetFromEditor() {
+    const snippet = {
+        id: document.getElementById('snippetId').value || undefined,
+        name: document.getElementById('snippetName').value,
+        folder: document.getElementById('snippetFolder').value,
+        text: document.getElementById('snippetText').value
+    };
+
+    try {
+        const saved = await ipcRenderer.invoke('save-snippet', snippet);
+        closeSnippetEditor();
+        clipboardUI.showNotification('Snippet Saved', `"${saved.name}" is in your snippets`, 'success');
+    } catch (error) {
+        console.error('Error saving snippet:', error);
+        clipboardUI.showNotification('Snippet Not Saved', getIpcErrorMessage(error), 'error');
+    }
+}
+
+async function deleteSnippetFromEditor() {
+    const snippetId = document.getElementById('snippetId').value;
+    if (!snippetId || !confirm('Delete this snippet?')) return;
+
+    try {
+        await ipcRenderer.invoke('delete-snippet', snippetId);
+        closeSnippetEditor();
+    } catch (error) {
+        console.error('Error deleting snippet:', error);
+    }
+}
+
+async function clearClipboardHistory() {
+    // With pins or collections, main asks whether to keep them instead
+    const hasKeptItems = clipboardUI.historyResult.hasKeptItems;
+    const confirmed = hasKeptItems || confirm('Clear all clipboard history? Items are moved to the trash and can be restored from settings.');
+    if (confirmed) {
+        try {
+            const cleared = await ipcRenderer.invoke('clear-clipboard-history');
+            if (!cleared) return;
+            // Hide settings and refresh the list
+            toggleSettings();
+        } catch (error) {
+            console.error('Error clearing clipboard history:', error);
+            alert('Failed to clear clipboard history. Please try again.');
+        }
+    }
+}
+
+async function updateHistoryLimit() {
+    const select = document.getElementById('historySizeLimit');
+    const limit = parseInt(select.value);
+    
+    if (limit && limit > 0) {
+        try {
+            await ipcRenderer.invoke('update-history-limit', limit);
+            console.log('History limit updated to:', limit);
+            loadRetentionState();
+        } catch (error) {
+            console.error('Error updating history limit:', error);
+        }
+    }
+}
+
+const RETENTION_LIFETIME_OPTIONS = [
+    { hours: 0, label: 'Default' },
+    { hours: 1, label: '1 hour' },
+    { hours: 24, label: '1 day' },
+    { hours: 168, label: '7 days' },
+    { hours: 720, label: '30 days' }
+];
+
+async function loadRetentionState() {
+    try {
+        renderRetentionState(await ipcRenderer.invoke('get-retention-state'));
+    } catch (error) {
+        console.error('Error loading retention settings:', error);
+    }
+}
+
+function describeLimit(value, limit, format = String) {
+    return limit > 0 ? `${format(value)} / ${format(limit)}` : `${format(value)}`;
+}
+
+function renderRetentionState({ policy, historyLimit, usage }) {
+    document.getElementById('retentionMaxAge').value = policy.maxAgeHours.toString();
+    document.getElementById('retentionMaxStorage').value = policy.maxStorageMB.toString();
+    document.getElementById('retentionMaxImages').value = policy.maxImages.toString();
+    document.getElementById('retentionMaxText').value = policy.maxTextItems.toString();
+
+    document.querySelectorAll('.retention-lifetime').forEach(select => {
+        if (select.options.length === 0) {
+            select.innerHTML = RETENTION_LIFETIME_OPTIONS
+                .map(option => `<option value="${option.hours}">${option.label}</option>`)
+                .join('');
+        }
+        select.value = (policy.typeLifetimes[select.dataset.type] || 0).toString();
+    });
+
+    const formatSize = bytes => clipboardUI.formatBytes(bytes);
+    const rows = [
+        ['Items', describeLimit(usage.items, historyLimit)],
+        ['Images', describeLimit(usage.images, policy.maxImages)],
+        ['Text items', describeLimit(usage.textItems, policy.maxTextItems)],
+        ['Storage', describeLimit(usage.bytes, policy.maxStorageMB * 1024 * 1024, formatSize)],
+        ['Oldest item', usage.oldestTimestamp ? clipboardUI.formatTimestamp(usage.oldestTimestamp) : '—']
+    ];
+
+    document.getElementById('retentionUsage').innerHTML = rows
+        .map(([label, value]) => `<div class="retention-usage-row"><span>${label}</span><span>${value}</span></div>`)
+        .join('');
+}
+
+async function updateRetentionPolicy() {
+    const typeLifetimes = {};
+    document.querySelectorAll('.retention-lifetime').forEach(select => {
+        const hours = parseInt(select.value);
+        if (hours > 0) {
+            typeLifetimes[select.dataset.type] = hours;
+        }
+    });
+
+    const policy = {
+        maxAgeHours: parseInt(document.getElementById('retentionMaxAge').value),
+        maxStorageMB: parseInt(document.getElementById('retentionMaxStorage').value),
+        maxImages: parseInt(document.getElementById('retentionMaxImages').value),
+        maxTextItems: parseInt(document.getElementById('retentionMaxText').value),
+        typeLifetimes
+    };
+
+    try {
+        renderRetentionState(await ipcRenderer.invoke('set-retention-policy', policy));
+        console.log('Retention policy updated:', policy);
+    } catch (error) {
+        console.error('Error updating retention policy:', error);
+        clipboardUI.showNotification('Retention Not Saved', getIpcErrorMessage(error), 'error');
+    }
+}
+
+async function updateSortMode() {
+    const mode = document.getElementById('sortModeSelect').value;
+
+    try {
+        await ipcRenderer.invoke('set-sort-mode', mode);
+        clipboardUI.filterHistory();
+    } catch (error) {
+        console.error('Error updating sort mode:', error);
+    }
+}
+
+async function loadUsageStats() {
+    try {
+        renderUsageStats(await ipcRenderer.invoke('get-usage-stats'));
+    } catch (error) {
+        console.error('Error loading usage statistics:', error);
+    }
+}
+
+function renderUsageStats({ daily, types, topItems }) {
+    const busiest = Math.max(1, ...daily.map(day => day.copies + day.pastes));
+    const copies = daily.reduce((total, day) => total + day.copies, 0);
+    const pastes = daily.reduce((total, day) => total + day.pastes, 0);
+
+    document.getElementById('usageSummary').textContent =
+        `${copies} copies and ${pastes} pastes in the last ${daily.length} days`;
+
+    document.getElementById('usageDaily').innerHTML = daily.map(day => `
+        <div class="usage-day" title="${day.date}: ${day.copies} copies, ${day.pastes} pastes">
+            <div class="usage-bar pastes" style="height: ${(day.pastes / busiest) * 100}%"></div>
+            <div class="usage-bar copies" style="height: ${(day.copies / busiest) * 100}%"></div>
+        </div>
+    `).join('');
+
+    document.getElementById('usageTypes').innerHTML = types.length === 0
+        ? '<p class="setting-description">No items in history</p>'
+        : types.map(({ type, count }) => `<div class="retention-usage-row"><span>${clipboardUI.escapeHtml(type)}</span><span>${count}</span></div>`).join('');
+
+    document.getElementById('usageTopItems').innerHTML = topItems.length === 0
+        ? '<p class="setting-description">Items you copy or paste more than once show up here</p>'
+        : topItems.map(item => `
+            <div class="trash-item">
+                <span class="trash-preview">${clipboardUI.escapeHtml(item.preview)}</span>
+                <span class="trash-time">${item.copyCount} copies, ${item.pasteCount} pastes</span>
+            </div>
+        `).join('');
+}
+
+async function loadTrash() {
+    try {
+        renderTrash(await ipcRenderer.invoke('get-trash'));
+    } catch (error) {
+        console.error('Error loading trash:', error);
+    }
+}
+
+function renderTrash(items) {
+    const list = document.getElementById('trashList');
+    document.getElementById('emptyTrashButton').style.display = items.length > 0 ? 'block' : 'none';
+
+    if (items.length === 0) {
+        list.innerHTML = '<p class="setting-description">The trash is empty</p>';
+        return;
+    }
+
+    list.innerHTML = items.map(item => `
+        <div class="trash-item">
+            <span class="trash-preview">${clipboardUI.escapeHtml(item.type === 'image' ? 'Image' : item.preview)}</span>
+            <span class="trash-time">${clipboardUI.formatTimestamp(item.trashedAt)}</span>
+            <button class="link-button" onclick="restoreTrashItem('${item.id}')">Restore</button>
+            <button class="link-button" onclick="deleteTrashItem('${item.id}')">Delete</button>
+        </div>
+    `).join('');
+}
+
+async function restoreTrashItem(itemId) {
+    try {
+        const restored = await ipcRenderer.invoke('restore-items', [itemId]);
+        if (restored === 0) {
+            clipboardUI.showNotification('Already in History', 'The same content was copied again since, so the trashed copy was removed', 'success');
+        }
+    } catch (error) {
+        console.error('Error restoring item:', error);
+    }
+    loadTrash();
+}
+
+async function deleteTrashItem(itemId) {
+    try {
+        renderTrash(await ipcRenderer.invoke('delete-trash-items', [itemId]));
+    } catch (error) {
+        console.error('Error deleting item from trash:', error);
+    }
+}
+
+async function emptyTrash() {
+    if (!confirm('Permanently delete everything in the trash?')) return;
+
+    try {
+        renderTrash(await ipcRenderer.invoke('empty-trash'));
+    } catch (error) {
+        console.error('Error emptying trash:', error);
+    }
+}
+
+async function updateTrashRetention() {
+    const hours = parseInt(document.getElementById('trashRetentionSelect').value);
+
+    try {
+        renderTrash(await ipcRenderer.invoke('set-trash-retention-hours', hours));
+        console.log('Trash retention updated to:', hours);
+    } catch (error) {
+        console.error('Error updating trash retention:', error);
+    }
+}
+
+async function exportHistory() {
+    const format = document.getElementById('exportFormatSelect').value;
+
+    try {
+        await ipcRenderer.invoke('export-history', format);
+    } catch (error) {
+        console.error('Error exporting history:', error);
+        clipboardUI.showNotification('Export Failed', getIpcErrorMessage(error), 'error');
+    }
+}
+
+async function importHistory() {
+    try {
+        await ipcRenderer.invoke('import-history');
+    } catch (error) {
+        console.error('Error importing history:', error);
+        clipboardUI.showNotification('Import Failed', getIpcErrorMessage(error), 'error');
+    }
+}
+
+async function openTagEditor(itemId) {
+    let item;
+    try {
+        item = await ipcRenderer.invoke('get-history-item', itemId);
+    } catch (error) {
+        console.error('Error loading item for tagging:', error);
+    }
+    if (!item) return;
+
+    document.getElementById('tagEditorItemId').value = item.id;
+    document.getElementById('tagEditorPreview').textContent = item.type === 'image' ? 'Image' : item.preview;
+    document.getElementById('tagEditorTags').value = (item.tags || []).join(', ');
+    document.getElementById('tagEditorNewCollection').value = '';
+    renderTagEditorCollections(item.collectionIds || []);
+
+    document.getElementById('tagEditor').style.display = 'block';
+    document.getElementById('snippetEditor').style.display = 'none';
+    document.getElementById('transformEditor').style.display = 'none';
+    document.getElementById('clipboardList').style.display = 'none';
+    document.getElementById('tagEditorTags').focus();
+}
+
+function renderTagEditorCollections(selectedIds) {
+    const collections = clipboardUI.tagState.collections;
+    document.getElementById('tagEditorCollections').innerHTML = collections.length === 0
+        ? '<p class="setting-description">No collections yet</p>'
+        : collections.map(collection => `
+            <label class="collection-option">
+                <input type="checkbox" value="${collection.id}" ${selectedIds.includes(collection.id) ? 'checked' : ''}>
+                ${clipboardUI.escapeHtml(collection.name)}
+            </label>
+        `).join('');
+}
+
+function closeTagEditor() {
+    document.getElementById('tagEditor').style.display = 'none';
+    document.getElementById('clipboardList').style.display = 'block';
+    clipboardUI.searchInput.focus();
+}
+
+function parseTagInput(value) {
+    return value.split(',').map(tag => tag.trim()).filter(Boolean);
+}
+
+async function addCollectionFromTagEditor() {
+    const input = document.getElementById('tagEditorNewCollection');
+    const selectedIds = [...document.querySelectorAll('#tagEditorCollections input:checked')].map(box => box.value);
+
+    try {
+        const { collections } = await ipcRenderer.invoke('save-collection', { name: input.value });
+        clipboardUI.tagState.collections = collections;
+
+        // The new collection is ticked straight away
+        renderTagEditorCollections([...selectedIds, collections[collections.length - 1].id]);
+        input.value = '';
+    } catch (error) {
+        console.error('Error creating collection:', error);
+        clipboardUI.showNotification('Collection Not Created', getIpcErrorMessage(error), 'error');
+    }
+}
+
+async function saveTagsFromEditor() {
+    const itemId = document.getElementById('tagEditorItemId').value;
+    const tags = parseTagInput(document.getElementById('tagEditorTags').value);
+    const collectionIds = [...document.querySelectorAll('#tagEditorCollections input:checked')].map(box => box.value);
+
+    try {
+        await ipcRenderer.invoke('set-item-tags', itemId, tags, collectionIds);
+        closeTagEditor();
+    } catch (error) {
+        console.error('Error saving tags:', error);
+        clipboardUI.showNotification('Tags Not Saved', getIpcErrorMessage(error), 'error');
+    }
+}
+
+// The transform panel's chain, the transforms and presets to pick from, and
+// a counter that drops previews arriving after a newer one was asked for
+let transformEditor = { chain: [], transforms: [], presets: [], previewId: 0 };
+
+async function openTransformEditor(itemId, chain = []) {
+    let item;
+    try {
+        item = await ipcRenderer.invoke('get-history-item', itemId);
+        Object.assign(transformEditor, await ipcRenderer.invoke('get-transforms'));
+    } catch (error) {
+        console.error('Error loading item for transforming:', error);
+    }
+    if (!item) return;
+
+    transformEditor.chain = [...chain];
+    document.getElementById('transformItemId').value = item.id;
+    document.getElementById('transformSourcePreview').textContent = item.preview;
+    document.getElementById('transformPresetName').value = '';
+    document.getElementById('transformAddSelect').innerHTML = '<option value="">➕ Add a transform…</option>' + transformEditor.transforms
+        .map(transform => `<option value="${transform.id}">${clipboardUI.escapeHtml(transform.label)}</option>`)
+        .join('');
+    renderTransformPresets();
+    renderTransformChain();
+
+    document.getElementById('transformEditor').style.display = 'block';
+    document.getElementById('snippetEditor').style.display = 'none';
+    document.getElementById('tagEditor').style.display = 'none';
+    document.getElementById('clipboardList').style.display = 'none';
+    document.getElementById('transformAddSelect').focus();
+}
+
+function closeTransformEditor() {
+    document.getElementById('transformEditor').style.display = 'none';
+    document.getElementById('clipboardList').style.display = 'block';
+    clipboardUI.searchInput.focus();
+}
+
+function renderTransformPresets(selectedId = '') {
+    document.getElementById('transformPresetSelect').innerHTML = '<option value="">Presets…</option>' + transformEditor.presets
+        .map(preset => `<option value="${preset.id}" ${preset.id === selectedId ? 'selected' : ''}>${clipboardUI.escapeHtml(preset.name)}</option>`)
+        .join('');
+    document.getElementById('deleteTransformPresetButton').style.display = selectedId ? 'inline-block' : 'none';
+}
+
+function renderTransformChain() {
+    const labels = new Map(transformEditor.transforms.map(transform => [transform.id, transform.label]));
+    document.getElementById('transformChain').innerHTML = transformEditor.chain.length === 0
+        ? '<p class="setting-description">Add transforms to run them in order</p>'
+        : transformEditor.chain.map((id, index) => `
+            <span class="tag-chip">
+                ${index + 1}. ${clipboardUI.escapeHtml(labels.get(id) || id)}
+                <button class="link-button" onclick="removeTransformStep(${index})" title="Remove">×</button>
+            </span>
+        `).join('');
+    updateTransformPreview();
+}
+
+async function updateTransformPreview() {
+    const previewElement = document.getElementById('transformPreview');
+    const previewId = ++transformEditor.previewId;
+
+    if (transformEditor.chain.length === 0) {
+        previewElement.textContent = '';
+        previewElement.classList.remove('error');
+        return;
+    }
+
+    try {
+        const preview = await ipcRenderer.invoke('preview-transform', document.getElementById('transformItemId').value, transformEditor.chain);
+        if (previewId !== transformEditor.previewId) return;
+
+        previewElement.classList.toggle('error', Boolean(preview.error));
+        if (preview.error) {
+            previewElement.textContent = preview.error;
+        } else {
+            previewElement.textContent = preview.text.length < preview.length ? `${preview.text}…` : preview.text;
+        }
+    } catch (error) {
+        console.error('Error previewing transform:', error);
+    }
+}
+
+function addTransformStep() {
+    const select = document.getElementById('transformAddSelect');
+    if (!select.value) return;
+
+    transformEditor.chain.push(select.value);
+    select.value = '';
+    renderTransformChain();
+}
+
+function removeTransformStep(index) {
+    transformEditor.chain.splice(index, 1);
+    renderTransformChain();
+}
+
+function loadTransformPreset() {
+    const presetId = document.getElementById('transformPresetSelect').value;
+    const preset = transformEditor.presets.find(existing => existing.id === presetId);
+
+    if (preset) {
+        transformEditor.chain = [...preset.chain];
+        document.getElementById('transformPresetName').value = preset.name;
+        renderTransformChain();
+    }
+    document.getElementById('deleteTransformPresetButton').style.display = preset ? 'inline-block' : 'none';
+}
+
+async function saveTransformPreset() {
+    const name = document.getElementById('transformPresetName').value;
+    // Saving under the name of an existing preset updates it
+    const existing = transformEditor.presets.find(preset => preset.name === name.trim());
+
+    try {
+        transformEditor.presets = await ipcRenderer.invoke('save-transform-preset', {
+            id: existing ? existing.id : undefined,
+            name,
+            chain: transformEditor.chain
+        });
+        const saved = transformEditor.presets.find(preset => preset.name === name.trim());
+        renderTransformPresets(saved ? saved.id : '');
+        clipboardUI.showNotification('Preset Saved', `"${name.trim()}" is in the Transform menu`, 'success');
+    } catch (error) {
+        console.error('Error saving transform preset:', error);
+        clipboardUI.showNotification('Preset Not Saved', getIpcErrorMessage(error), 'error');
+    }
+}
+
+async function deleteTransformPreset() {
+    const presetId = document.getElementById('transformPresetSelect').value;
+    if (!presetId) return;
+
+    try {
+        transformEditor.presets = await ipcRenderer.invoke('delete-transform-preset', presetId);
+        document.getElementById('transformPresetName').value = '';
+        renderTransformPresets();
+    } catch (error) {
+        console.error('Error deleting transform preset:', error);
+    }
+}
+
+async function applyTransform(save) {
+    try {
+        await ipcRenderer.invoke('apply-transform', document.getElementById('transformItemId').value, transformEditor.chain, { save });
+        if (save) {
+            closeTransformEditor();
+            clipboardUI.showNotification('Saved to History', 'The transformed text was added to your history', 'success');
+        }
+    } catch (error) {
+        console.error('Error applying transform:', error);
+        clipboardUI.showNotification('Transform Failed', getIpcErrorMessage(error), 'error');
+    }
+}
+
+function renderTagSettings() {
+    const tagCounts = clipboardUI.getTagCounts();
+    document.getElementById('tagSettingsList').innerHTML = tagCounts.length === 0
+        ? '<p class="setting-description">No tags yet. Right-click an item and choose Tags & Collections to add some.</p>'
+        : tagCounts.map(([tag, count]) => `
+            <div class="tag-row">
+                <input type="text" class="setting-input" value="${tag}" title="Rename; using an existing tag merges the two" onchange="renameTag('${tag}', this.value)">
+                <span class="tag-count">${count}</span>
+                <button class="link-button" onclick="deleteTag('${tag}')">Delete</button>
+            </div>
+        `).join('');
+
+    document.getElementById('collectionSettingsList').innerHTML = clipboardUI.tagState.collections.map(collection => `
+        <div class="tag-row">
+            <input type="text" class="setting-input" value="${clipboardUI.escapeHtml(collection.name)}" onchange="renameCollection('${collection.id}', this.value)">
+            <button class="link-button" onclick="deleteCollection('${collection.id}')">Delete</button>
+        </div>
+    `).join('');
+
+    document.getElementById('autoTagRulesList').innerHTML = clipboardUI.tagState.autoTagRules.map(rule => `
+        <div class="setting-item rule-item">
+            <p class="setting-description">
+                ${clipboardUI.escapeHtml(rule.tags.map(tag => `#${tag}`).join(' '))} when ${clipboardUI.escapeHtml(describeMatch(rule.match).join(', '))}
+                <button class="link-button" onclick="deleteAutoTagRule('${rule.id}')">Delete</button>
+            </p>
+        </div>
+    `).join('');
+}
+
+async function renameTag(from, to) {
+    try {
+        await ipcRenderer.invoke('rename-tag', from, to);
+        if (clipboardUI.activeTags.delete(from)) {
+            clipboardUI.filterHistory();
+        }
+    } catch (error) {
+        console.error('Error renaming tag:', error);
+        clipboardUI.showNotification('Tag Not Renamed', getIpcErrorMessage(error), 'error');
+        renderTagSettings();
+    }
+}
+
+async function deleteTag(tag) {
+    if (!confirm(`Remove #${tag} from every item?`)) return;
+
+    try {
+        await ipcRenderer.invoke('delete-tag', tag);
+        clipboardUI.activeTags.delete(tag);
+    } catch (error) {
+        console.error('Error deleting tag:', error);
+    }
+}
+
+async function addCollection() {
+    const input = document.getElementById('newCollectionName');
+
+    try {
+        await ipcRenderer.invoke('save-collection', { name: input.value });
+        input.value = '';
+    } catch (error) {
+        console.error('Error creating collection:', error);
+        clipboardUI.showNotification('Collection Not Created', getIpcErrorMessage(error), 'error');
+    }
+}
+
+async function renameCollection(collectionId, name) {
+    try {
+        await ipcRenderer.invoke('save-collection', { id: collectionId, name });
+    } catch (error) {
+        console.error('Error renaming collection:', error);
+        clipboardUI.showNotification('Collection Not Renamed', getIpcErrorMessage(error), 'error');
+        renderTagSettings();
+    }
+}
+
+async function deleteCollection(collectionId) {
+    if (!confirm('Delete this collection? Its items stay in history but retention can remove them again.')) return;
+
+    try {
+        await ipcRenderer.invoke('delete-collection', collectionId);
+    } catch (error) {
+        console.error('Error deleting collection:', error);
+    }
+}
+
+async function addAutoTagRule() {
+    const field = (id) => document.getElementById(id).value.trim();
+    const rule = {
+        tags: parseTagInput(field('autoTagTags')),
+        match: {
+            pattern: field('autoTagPattern'),
+            domain: field('autoTagDomain'),
+            contentType: field('autoTagContentType')
+        }
+    };
+
+    try {
+        await ipcRenderer.invoke('save-auto-tag-rule', rule);
+
+        ['autoTagTags', 'autoTagPattern', 'autoTagDomain', 'autoTagContentType'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        clipboardUI.showNotification('Rule Added', 'New copies that match are tagged automatically', 'success');
+    } catch (error) {
+        console.error('Error saving auto-tag rule:', error);
+        clipboardUI.showNotification('Rule Not Saved', getIpcErrorMessage(error), 'error');
+    }
+}
+
+async function deleteAutoTagRule(ruleId) {
+    try {
+        await ipcRenderer.invoke('delete-auto-tag-rule', ruleId);
+    } catch (error) {
+        console.error('Error deleting auto-tag rule:', error);
+    }
+}
+
+// Strip Electron's "Error invoking remote method" wrapper from IPC errors
+function getIpcErrorMessage(error) {
+    return error.message.replace(/^Error invoking remote method '[^']+': (Error: )?/, '');
+}
+
+async function loadCaptureRules() {
+    try {
+        const rules = await ipcRenderer.invoke('get-capture-rules');
+        renderCaptureRules(rules);
+    } catch (error) {
+        console.error('Error loading capture rules:', error);
+    }
+}
+
+/**
+ * Conditions shared by capture rules and auto-tag rules, in words
+ */
+function describeMatch(match = {}) {
+    const conditions = [];
+
+    if (match.pattern) conditions.push(`matches /${match.pattern}/${match.flags || ''}`);
+    if (typeof match.minLength === 'number') conditions.push(`≥ ${match.minLength} chars`);
+    if (typeof match.maxLength === 'number') conditions.push(`≤ ${match.maxLength} chars`);
+    if (match.contentType) conditions.push(`type is ${match.contentType}`);
+    if (match.format) conditions.push('has a matching clipboard format');
+    if (match.domain) conditions.push(`from ${match.domain}`);
+
+    return conditions;
+}
+
+function describeCaptureRule(rule) {
+    const conditions = describeMatch(rule.match);
+
+    let action = 'Ignore';
+    if (rule.action === 'session') {
+        action = "Don't save to disk";
+    } else if (rule.action === 'expire') {
+        action = `Delete after ${rule.expireAfterMinutes} min`;
+    }
+
+    return `${action} when ${conditions.join(', ')}`;
+}
+
+function renderCaptureRules(rules) {
+    const list = document.getElementById('captureRulesList');
+    if (!list) return;
+
+    list.innerHTML = rules.map(rule => `
+        <div class="setting-item rule-item">
+            <label class="setting-toggle">
+                <span class="rule-name">${clipboardUI.escapeHtml(rule.name)}</span>
+                <div class="toggle-container">
+                    <input type="checkbox" ${rule.enabled ? 'checked' : ''} onchange="toggleCaptureRule('${rule.id}', this.checked)">
+                    <span class="toggle-slider"></span>
+                </div>
+            </label>
+            <p class="setting-description">
+                ${clipboardUI.escapeHtml(describeCaptureRule(rule))}
+                ${rule.builtIn ? '' : `<button class="link-button" onclick="deleteCaptureRule('${rule.id}')">Delete</button>`}
+            </p>
+        </div>
+    `).join('');
+}
+
+function updateRuleActionFields() {
+    const action = document.getElementById('ruleAction').value;
+    document.getElementById('ruleExpireMinutes').style.display = action === 'expire' ? 'block' : 'none';
+}
+
+async function addCaptureRule() {
+    const field = (id) => document.getElementById(id).value.trim();
+    const rule = {
+        name: field('ruleName'),
+        action: field('ruleAction'),
+        expireAfterMinutes: field('ruleExpireMinutes'),
+        match: {
+            pattern: field('rulePattern'),
+            minLength: field('ruleMinLength'),
+            maxLength: field('ruleMaxLength'),
+            contentType: field('ruleContentType'),
+            format: field('ruleFormat'),
+            domain: field('ruleDomain')
+        }
+    };
+
+    try {
+        const rules = await ipcRenderer.invoke('save-capture-rule', rule);
+        renderCaptureRules(rules);
+
+        // Reset the form for the next rule
+        ['ruleName', 'rulePattern', 'ruleMinLength', 'ruleMaxLength', 'ruleFormat', 'ruleDomain', 'ruleExpireMinutes'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        clipboardUI.showNotification('Rule Added', `"${rule.name}" is now active`, 'success');
+    } catch (error) {
+        console.error('Error saving capture rule:', error);
+        clipboardUI.showNotification('Rule Not Saved', getIpcErrorMessage(error), 'error');
+    }
+}
+
+async function toggleCaptureRule(ruleId, enabled) {
+    try {
+        const rules = await ipcRenderer.invoke('set-capture-rule-enabled', ruleId, enabled);
+        renderCaptureRules(rules);
+    } catch (error) {
+        console.error('Error updating capture rule:', error);
+        await loadCaptureRules();
+    }
+}
+
+async function deleteCaptureRule(ruleId) {
+    try {
+        const rules = await ipcRenderer.invoke('delete-capture-rule', ruleId);
+        renderCaptureRules(rules);
+    } catch (error) {
+        console.error('Error deleting capture rule:', error);
+    }
+}
+
+async function updateSensitiveDetection() {
+    const checkbox = document.getElementById('sensitiveDetectionToggle');
+    try {
+        await ipcRenderer.invoke('set-sensitive-detection-enabled', checkbox.checked);
+        console.log('Sensitive detection updated to:', checkbox.checked);
+    } catch (error) {
+        console.error('Error updating sensitive detection:', error);
+        // Revert checkbox state on error
+        checkbox.checked = !checkbox.checked;
+    }
+}
+
+async function updateSensitiveExpiry() {
+    const select = document.getElementById('sensitiveExpirySelect');
+    const minutes = parseInt(select.value);
+
+    if (minutes && minutes > 0) {
+        try {
+            await ipcRenderer.invoke('set-sensitive-expiry-minutes', minutes);
+            console.log('Sensitive expiry updated to:', minutes);
+        } catch (error) {
+            console.error('Error updating sensitive expiry:', error);
+        }
+    }
+}
+
+async function unlockHistory() {
+    const input = document.getElementById('unlockPassphrase');
+    const errorText = document.getElementById('unlockError');
+    errorText.textContent = '';
+
+    try {
+        const state = await ipcRenderer.invoke('unlock-history', input.value);
+        input.value = '';
+        clipboardUI.updateEncryptionState(state);
+        clipboardUI.searchInput.focus();
+    } catch (error) {
+        console.error('Error unlocking history:', error);
+        errorText.textContent = getIpcErrorMessage(error);
+        input.select();
+    }
+}
+
+function updateEncryptionModeFields() {
+    const mode = document.getElementById('encryptionModeSelect').value;
+    document.getElementById('encryptionPassphraseFields').style.display = mode === 'passphrase' ? 'block' : 'none';
+}
+
+async function applyEncryption() {
+    const mode = document.getElementById('encryptionModeSelect').value;
+    const passphraseInput = document.getElementById('encryptionPassphrase');
+    const confirmInput = document.getElementById('encryptionPassphraseConfirm');
+
+    if (mode === 'passphrase' && passphraseInput.value !== confirmInput.value) {
+        clipboardUI.showNotification('Encryption Not Changed', 'Passphrases do not match', 'error');
+        return;
+    }
+
+    try {
+        const state = await ipcRenderer.invoke('set-encryption', { mode, passphrase: passphraseInput.value });
+        passphraseInput.value = '';
+        confirmInput.value = '';
+        clipboardUI.updateEncryptionState(state);
+        clipboardUI.showNotification('Encryption Updated', mode === 'off' ? 'History is no longer encrypted' : 'History is now encrypted', 'success');
+    } catch (error) {
+        console.error('Error changing encryption:', error);
+        clipboardUI.showNotification('Encryption Not Changed', getIpcErrorMessage(error), 'error');
+    }
+}
+
+function showPauseMenu() {
+    ipcRenderer.invoke('show-pause-menu');
+}
+
+async function resumeCapture() {
+    try {
+        await ipcRenderer.invoke('resume-capture');
+    } catch (error) {
+        console.error('Error resuming capture:', error);
+    }
+}
+
+async function updatePauseShortcut() {
+    const select = document.getElementById('pauseShortcutSelect');
+    try {
+        await ipcRenderer.invoke('set-pause-shortcut', select.value);
+        console.log('Pause shortcut updated to:', select.value);
+    } catch (error) {
+        console.error('Error updating pause shortcut:', error);
+        select.value = await ipcRenderer.invoke('get-pause-shortcut');
+        clipboardUI.showNotification('Shortcut Not Available', 'Another app may already be using it', 'error');
+    }
+}
+
+function showPasteQueueMenu() {
+    ipcRenderer.invoke('show-paste-queue-menu');
+}
+
+async function clearPasteQueue() {
+    try {
+        await ipcRenderer.invoke('clear-paste-queue');
+    } catch (error) {
+        console.error('Error clearing paste queue:', error);
+    }
+}
+
+async function stopPasteQueue() {
+    try {
+        await ipcRenderer.invoke('set-paste-queue-active', false);
+    } catch (error) {
+        console.error('Error stopping paste queue:', error);
+    }
+}
+
+async function updatePasteQueueOrder() {
+    const select = document.getElementById('pasteQueueOrderSelect');
+    try {
+        await ipcRenderer.invoke('set-paste-queue-order', select.value);
+        console.log('Paste queue order updated to:', select.value);
+    } catch (error) {
+        console.error('Error updating paste queue order:', error);
+    }
+}
+
+async function updatePasteNextShortcut() {
+    const select = document.getElementById('pasteNextShortcutSelect');
+    try {
+        await ipcRenderer.invoke('set-paste-next-shortcut', select.value);
+        console.log('Paste next shortcut updated to:', select.value);
+    } catch (error) {
+        console.error('Error updating paste next shortcut:', error);
+        select.value = await ipcRenderer.invoke('get-paste-next-shortcut');
+        clipboardUI.showNotification('Shortcut Not Available', 'Another app may already be using it', 'error');
+    }
+}
+
+async function updateAutoLaunch() {
+    const checkbox = document.getElementById('autoLaunchToggle');
     try {
         await ipcRenderer.invoke('set-auto-launch', checkbox.checked);
         console.log('Auto-launch updated to:', checkbox.checked);
@@ -399,6 +2433,124 @@ async function updateNotifications() {
     }
 }
 
+/**
+ * How to paste an item picked with Enter: Shift for plain text, Option/Alt
+ * for Markdown, both for the HTML source, and Cmd/Ctrl to copy without
+ * pasting. Clicks only get here with Option/Alt, since Shift and Cmd/Ctrl
+ * clicks select items.
+ */
+function getSelectOptions(e) {
+    let format = 'original';
+    if (e.shiftKey && e.altKey) {
+        format = 'html';
+    } else if (e.altKey) {
+        format = 'markdown';
+    } else if (e.shiftKey) {
+        format = 'plain';
+    }
+    return { copyOnly: e.metaKey || e.ctrlKey, format };
+}
+
+// Bulk actions on the items selected with Shift/Cmd-click
+
+const JOIN_SEPARATORS = { newline: '\n', comma: ', ', tab: '\t' };
+
+function getMultiSelectionIds() {
+    return [...clipboardUI.multiSelection.keys()];
+}
+
+function updateJoinSeparator() {
+    const custom = document.getElementById('bulkSeparatorSelect').value === 'custom';
+    document.getElementById('bulkSeparatorInput').style.display = custom ? 'block' : 'none';
+    if (custom) {
+        document.getElementById('bulkSeparatorInput').focus();
+    }
+}
+
+/**
+ * The chosen separator; a custom one can use \n and \t for new lines and tabs
+ */
+function getJoinSeparator() {
+    const choice = document.getElementById('bulkSeparatorSelect').value;
+    if (choice !== 'custom') {
+        return JOIN_SEPARATORS[choice];
+    }
+    return document.getElementById('bulkSeparatorInput').value.replace(/\\n/g, '\n').replace(/\\t/g, '\t');
+}
+
+async function bulkCopyJoined() {
+    const save = document.getElementById('bulkSaveMerged').checked;
+    try {
+        await ipcRenderer.invoke('merge-items', getMultiSelectionIds(), getJoinSeparator(), { save });
+    } catch (error) {
+        console.error('Error merging items:', error);
+        clipboardUI.showNotification('Join Failed', getIpcErrorMessage(error), 'error');
+    }
+}
+
+async function bulkTogglePinned() {
+    const pinned = ![...clipboardUI.multiSelection.values()].every(entry => entry.pinned);
+    try {
+        await ipcRenderer.invoke('set-items-pinned', getMultiSelectionIds(), pinned);
+    } catch (error) {
+        console.error('Error pinning items:', error);
+        clipboardUI.showNotification(pinned ? 'Pin Failed' : 'Unpin Failed', getIpcErrorMessage(error), 'error');
+    }
+}
+
+async function bulkAddTags() {
+    const input = document.getElementById('bulkTagInput');
+    try {
+        const tagged = await ipcRenderer.invoke('add-items-tags', getMultiSelectionIds(), parseTagInput(input.value));
+        input.value = '';
+        clipboardUI.showNotification('Items Tagged', `Tagged ${tagged} item${tagged === 1 ? '' : 's'}`, 'success');
+    } catch (error) {
+        console.error('Error tagging items:', error);
+        clipboardUI.showNotification('Tags Not Added', getIpcErrorMessage(error), 'error');
+    }
+}
+
+async function bulkExport() {
+    const select = document.getElementById('bulkExportSelect');
+    const format = select.value;
+    select.value = '';
+    if (!format) return;
+
+    try {
+        await ipcRenderer.invoke('export-items', getMultiSelectionIds(), format);
+    } catch (error) {
+        console.error('Error exporting items:', error);
+        clipboardUI.showNotification('Export Failed', getIpcErrorMessage(error), 'error');
+    }
+}
+
+async function bulkDelete() {
+    const itemIds = getMultiSelectionIds();
+    clipboardUI.clearMultiSelection();
+    try {
+        await ipcRenderer.invoke('delete-items', itemIds);
+    } catch (error) {
+        console.error('Error deleting items:', error);
+    }
+}
+
+function clearMultiSelection() {
+    clipboardUI.clearMultiSelection();
+    clipboardUI.searchInput.focus();
+}
+
+async function updateAutoPaste() {
+    const checkbox = document.getElementById('autoPasteToggle');
+    try {
+        await ipcRenderer.invoke('set-auto-paste', checkbox.checked);
+        console.log('Auto-paste updated to:', checkbox.checked);
+    } catch (error) {
+        console.error('Error updating auto-paste:', error);
+        // Revert checkbox state on error
+        checkbox.checked = !checkbox.checked;
+    }
+}
+
 async function updateWindowFollowsCursor() {
     const checkbox = document.getElementById('windowFollowsCursorToggle');
     try {
@@ -472,6 +2624,7 @@ async function closeAndResetApp() {
 }
 
 // Initialize the UI when DOM is ready
+let clipboardUI = null;
 document.addEventListener('DOMContentLoaded', () => {
-    new ClipboardUI();
+    clipboardUI = new ClipboardUI();
 });
\ No newline at end of file
@@ -0,0 +1,155 @@
+/**
+ * Retention decides which history items are deleted over time.
+ *
+ * Policy fields (0 or missing means no limit):
+ *   maxAgeHours    - delete items older than this
+ *   maxStorageMB   - keep the newest items that fit in this many megabytes
+ *   maxImages      - keep at most this many images
+ *   maxTextItems   - keep at most this many text and rich text items
+ *   typeLifetimes  - { [type or text subtype]: hours } shorter lifetimes for some content
+ *
+ * The history size limit and per-item expiry (from capture rules and
+ * sensitive detection) are applied here too, so there is one place that
+ * removes items. Pinned items and items saved to a collection are never
+ * removed and do not count toward any limit.
+ */
+
+const { CONTENT_TYPES } = require('./capture-rules');
+
+const DEFAULT_RETENTION = {
+  maxAgeHours: 0,
+  maxStorageMB: 0,
+  maxImages: 0,
+  maxTextItems: 0,
+  typeLifetimes: {}
+};
+
+const HOUR = 60 * 60 * 1000;
+
+function getRetentionPolicy(stored = {}) {
+  return {
+    ...DEFAULT_RETENTION,
+    ...stored,
+    typeLifetimes: { ...(stored.typeLifetimes || {}) }
+  };
+}
+
+function isTextItem(item) {
+  return item.type === 'text' || item.type === 'richtext';
+}
+
+/**
+ * Hours an item may live based on its type and subtype; the shorter one wins
+ */
+function getTypeLifetime(item, typeLifetimes) {
+  const lifetimes = [typeLifetimes[item.type], item.subtype && typeLifetimes[item.subtype]]
+    .filter(hours => hours > 0);
+  return lifetimes.length > 0 ? Math.min(...lifetimes) : 0;
+}
+
+/**
+ * Split newest-first items into the ones to keep and the ones to remove,
+ * with the reason each was removed
+ */
+function applyRetentionPolicy(items, { policy, historyLimit, now = Date.now() }) {
+  const kept = [];
+  const removed = [];
+  const remove = (item, reason) => removed.push({ item, reason });
+
+  let unpinned = 0;
+  let images = 0;
+  let textItems = 0;
+  let bytes = 0;
+  const storageBudget = policy.maxStorageMB > 0 ? policy.maxStorageMB * 1024 * 1024 : Infinity;
+
+  for (const item of items) {
+    if (item.pinned || item.collectionIds) {
+      kept.push(item);
+      continue;
+    }
+
+    const age = now - item.timestamp;
+    const typeLifetime = getTypeLifetime(item, policy.typeLifetimes);
+
+    if (item.expiresAt && item.expiresAt <= now) {
+      remove(item, 'expired');
+    } else if (policy.maxAgeHours > 0 && age > policy.maxAgeHours * HOUR) {
+      remove(item, 'age');
+    } else if (typeLifetime > 0 && age > typeLifetime * HOUR) {
+      remove(item, 'type-lifetime');
+    } else if (historyLimit > 0 && unpinned >= historyLimit) {
+      remove(item, 'history-limit');
+    } else if (item.type === 'image' && policy.maxImages > 0 && images >= policy.maxImages) {
+      remove(item, 'image-limit');
+    } else if (isTextItem(item) && policy.maxTextItems > 0 && textItems >= policy.maxTextItems) {
+      remove(item, 'text-limit');
+    } else if (bytes + (item.byteSize || 0) > storageBudget) {
+      // Once the budget is used up everything older goes too
+      bytes = Infinity;
+      remove(item, 'storage');
+    } else {
+      kept.push(item);
+      unpinned++;
+      bytes += item.byteSize || 0;
+      if (item.type === 'image') images++;
+      if (isTextItem(item)) textItems++;
+    }
+  }
+
+  return { kept, removed };
+}
+
+/**
+ * Current usage to show against each budget
+ */
+function getUsage(items) {
+  return {
+    items: items.length,
+    images: items.filter(item => item.type === 'image').length,
+    textItems: items.filter(isTextItem).length,
+    bytes: items.reduce((total, item) => total + (item.byteSize || 0), 0),
+    oldestTimestamp: items.length > 0 ? Math.min(...items.map(item => item.timestamp)) : null
+  };
+}
+
+/**
+ * Normalize a policy coming from the settings UI, throwing on invalid input
+ */
+function validateRetentionPolicy(policy) {
+  if (!policy || typeof policy !== 'object') {
+    throw new Error('Retention policy must be an object');
+  }
+
+  const validated = getRetentionPolicy();
+
+  ['maxAgeHours', 'maxStorageMB', 'maxImages', 'maxTextItems'].forEach(key => {
+    const value = Number(policy[key] || 0);
+    if (!Number.isFinite(value) || value < 0) {
+      throw new Error(`${key} must be zero or a positive number`);
+    }
+    validated[key] = value;
+  });
+
+  Object.entries(policy.typeLifetimes || {}).forEach(([type, hours]) => {
+    if (!CONTENT_TYPES.includes(type)) {
+      throw new Error(`Unknown content type: ${type}`);
+    }
+    const value = Number(hours || 0);
+    if (!Number.isFinite(value) || value < 0) {
+      throw new Error(`Lifetime for ${type} must be zero or a positive number of hours`);
+    }
+    if (value > 0) {
+      validated.typeLifetimes[type] = value;
+    }
+  });
+
+  return validated;
+}
+
+module.exports = {
+  DEFAULT_RETENTION,
+  getRetentionPolicy,
+  applyRetentionPolicy,
+  getUsage,
+  validateRetentionPolicy
+};
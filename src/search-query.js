@@ -0,0 +1,385 @@
+/**
+ * The search box query language.
+ *
+ * A query is a list of terms separated by spaces; an item has to match all of
+ * them. Any term can be negated with a leading -.
+ *
+ *   word                   - text matches it fuzzily (see fuzzy.js), or a tag contains it
+ *   "two words"            - text contains it exactly (case-insensitive), or a tag does
+ *   /pattern/flags         - text matches the regular expression
+ *   type:image, type:url   - item type or text subtype
+ *   tag:work               - has the tag
+ *   pinned:yes, pinned:no  - is pinned or not
+ *   after:2026-10-01       - copied on or after that day
+ *   before:2026-10-01      - copied before that day
+ *   on:2026-10-01          - copied on that day
+ *   today, yesterday       - copied today or yesterday
+ *   len>500, len<=20       - text length in characters (also >=, < and =)
+ *
+ * Parsing throws an Error whose message is meant for the search box. Queries
+ * with fuzzy words rank their results by match quality and recency.
+ */
+
+const { CONTENT_TYPES } = require('./capture-rules');
+const { createFuzzyMatcher, prepareText } = require('./fuzzy');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const BOOLEAN_VALUES = { yes: true, true: true, no: false, false: false };
+
+const LENGTH_PATTERN = /^len(>=|<=|>|<|=)(\d+)$/;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * Index of the slash closing a regex that starts at `start`, or -1 when the
+ * text is not a regex. Paths like /usr/bin stay plain text because what
+ * follows the second slash is not a list of regex flags.
+ */
+function findRegexEnd(input, start) {
+  let end = start + 1;
+  while (end < input.length && input[end] !== '/') {
+    end += input[end] === '\\' ? 2 : 1;
+  }
+  if (end >= input.length) return -1;
+
+  return /^[dgimsuy]*(\s|$)/.test(input.slice(end + 1)) ? end : -1;
+}
+
+/**
+ * Split the query into raw terms, keeping quoted phrases and regexes whole
+ */
+function tokenize(input) {
+  const tokens = [];
+  let index = 0;
+
+  while (index < input.length) {
+    if (/\s/.test(input[index])) {
+      index++;
+      continue;
+    }
+
+    const negated = input[index] === '-' && index + 1 < input.length && !/\s/.test(input[index + 1]);
+    if (negated) index++;
+
+    if (input[index] === '"') {
+      const end = input.indexOf('"', index + 1);
+      if (end === -1) {
+        throw new Error(`Missing closing quote for the phrase at character ${index + 1}`);
+      }
+      tokens.push({ negated, quoted: true, value: input.slice(index + 1, end) });
+      index = end + 1;
+    } else if (input[index] === '/' && findRegexEnd(input, index) !== -1) {
+      const end = findRegexEnd(input, index);
+      const flags = /^[a-z]*/.exec(input.slice(end + 1))[0];
+      tokens.push({ negated, regex: input.slice(index + 1, end), flags });
+      index = end + 1 + flags.length;
+    } else {
+      const end = input.slice(index).search(/\s/);
+      const value = end === -1 ? input.slice(index) : input.slice(index, index + end);
+      tokens.push({ negated, value });
+      index += value.length;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Local midnight of a YYYY-MM-DD date
+ */
+function parseDate(value, term) {
+  const match = DATE_PATTERN.exec(value);
+  const date = match && new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+
+  if (!date || date.getMonth() !== Number(match[2]) - 1) {
+    throw new Error(`${term} needs a date like 2026-10-01, got "${value}"`);
+  }
+  return date.getTime();
+}
+
+function startOfToday(now) {
+  const date = new Date(now);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+}
+
+function parseTerm(token, now) {
+  const { negated } = token;
+
+  if (token.regex !== undefined) {
+    if (!token.regex) {
+      throw new Error('Empty regex');
+    }
+    try {
+      return { kind: 'regex', negated, pattern: new RegExp(token.regex, token.flags) };
+    } catch (error) {
+      throw new Error(`Invalid regex /${token.regex}/${token.flags}: ${error.message.replace(/^Invalid regular expression: \/.*\/\w*: /, '')}`);
+    }
+  }
+
+  const value = token.value;
+  if (token.quoted) {
+    return { kind: 'text', negated, text: value.toLowerCase() };
+  }
+
+  const lower = value.toLowerCase();
+  if (lower === 'today') {
+    const start = startOfToday(now);
+    return { kind: 'date', negated, from: start, to: start + DAY };
+  }
+  if (lower === 'yesterday') {
+    const start = startOfToday(now) - DAY;
+    return { kind: 'date', negated, from: start, to: start + DAY };
+  }
+
+  const length = LENGTH_PATTERN.exec(lower);
+  if (length) {
+    return { kind: 'length', negated, operator: length[1], length: Number(length[2]) };
+  }
+  if (lower.startsWith('len') && /^len[<>=]/.test(lower)) {
+    throw new Error(`${value} needs a number, like len>500`);
+  }
+
+  const separator = value.indexOf(':');
+  const field = separator > 0 ? lower.slice(0, separator) : null;
+  const argument = separator > 0 ? value.slice(separator + 1) : '';
+
+  switch (field) {
+    case 'type': {
+      const type = argument.toLowerCase();
+      if (!CONTENT_TYPES.includes(type)) {
+        throw new Error(`Unknown type "${argument}". Use one of: ${CONTENT_TYPES.join(', ')}`);
+      }
+      return { kind: 'type', negated, type };
+    }
+    case 'tag': {
+      const tag = argument.replace(/^#/, '').toLowerCase();
+      if (!tag) {
+        throw new Error('tag: needs a tag name, like tag:work');
+      }
+      return { kind: 'tag', negated, tag };
+    }
+    case 'pinned': {
+      const pinned = BOOLEAN_VALUES[argument.toLowerCase()];
+      if (pinned === undefined) {
+        throw new Error('pinned: takes yes or no');
+      }
+      return { kind: 'pinned', negated, pinned };
+    }
+    case 'after':
+      return { kind: 'date', negated, from: parseDate(argument, 'after:'), to: Infinity };
+    case 'before':
+      return { kind: 'date', negated, from: -Infinity, to: parseDate(argument, 'before:') };
+    case 'on': {
+      const from = parseDate(argument, 'on:');
+      return { kind: 'date', negated, from, to: from + DAY };
+    }
+    default:
+      // Anything else, including URLs with a colon in them, is plain text.
+      // Excluding is exact, so that a near miss does not hide items.
+      return negated
+        ? { kind: 'text', negated, text: lower }
+        : { kind: 'text', negated, text: lower, matcher: createFuzzyMatcher(lower) };
+  }
+}
+
+/**
+ * Parse a search box query into terms. Throws with a message for the user
+ * when the query is not valid.
+ */
+function parseQuery(input, now = Date.now()) {
+  return tokenize(String(input || '')).map(token => parseTerm(token, now));
+}
+
+function compareLength(length, operator, expected) {
+  switch (operator) {
+    case '>': return length > expected;
+    case '<': return length < expected;
+    case '>=': return length >= expected;
+    case '<=': return length <= expected;
+    default: return length === expected;
+  }
+}
+
+/**
+ * The text a query searches: content for text and files items, nothing for
+ * images. Sensitive items are only found by filters and tags, so searching
+ * cannot be used to probe what they contain.
+ */
+function getSearchText(item) {
+  if (item.sensitive || item.type === 'image') return '';
+  return item.text || item.preview || '';
+}
+
+// Prepared search text by item id. The window gets new item objects on every
+// history update, so this is keyed by id and checked against the text.
+const preparedTexts = new Map();
+
+function getPreparedText(item) {
+  const text = getSearchText(item);
+  if (!item.id) return prepareText(text);
+
+  const cached = preparedTexts.get(item.id);
+  if (cached && cached.text === text) return cached.prepared;
+
+  const prepared = prepareText(text);
+  preparedTexts.set(item.id, { text, prepared });
+  return prepared;
+}
+
+/**
+ * Drop prepared text for items that are gone
+ */
+function prunePreparedTexts(items) {
+  if (preparedTexts.size <= items.length * 2) return;
+
+  const ids = new Set(items.map(item => item.id));
+  [...preparedTexts.keys()].forEach(id => {
+    if (!ids.has(id)) preparedTexts.delete(id);
+  });
+}
+
+/**
+ * How well a text term matches, 0 when it does not
+ */
+function scoreTextTerm(item, term) {
+  const tagText = term.text.replace(/^#/, '');
+  const tagScore = (item.tags || []).some(tag => tag.includes(tagText)) ? 80 : 0;
+
+  if (term.matcher) {
+    return Math.max(term.matcher.score(getPreparedText(item)), tagScore);
+  }
+  return getPreparedText(item).lower.includes(term.text) ? 100 : tagScore;
+}
+
+function matchesTerm(item, term) {
+  const text = getSearchText(item);
+
+  switch (term.kind) {
+    case 'text':
+      return scoreTextTerm(item, term) > 0;
+    case 'regex':
+      term.pattern.lastIndex = 0;
+      return term.pattern.test(text);
+    case 'type':
+      return item.type === term.type || item.subtype === term.type;
+    case 'tag':
+      return (item.tags || []).includes(term.tag);
+    case 'pinned':
+      return Boolean(item.pinned) === term.pinned;
+    case 'date':
+      return item.timestamp >= term.from && item.timestamp < term.to;
+    case 'length':
+      return item.type !== 'image' && compareLength(text.length, term.operator, term.length);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Total score of the item's fuzzy and exact word matches, or null when the
+ * item does not match the query. Filters are checked first since they are cheap.
+ */
+function scoreQuery(item, terms) {
+  const words = terms.filter(term => term.kind === 'text' && !term.negated);
+  const filters = terms.filter(term => !words.includes(term));
+
+  if (!filters.every(term => matchesTerm(item, term) !== term.negated)) {
+    return null;
+  }
+
+  let total = 0;
+  for (const term of words) {
+    const score = scoreTextTerm(item, term);
+    if (score === 0) return null;
+    total += score;
+  }
+  return total;
+}
+
+function matchesQuery(item, terms) {
+  return scoreQuery(item, terms) !== null;
+}
+
+/**
+ * Up to 20 points for items used in the last day or so, fading after that
+ */
+function getRecencyBonus(item, now) {
+  const age = Math.max(0, now - (item.lastSeen || item.timestamp || 0));
+  return 20 / (1 + age / DAY);
+}
+
+/**
+ * Whether rankItems orders results by score rather than keeping their order
+ */
+function isRankedQuery(terms) {
+  return terms.some(term => term.matcher);
+}
+
+/**
+ * Items matching the query. With fuzzy words in it the best matches come
+ * first, otherwise the order is kept.
+ */
+function rankItems(items, terms, now = Date.now()) {
+  const ranked = isRankedQuery(terms);
+  const matches = [];
+
+  items.forEach(item => {
+    const score = scoreQuery(item, terms);
+    if (score !== null) {
+      matches.push({ item, score: ranked ? score + getRecencyBonus(item, now) : 0 });
+    }
+  });
+
+  if (ranked) {
+    matches.sort((a, b) => b.score - a.score);
+  }
+  prunePreparedTexts(items);
+  return matches.map(match => match.item);
+}
+
+/**
+ * [start, end) ranges of text that the query's text and regex terms matched,
+ * sorted and merged, for highlighting
+ */
+function getHighlightRanges(text, terms) {
+  const ranges = [];
+  const lower = text.toLowerCase();
+
+  terms.filter(term => !term.negated).forEach(term => {
+    if (term.matcher) {
+      ranges.push(...term.matcher.ranges(text));
+    } else if (term.kind === 'text' && term.text) {
+      let index = lower.indexOf(term.text);
+      while (index !== -1) {
+        ranges.push([index, index + term.text.length]);
+        index = lower.indexOf(term.text, index + term.text.length);
+      }
+    } else if (term.kind === 'regex') {
+      const pattern = new RegExp(term.pattern.source, term.pattern.flags.includes('g') ? term.pattern.flags : term.pattern.flags + 'g');
+      for (const match of text.matchAll(pattern)) {
+        if (match[0].length > 0) {
+          ranges.push([match.index, match.index + match[0].length]);
+        }
+      }
+    }
+  });
+
+  ranges.sort((a, b) => a[0] - b[0]);
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push(range);
+    }
+    return merged;
+  }, []);
+}
+
+module.exports = {
+  parseQuery,
+  matchesQuery,
+  isRankedQuery,
+  rankItems,
+  getHighlightRanges
+};
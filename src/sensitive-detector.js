@@ -0,0 +1,153 @@
+/**
+ * Flags clipboard items that look like secrets so they can be masked in the
+ * list, kept out of the on-disk history and deleted after a short time.
+ */
+
+// Password managers mark their copies with these pasteboard types on macOS
+const CONCEALED_FORMATS = [
+  'org.nspasteboard.ConcealedType',
+  'org.nspasteboard.TransientType'
+];
+
+const SECRET_PATTERNS = [
+  { kind: 'private-key', label: 'Private key', pattern: /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY-----/ },
+  { kind: 'jwt', label: 'JSON Web Token', pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/ },
+  { kind: 'api-key', label: 'AWS access key', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/ },
+  { kind: 'api-key', label: 'GitHub token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{40,})/ },
+  { kind: 'api-key', label: 'Slack token', pattern: /\bxox[abprs]-[A-Za-z0-9-]{10,}/ },
+  { kind: 'api-key', label: 'Stripe key', pattern: /\b(?:sk|rk)_(?:live|test)_[A-Za-z0-9]{16,}/ },
+  { kind: 'api-key', label: 'Google API key', pattern: /\bAIza[0-9A-Za-z_-]{35}/ },
+  { kind: 'api-key', label: 'API key', pattern: /\b(?:api[_-]?key|secret|access[_-]?token|auth[_-]?token|password|passwd)\s*[:=]\s*['"]?[^\s'"]{8,}/i }
+];
+
+const CARD_CANDIDATE_PATTERN = /\b\d(?:[ -]?\d){12,18}\b/g;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const VERSION_PATTERN = /^v?\d+(?:\.\d+)+(?:[-+][0-9A-Za-z.-]+)?$/i;
+
+// Runs of letters that read as words: "name", "Name", but not "kQ" or "Zx"
+const WORD_PATTERN = /[a-z]{3,}|[A-Z][a-z]{2,}/g;
+
+// Tokens of only letters, digits and underscores need this length to count,
+// like API keys; shorter ones are usually names and codes
+const MIN_ALPHANUMERIC_SECRET_LENGTH = 16;
+
+/**
+ * Luhn checksum used by all major card networks
+ */
+function passesLuhn(digits) {
+  let sum = 0;
+  let double = false;
+
+  for (let i = digits.length - 1; i >= 0; i--) {
+    let digit = Number(digits[i]);
+    if (double) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+    double = !double;
+  }
+
+  return sum % 10 === 0;
+}
+
+function containsCardNumber(text) {
+  const candidates = text.match(CARD_CANDIDATE_PATTERN) || [];
+
+  return candidates.some(candidate => {
+    const digits = candidate.replace(/[ -]/g, '');
+    // Visa, Mastercard, Amex, Discover and friends all start with 2-6
+    return digits.length >= 13 && digits.length <= 19 && /^[2-6]/.test(digits) && passesLuhn(digits);
+  });
+}
+
+/**
+ * Shannon entropy in bits per character
+ */
+function shannonEntropy(text) {
+  const counts = {};
+  for (const char of text) {
+    counts[char] = (counts[char] || 0) + 1;
+  }
+
+  return Object.values(counts).reduce((entropy, count) => {
+    const p = count / text.length;
+    return entropy - p * Math.log2(p);
+  }, 0);
+}
+
+/**
+ * A single random-looking token, like a generated password or an unlabelled key
+ */
+function looksLikeRandomSecret(text) {
+  const token = text.trim();
+
+  if (token.length < 10 || token.length > 128 || /\s/.test(token)) return false;
+
+  // Links, paths, emails, UUIDs and versions are high-entropy but rarely secrets
+  if (/:\/\/|^[~.]?\/|@|^[A-Z]:\\/i.test(token) || UUID_PATTERN.test(token) || VERSION_PATTERN.test(token)) return false;
+
+  const hasLower = /[a-z]/.test(token);
+  const hasUpper = /[A-Z]/.test(token);
+  const hasDigit = /\d/.test(token);
+  const hasSymbol = /[^A-Za-z0-9_]/.test(token);
+  const classes = [hasLower, hasUpper, hasDigit, hasSymbol].filter(Boolean).length;
+
+  // Generated secrets mix character classes, digits included
+  if (!hasDigit || classes < 3) return false;
+  // Short tokens in one case are version strings, codes and ticket numbers
+  if ((!hasUpper || !hasLower) && token.length < 16) return false;
+  if (!hasSymbol && token.length < MIN_ALPHANUMERIC_SECRET_LENGTH) return false;
+
+  // Identifiers like MyVariableName2 or handleClick2Event are mostly words
+  const wordLength = (token.match(WORD_PATTERN) || []).join('').length;
+  if (wordLength / token.length >= 0.5) return false;
+
+  // Random text of length n has close to log2(n) bits per character, so
+  // longer tokens have to get closer to that to count
+  return shannonEntropy(token) >= Math.max(3.0, 0.8 * Math.log2(token.length));
+}
+
+/**
+ * Classify an item, returning { kind, label } when it looks sensitive or null otherwise
+ */
+function detectSensitive(item) {
+  const formats = item.formats || [];
+  if (formats.some(format => CONCEALED_FORMATS.includes(format))) {
+    return { kind: 'password', label: 'Password' };
+  }
+
+  const text = item.text;
+  if (!text) return null;
+
+  for (const { kind, label, pattern } of SECRET_PATTERNS) {
+    if (pattern.test(text)) {
+      return { kind, label };
+    }
+  }
+
+  if (containsCardNumber(text)) {
+    return { kind: 'credit-card', label: 'Card number' };
+  }
+
+  if (looksLikeRandomSecret(text)) {
+    return { kind: 'password', label: 'Password or secret' };
+  }
+
+  return null;
+}
+
+/**
+ * Placeholder preview shown in place of a sensitive item's content
+ */
+function maskPreview(item) {
+  const length = item.text ? item.text.length : 8;
+  return '•'.repeat(Math.min(Math.max(length, 8), 24));
+}
+
+module.exports = {
+  detectSensitive,
+  maskPreview,
+  passesLuhn,
+  shannonEntropy
+};
@@ -0,0 +1,86 @@
+/**
+ * Snippets are saved pieces of text kept apart from clipboard history, so
+ * they never fall off the end of it. Each snippet has a name and an optional
+ * folder; a folder exists as long as some snippet is in it.
+ */
+
+const MAX_NAME_LENGTH = 80;
+
+/**
+ * Normalize a snippet coming from the settings UI, throwing on invalid input
+ */
+function validateSnippet(snippet) {
+  if (!snippet || typeof snippet !== 'object') {
+    throw new Error('Snippet must be an object');
+  }
+
+  const name = String(snippet.name || '').trim();
+  if (!name) {
+    throw new Error('Snippet needs a name');
+  }
+  if (name.length > MAX_NAME_LENGTH) {
+    throw new Error(`Snippet names are limited to ${MAX_NAME_LENGTH} characters`);
+  }
+
+  const text = typeof snippet.text === 'string' ? snippet.text : '';
+  if (!text.trim()) {
+    throw new Error('Snippet needs some text');
+  }
+
+  const now = Date.now();
+  const validated = {
+    id: snippet.id || `snippet-${now}`,
+    name,
+    folder: String(snippet.folder || '').trim(),
+    text,
+    createdAt: snippet.createdAt || now,
+    updatedAt: now
+  };
+
+  // Kept when a rich text history item is saved and its text was not edited
+  if (snippet.html) {
+    validated.html = String(snippet.html);
+  }
+
+  return validated;
+}
+
+/**
+ * Default name for a snippet saved from a history item: its first line, shortened
+ */
+function getDefaultSnippetName(text) {
+  const firstLine = text.trim().split('\n')[0].trim();
+  return firstLine.length > 40 ? firstLine.substring(0, 40) + '…' : firstLine;
+}
+
+function createSnippetFromItem(item) {
+  if (item.type !== 'text' && item.type !== 'richtext') {
+    throw new Error('Only text items can be saved as snippets');
+  }
+  if (item.sensitive) {
+    throw new Error('Sensitive items cannot be saved as snippets');
+  }
+
+  return validateSnippet({
+    name: getDefaultSnippetName(item.text),
+    text: item.text,
+    html: item.html
+  });
+}
+
+/**
+ * The shape copyItemToClipboard expects
+ */
+function snippetToItem(snippet) {
+  return {
+    type: snippet.html ? 'richtext' : 'text',
+    text: snippet.text,
+    html: snippet.html
+  };
+}
+
+module.exports = {
+  validateSnippet,
+  createSnippetFromItem,
+  snippetToItem
+};
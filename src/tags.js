@@ -0,0 +1,139 @@
+/**
+ * Tags, auto-tag rules and collections for history items.
+ *
+ * Tags are free-form labels stored on the item as item.tags (lowercase,
+ * without the leading #). Auto-tag rules use the same conditions as capture
+ * rules and add their tags to every new copy that matches.
+ *
+ * Collections are named groups the user saves items into; membership is
+ * stored on the item as item.collectionIds.
+ */
+
+const { matchesRule, validateMatch } = require('./capture-rules');
+
+const MAX_TAG_LENGTH = 32;
+const TAG_PATTERN = /^[\p{L}\p{N}_-]+$/u;
+
+/**
+ * Turn user input like " #My Tag" into "my-tag", throwing when nothing usable is left
+ */
+function normalizeTag(tag) {
+  const normalized = String(tag || '')
+    .trim()
+    .replace(/^#+/, '')
+    .toLowerCase()
+    .replace(/\s+/g, '-');
+
+  if (!normalized) {
+    throw new Error('Tag cannot be empty');
+  }
+  if (normalized.length > MAX_TAG_LENGTH) {
+    throw new Error(`Tags are limited to ${MAX_TAG_LENGTH} characters`);
+  }
+  if (!TAG_PATTERN.test(normalized)) {
+    throw new Error(`Tags can only use letters, numbers, - and _: ${tag}`);
+  }
+
+  return normalized;
+}
+
+function normalizeTags(tags) {
+  return [...new Set((tags || []).map(normalizeTag))];
+}
+
+function mergeTags(...lists) {
+  return [...new Set(lists.flat().filter(Boolean))];
+}
+
+/**
+ * Normalize an auto-tag rule coming from the settings UI, throwing on invalid input
+ */
+function validateAutoTagRule(rule) {
+  if (!rule || typeof rule !== 'object') {
+    throw new Error('Rule must be an object');
+  }
+
+  const tags = normalizeTags(rule.tags);
+  if (tags.length === 0) {
+    throw new Error('Rule needs at least one tag');
+  }
+
+  return {
+    id: rule.id || `autotag-${Date.now()}`,
+    enabled: rule.enabled !== false,
+    match: validateMatch(rule.match),
+    tags
+  };
+}
+
+/**
+ * Tags from every enabled rule that matches the item
+ */
+function getAutoTags(item, rules) {
+  const tags = [];
+
+  for (const rule of rules) {
+    if (!rule.enabled) continue;
+
+    try {
+      if (matchesRule(item, rule.match)) {
+        tags.push(...rule.tags);
+      }
+    } catch (error) {
+      console.error('Auto-tag rule failed to evaluate:', error.message);
+    }
+  }
+
+  return mergeTags(tags);
+}
+
+/**
+ * Rename a tag on every item. Renaming to a tag that already exists merges the two.
+ * Returns how many items changed.
+ */
+function renameTag(items, from, to) {
+  let changed = 0;
+
+  items.forEach(item => {
+    if (!item.tags || !item.tags.includes(from)) return;
+    item.tags = mergeTags(item.tags.map(tag => (tag === from ? to : tag)));
+    changed++;
+  });
+
+  return changed;
+}
+
+function deleteTag(items, tag) {
+  let changed = 0;
+
+  items.forEach(item => {
+    if (!item.tags || !item.tags.includes(tag)) return;
+    item.tags = item.tags.filter(existing => existing !== tag);
+    if (item.tags.length === 0) delete item.tags;
+    changed++;
+  });
+
+  return changed;
+}
+
+function validateCollectionName(name) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) {
+    throw new Error('Collection needs a name');
+  }
+  if (trimmed.length > 60) {
+    throw new Error('Collection names are limited to 60 characters');
+  }
+  return trimmed;
+}
+
+module.exports = {
+  normalizeTag,
+  normalizeTags,
+  mergeTags,
+  validateAutoTagRule,
+  getAutoTags,
+  renameTag,
+  deleteTag,
+  validateCollectionName
+};
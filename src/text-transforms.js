@@ -0,0 +1,177 @@
+/**
+ * Text transforms for fixing up a text item before using it: trimming,
+ * changing case, encoding, JSON formatting, line operations and removing
+ * tracking parameters from URLs.
+ *
+ * A chain is a list of transform ids applied in order. Chains can be saved as
+ * named presets. Transforms throw an Error with a message for the user when
+ * the text is not valid input for them (a Base64 decode of something that is
+ * not Base64, for example).
+ */
+
+const MAX_CHAIN_LENGTH = 20;
+const MAX_NAME_LENGTH = 80;
+
+// Query parameters that only identify where a click came from
+const TRACKING_PARAMETERS = new Set([
+  'fbclid', 'gclid', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'yclid', 'twclid', 'igshid',
+  'mc_cid', 'mc_eid', '_hsenc', '_hsmkt', 'mkt_tok', 'ref_src', 'vero_id', 'oly_enc_id', 'oly_anon_id'
+]);
+
+// Punctuation ending a sentence is not part of the URL
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>"'`]*[^\s<>"'`.,;:!?)\]}]/gi;
+
+/**
+ * Apply fn to the list of lines, keeping the text's line endings and a final newline
+ */
+function mapLines(text, fn) {
+  const newline = text.includes('\r\n') ? '\r\n' : '\n';
+  const trailing = text.endsWith(newline);
+  const lines = (trailing ? text.slice(0, -newline.length) : text).split(/\r?\n/);
+  return fn(lines).join(newline) + (trailing ? newline : '');
+}
+
+function isTrackingParameter(name) {
+  let decoded = name;
+  try {
+    decoded = decodeURIComponent(name);
+  } catch (error) {
+    // Keep the raw name
+  }
+  decoded = decoded.toLowerCase();
+  return decoded.startsWith('utm_') || TRACKING_PARAMETERS.has(decoded);
+}
+
+function stripTrackingFromUrl(url) {
+  const match = /^([^?#]*)(?:\?([^#]*))?(#.*)?$/.exec(url);
+  if (!match[2]) return url;
+
+  const kept = match[2].split('&').filter(part => part && !isTrackingParameter(part.split('=')[0]));
+  return match[1] + (kept.length > 0 ? `?${kept.join('&')}` : '') + (match[3] || '');
+}
+
+function decodeBase64(text) {
+  const compact = text.replace(/\s+/g, '').replace(/-/g, '+').replace(/_/g, '/');
+  if (!compact || !/^[A-Za-z0-9+/]*={0,2}$/.test(compact) || compact.replace(/=+$/, '').length % 4 === 1) {
+    throw new Error('Text is not Base64');
+  }
+
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(Buffer.from(compact, 'base64'));
+  } catch (error) {
+    throw new Error('Decoded data is not text');
+  }
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Text is not valid JSON (${error.message})`);
+  }
+}
+
+/**
+ * Every transform, in the order menus show them
+ */
+const TRANSFORMS = [
+  { id: 'trim', label: 'Trim', apply: text => text.trim() },
+  { id: 'trim-lines', label: 'Trim Each Line', apply: text => mapLines(text, lines => lines.map(line => line.trim())) },
+  { id: 'uppercase', label: 'UPPERCASE', apply: text => text.toUpperCase() },
+  { id: 'lowercase', label: 'lowercase', apply: text => text.toLowerCase() },
+  {
+    id: 'title-case',
+    label: 'Title Case',
+    apply: text => text.toLowerCase().replace(/(^|[^\p{L}\p{N}'’])(\p{L})/gu, (match, before, letter) => before + letter.toUpperCase())
+  },
+  { id: 'url-encode', label: 'URL-Encode', apply: text => encodeURIComponent(text) },
+  {
+    id: 'url-decode',
+    label: 'URL-Decode',
+    apply: text => {
+      try {
+        return decodeURIComponent(text);
+      } catch (error) {
+        throw new Error('Text has an invalid % escape');
+      }
+    }
+  },
+  { id: 'base64-encode', label: 'Base64-Encode', apply: text => Buffer.from(text, 'utf8').toString('base64') },
+  { id: 'base64-decode', label: 'Base64-Decode', apply: decodeBase64 },
+  { id: 'json-pretty', label: 'Pretty-print JSON', apply: text => JSON.stringify(parseJson(text), null, 2) },
+  { id: 'json-minify', label: 'Minify JSON', apply: text => JSON.stringify(parseJson(text)) },
+  {
+    id: 'sort-lines',
+    label: 'Sort Lines',
+    apply: text => mapLines(text, lines => [...lines].sort((a, b) => a.localeCompare(b, undefined, { numeric: true })))
+  },
+  { id: 'dedupe-lines', label: 'Remove Duplicate Lines', apply: text => mapLines(text, lines => [...new Set(lines)]) },
+  { id: 'strip-tracking', label: 'Strip URL Tracking', apply: text => text.replace(URL_PATTERN, stripTrackingFromUrl) }
+];
+
+function getTransform(id) {
+  return TRANSFORMS.find(transform => transform.id === id);
+}
+
+/**
+ * Check a chain of transform ids, throwing on unknown ids
+ */
+function validateChain(chain) {
+  if (!Array.isArray(chain) || chain.length === 0) {
+    throw new Error('Add at least one transform');
+  }
+  if (chain.length > MAX_CHAIN_LENGTH) {
+    throw new Error(`Chains are limited to ${MAX_CHAIN_LENGTH} transforms`);
+  }
+  chain.forEach(id => {
+    if (!getTransform(id)) {
+      throw new Error(`Unknown transform: ${id}`);
+    }
+  });
+  return [...chain];
+}
+
+/**
+ * Run the text through each transform of the chain in turn. Errors name the
+ * step that failed.
+ */
+function applyChain(text, chain) {
+  return validateChain(chain).reduce((result, id, index) => {
+    const transform = getTransform(id);
+    try {
+      return transform.apply(result);
+    } catch (error) {
+      throw new Error(chain.length > 1 ? `Step ${index + 1}, ${transform.label}: ${error.message}` : error.message);
+    }
+  }, String(text));
+}
+
+/**
+ * Normalize a preset coming from the window, throwing on invalid input
+ */
+function validatePreset(preset) {
+  if (!preset || typeof preset !== 'object') {
+    throw new Error('Preset must be an object');
+  }
+
+  const name = String(preset.name || '').trim();
+  if (!name) {
+    throw new Error('Preset needs a name');
+  }
+  if (name.length > MAX_NAME_LENGTH) {
+    throw new Error(`Preset names are limited to ${MAX_NAME_LENGTH} characters`);
+  }
+
+  return {
+    id: preset.id || `preset-${Date.now()}`,
+    name,
+    chain: validateChain(preset.chain)
+  };
+}
+
+module.exports = {
+  TRANSFORMS,
+  getTransform,
+  applyChain,
+  validatePreset
+};
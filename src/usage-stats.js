@@ -0,0 +1,110 @@
+/**
+ * Usage statistics for history items and the orderings built on them.
+ *
+ * Items carry firstSeen, lastSeen, copyCount (times the content was copied)
+ * and pasteCount (times it was picked from the window). Daily activity is
+ * kept separately as { 'YYYY-MM-DD': { copies, pastes } }, because items come
+ * and go while the totals per day should not.
+ */
+
+const SORT_MODES = ['recent', 'frequent', 'frecency'];
+
+const ACTIVITY_DAYS = 30;
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// How much a use counts depending on how long ago the item was last used
+const RECENCY_WEIGHTS = [
+  { maxAge: 4 * HOUR, weight: 100 },
+  { maxAge: DAY, weight: 70 },
+  { maxAge: 7 * DAY, weight: 50 },
+  { maxAge: 30 * DAY, weight: 30 },
+  { maxAge: Infinity, weight: 10 }
+];
+
+function getDateKey(timestamp) {
+  const date = new Date(timestamp);
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Count a copy or paste for today, dropping days older than ACTIVITY_DAYS
+ */
+function recordActivity(activity, kind, now = Date.now()) {
+  const today = getDateKey(now);
+  const oldest = getDateKey(now - (ACTIVITY_DAYS - 1) * DAY);
+  const updated = {};
+
+  Object.entries(activity || {}).forEach(([date, counts]) => {
+    if (date >= oldest) updated[date] = counts;
+  });
+
+  const counts = updated[today] || { copies: 0, pastes: 0 };
+  updated[today] = { ...counts, [kind]: counts[kind] + 1 };
+  return updated;
+}
+
+function getUseCount(item) {
+  return (item.copyCount || 0) + (item.pasteCount || 0);
+}
+
+/**
+ * Uses weighted by how recently the item was last used. Pasting from the
+ * window counts double, since that is a deliberate reuse.
+ */
+function getFrecencyScore(item, now = Date.now()) {
+  const age = now - (item.lastSeen || item.timestamp);
+  const { weight } = RECENCY_WEIGHTS.find(step => age <= step.maxAge);
+  return ((item.copyCount || 0) + 2 * (item.pasteCount || 0)) * weight;
+}
+
+/**
+ * Order newest-first history by the given mode. 'recent' keeps the order as is.
+ */
+function sortItems(items, mode, now = Date.now()) {
+  if (mode === 'frequent') {
+    return [...items].sort((a, b) => getUseCount(b) - getUseCount(a));
+  }
+  if (mode === 'frecency') {
+    return [...items].sort((a, b) => getFrecencyScore(b, now) - getFrecencyScore(a, now));
+  }
+  return items;
+}
+
+/**
+ * Activity for the last `days` days, the mix of content types and the most reused items
+ */
+function getUsageStats(items, activity, { days = 14, topCount = 5, now = Date.now() } = {}) {
+  const daily = [];
+  for (let offset = days - 1; offset >= 0; offset--) {
+    const date = getDateKey(now - offset * DAY);
+    const counts = (activity || {})[date] || { copies: 0, pastes: 0 };
+    daily.push({ date, copies: counts.copies, pastes: counts.pastes });
+  }
+
+  const typeCounts = new Map();
+  items.forEach(item => {
+    const type = item.subtype || item.type;
+    typeCounts.set(type, (typeCounts.get(type) || 0) + 1);
+  });
+  const types = [...typeCounts.entries()]
+    .map(([type, count]) => ({ type, count }))
+    .sort((a, b) => b.count - a.count);
+
+  // Sensitive items would show their content in the list
+  const topItems = items
+    .filter(item => !item.sensitive && getUseCount(item) > 1)
+    .sort((a, b) => getUseCount(b) - getUseCount(a))
+    .slice(0, topCount);
+
+  return { daily, types, topItems };
+}
+
+module.exports = {
+  SORT_MODES,
+  recordActivity,
+  getFrecencyScore,
+  sortItems,
+  getUsageStats
+};
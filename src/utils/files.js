@@ -0,0 +1,70 @@
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+/**
+ * Describe copied paths with name, size and whether they still exist
+ */
+function describeFiles(paths) {
+  return paths.map(filePath => {
+    const file = { path: filePath, name: path.basename(filePath) || filePath, exists: false, size: null, isDirectory: false };
+
+    try {
+      const stats = fs.statSync(filePath);
+      file.exists = true;
+      file.isDirectory = stats.isDirectory();
+      file.size = stats.isDirectory() ? null : stats.size;
+    } catch (error) {
+      // Missing or unreadable; keep the entry so the user sees what was copied
+    }
+
+    return file;
+  });
+}
+
+/**
+ * Re-check existence for files recorded earlier
+ */
+function refreshFileExistence(files) {
+  return files.map(file => ({ ...file, exists: fs.existsSync(file.path) }));
+}
+
+function escapeXml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Put a list of files on the clipboard in the format the platform's file manager pastes
+ */
+function writeFilesToClipboard(clipboard, paths) {
+  if (process.platform === 'darwin') {
+    const plist = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      '<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">\n' +
+      '<plist version="1.0"><array>' +
+      paths.map(filePath => `<string>${escapeXml(filePath)}</string>`).join('') +
+      '</array></plist>';
+    clipboard.writeBuffer('NSFilenamesPboardType', Buffer.from(plist, 'utf8'));
+  } else if (process.platform === 'win32') {
+    clipboard.writeBuffer('FileNameW', Buffer.from(paths.join('\0') + '\0\0', 'ucs2'));
+  } else {
+    const uris = paths.map(filePath => pathToFileURL(filePath).href);
+
+    // Each writeBuffer call replaces the whole clipboard, so only one flavor
+    // can go on it: Qt file managers like Dolphin paste the standard URI list,
+    // GTK ones like Nautilus, Nemo and Thunar their own list led by the action
+    if (/KDE|LXQt/i.test(process.env.XDG_CURRENT_DESKTOP || '')) {
+      clipboard.writeBuffer('text/uri-list', Buffer.from(uris.join('\r\n'), 'utf8'));
+    } else {
+      clipboard.writeBuffer('x-special/gnome-copied-files', Buffer.from(['copy', ...uris].join('\n'), 'utf8'));
+    }
+  }
+}
+
+module.exports = {
+  describeFiles,
+  refreshFileExistence,
+  writeFilesToClipboard
+};
@@ -0,0 +1,114 @@
+const { execFile } = require('child_process');
+
+/**
+ * Pasting into the app the clipboard window was opened from.
+ *
+ * Each injector has the same three methods, all returning promises that
+ * reject when the tool behind them is missing or fails:
+ *
+ *   captureTarget() - the focused app or window, asked before ours opens
+ *   activate(target) - give focus back to it
+ *   sendPaste()      - press the paste shortcut in whatever has focus
+ *
+ * macOS uses osascript (and needs Accessibility permission to send keys),
+ * X11 uses xdotool and Wayland uses ydotool, which cannot see windows and
+ * relies on the compositor handing focus back when our window goes away.
+ */
+
+const COMMAND_TIMEOUT_MS = 2000;
+
+// Linux input event codes for ydotool
+const KEY_LEFTCTRL = 29;
+const KEY_V = 47;
+
+function runCommand(command, args) {
+  return new Promise((resolve, reject) => {
+    execFile(command, args, { timeout: COMMAND_TIMEOUT_MS }, (error, stdout) => {
+      if (error) {
+        reject(new Error(`${command} failed: ${error.message}`));
+      } else {
+        resolve(stdout.trim());
+      }
+    });
+  });
+}
+
+class AppleScriptInjector {
+  constructor(run = runCommand) {
+    this.name = 'osascript';
+    this.run = run;
+  }
+
+  captureTarget() {
+    return this.run('osascript', ['-e', 'tell application "System Events" to get bundle identifier of first application process whose frontmost is true']);
+  }
+
+  activate(bundleId) {
+    return this.run('osascript', ['-e', `tell application id "${bundleId.replace(/["\\]/g, '')}" to activate`]);
+  }
+
+  sendPaste() {
+    return this.run('osascript', ['-e', 'tell application "System Events" to keystroke "v" using command down']);
+  }
+}
+
+class XdotoolInjector {
+  constructor(run = runCommand) {
+    this.name = 'xdotool';
+    this.run = run;
+  }
+
+  captureTarget() {
+    return this.run('xdotool', ['getactivewindow']);
+  }
+
+  activate(windowId) {
+    return this.run('xdotool', ['windowactivate', '--sync', String(windowId)]);
+  }
+
+  sendPaste() {
+    return this.run('xdotool', ['key', '--clearmodifiers', 'ctrl+v']);
+  }
+}
+
+class YdotoolInjector {
+  constructor(run = runCommand) {
+    this.name = 'ydotool';
+    this.run = run;
+  }
+
+  async captureTarget() {
+    return null;
+  }
+
+  async activate() {
+    // Wayland does not let clients focus other windows
+  }
+
+  sendPaste() {
+    return this.run('ydotool', ['key', `${KEY_LEFTCTRL}:1`, `${KEY_V}:1`, `${KEY_V}:0`, `${KEY_LEFTCTRL}:0`]);
+  }
+}
+
+/**
+ * The injector for this platform and session, or null where pasting into
+ * other apps is not supported
+ */
+function createPasteInjector({ platform = process.platform, env = process.env, run = runCommand } = {}) {
+  if (platform === 'darwin') {
+    return new AppleScriptInjector(run);
+  }
+  if (platform === 'linux') {
+    return env.XDG_SESSION_TYPE === 'wayland' || (env.WAYLAND_DISPLAY && !env.DISPLAY)
+      ? new YdotoolInjector(run)
+      : new XdotoolInjector(run);
+  }
+  return null;
+}
+
+module.exports = {
+  AppleScriptInjector,
+  XdotoolInjector,
+  YdotoolInjector,
+  createPasteInjector
+};
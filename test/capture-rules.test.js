@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { DEFAULT_RULES, mergeWithDefaults, matchesRule, evaluateRules, validateRule, validateMatch } = require('../src/capture-rules');
+
+function rule(id, action, match, fields = {}) {
+  return { id, name: id, enabled: true, action, match, ...fields };
+}
+
+test('built-in rules start off and follow the user overrides', () => {
+  const rules = mergeWithDefaults([rule('mine', 'ignore', { pattern: 'x' })], { 'builtin-unix-paths': true });
+
+  assert.equal(rules.length, DEFAULT_RULES.length + 1);
+  assert.equal(rules.find(entry => entry.id === 'builtin-unix-paths').enabled, true);
+  assert.equal(rules.find(entry => entry.id === 'builtin-file-formats').enabled, false);
+  assert.equal(rules[rules.length - 1].builtIn, false);
+});
+
+test('a rule matches only when every condition does', () => {
+  const url = { type: 'richtext', subtype: 'url', text: 'https://docs.example.com/a', classification: { domain: 'docs.example.com' }, formats: ['text/plain', 'text/html'] };
+
+  assert.ok(matchesRule(url, { contentType: 'url', domain: 'example.com', format: 'TEXT/HTML' }));
+  assert.ok(matchesRule(url, { pattern: '^https:', minLength: 10, maxLength: 40 }));
+  assert.ok(!matchesRule(url, { contentType: 'url', domain: 'ample.com' }));
+  assert.ok(!matchesRule(url, { pattern: '^https:', maxLength: 10 }));
+  assert.ok(!matchesRule({ type: 'image' }, { minLength: 0 }));
+  assert.ok(!matchesRule(url, {}));
+});
+
+test('the strongest action wins whatever the rule order', () => {
+  const item = { type: 'text', text: 'secret token' };
+  const rules = [
+    rule('expire', 'expire', { pattern: 'token' }, { expireAfterMinutes: 5 }),
+    rule('ignore', 'ignore', { pattern: 'secret' }),
+    rule('session', 'session', { pattern: 'secret' })
+  ];
+
+  assert.equal(evaluateRules(item, rules).rule.id, 'ignore');
+  assert.equal(evaluateRules(item, [...rules].reverse()).rule.id, 'ignore');
+  assert.equal(evaluateRules(item, rules.slice(0, 1).concat(rules[2])).action, 'session');
+});
+
+test('among expiring rules the shortest lifetime wins', () => {
+  const item = { type: 'text', text: 'abc' };
+  const result = evaluateRules(item, [
+    rule('long', 'expire', { pattern: 'a' }, { expireAfterMinutes: 60 }),
+    rule('short', 'expire', { pattern: 'b' }, { expireAfterMinutes: 5 }),
+    rule('middle', 'expire', { pattern: 'c' }, { expireAfterMinutes: 10 })
+  ]);
+
+  assert.deepEqual([result.rule.id, result.expireAfterMinutes], ['short', 5]);
+});
+
+test('disabled, non-matching and broken rules are skipped', (t) => {
+  t.mock.method(console, 'error', () => {});
+  const item = { type: 'text', text: 'hello' };
+
+  assert.equal(evaluateRules(item, [
+    rule('off', 'ignore', { pattern: 'hello' }, { enabled: false }),
+    rule('other', 'ignore', { pattern: 'bye' }),
+    rule('broken', 'ignore', { pattern: '(' })
+  ]), null);
+  assert.equal(console.error.mock.callCount(), 1);
+});
+
+test('rules from the settings window are normalized', () => {
+  const validated = validateRule({ id: 'r1', name: '  Tokens ', action: 'expire', expireAfterMinutes: '15', match: { pattern: 'tok', minLength: '4', maxLength: '', domain: 'https://www.Example.com/path' } });
+
+  assert.deepEqual(validated, {
+    id: 'r1',
+    name: 'Tokens',
+    enabled: true,
+    action: 'expire',
+    expireAfterMinutes: 15,
+    match: { pattern: 'tok', flags: '', minLength: 4, domain: 'example.com' }
+  });
+  assert.match(validateRule({ name: 'New', action: 'ignore', match: { contentType: 'image' } }).id, /^rule-\d+$/);
+});
+
+test('invalid rules are rejected with a message for the settings window', () => {
+  const valid = { name: 'Rule', action: 'ignore', match: { pattern: 'x' } };
+
+  assert.throws(() => validateRule(null), /Rule must be an object/);
+  assert.throws(() => validateRule({ ...valid, name: '  ' }), /Rule needs a name/);
+  assert.throws(() => validateRule({ ...valid, action: 'delete' }), /Unknown rule action: delete/);
+  assert.throws(() => validateRule({ ...valid, action: 'expire', expireAfterMinutes: 0 }), /positive number of minutes/);
+  assert.throws(() => validateRule({ ...valid, match: {} }), /at least one condition/);
+  assert.throws(() => validateMatch({ pattern: '(' }), /^Error: Invalid pattern: /);
+  assert.throws(() => validateMatch({ format: '[' }), /^Error: Invalid format pattern: /);
+  assert.throws(() => validateMatch({ minLength: 1.5 }), /minLength must be a whole number/);
+  assert.throws(() => validateMatch({ contentType: 'video' }), /Unknown content type: video/);
+  assert.throws(() => validateMatch({ domain: 'localhost' }), /Invalid domain: localhost/);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { writeFilesToClipboard } = require('../src/utils/files');
+
+function createFakeClipboard() {
+  const written = [];
+  return {
+    written,
+    writeBuffer(format, buffer) {
+      written.push([format, buffer.toString('utf8')]);
+    }
+  };
+}
+
+function onPlatform(t, platform, desktop) {
+  const platformDescriptor = Object.getOwnPropertyDescriptor(process, 'platform');
+  const previousDesktop = process.env.XDG_CURRENT_DESKTOP;
+  Object.defineProperty(process, 'platform', { value: platform });
+  process.env.XDG_CURRENT_DESKTOP = desktop;
+
+  t.after(() => {
+    Object.defineProperty(process, 'platform', platformDescriptor);
+    if (previousDesktop === undefined) {
+      delete process.env.XDG_CURRENT_DESKTOP;
+    } else {
+      process.env.XDG_CURRENT_DESKTOP = previousDesktop;
+    }
+  });
+}
+
+test('GTK desktops get the copied-files flavor their file managers paste', (t) => {
+  onPlatform(t, 'linux', 'ubuntu:GNOME');
+  const clipboard = createFakeClipboard();
+
+  writeFilesToClipboard(clipboard, ['/tmp/a b.txt', '/tmp/c']);
+
+  assert.deepEqual(clipboard.written, [['x-special/gnome-copied-files', 'copy\nfile:///tmp/a%20b.txt\nfile:///tmp/c']]);
+});
+
+test('KDE gets the standard URI list', (t) => {
+  onPlatform(t, 'linux', 'KDE');
+  const clipboard = createFakeClipboard();
+
+  writeFilesToClipboard(clipboard, ['/tmp/a b.txt', '/tmp/c']);
+
+  assert.deepEqual(clipboard.written, [['text/uri-list', 'file:///tmp/a%20b.txt\r\nfile:///tmp/c']]);
+});
+
+test('Finder gets a property list of escaped paths', (t) => {
+  onPlatform(t, 'darwin', '');
+  const clipboard = createFakeClipboard();
+
+  writeFilesToClipboard(clipboard, ['/tmp/a&b.txt']);
+
+  assert.equal(clipboard.written[0][0], 'NSFilenamesPboardType');
+  assert.match(clipboard.written[0][1], /<array><string>\/tmp\/a&amp;b\.txt<\/string><\/array>/);
+});
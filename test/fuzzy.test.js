@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createFuzzyMatcher, prepareText } = require('../src/fuzzy');
+
+function score(term, text) {
+  return createFuzzyMatcher(term).score(prepareText(text));
+}
+
+test('substrings beat subsequences, which beat typos', () => {
+  const substring = score('clipboard', 'my clipboard history');
+  const subsequence = score('clipboard', 'clip the board');
+  const typo = score('clipboard', 'my clipbaord history');
+
+  assert.ok(substring > subsequence, `${substring} > ${subsequence}`);
+  assert.ok(subsequence > typo, `${subsequence} > ${typo}`);
+  assert.ok(typo > 0);
+});
+
+test('substrings at the start of a word or of the text score higher', () => {
+  const atStart = score('board', 'board game');
+  const atWord = score('board', 'the board');
+  const inside = score('board', 'clipboard');
+
+  assert.ok(atStart > atWord && atWord > inside);
+  assert.equal(inside, 100);
+});
+
+test('compact subsequences score higher than spread out ones', () => {
+  assert.ok(score('clpbrd', 'clipboard') > score('clpbrd', 'c-l-i-p-b-o-a-r-d'));
+  // Spread over more than three times the word's length is no match
+  assert.equal(score('abc', 'a.........b.........c'), 0);
+});
+
+test('the number of typos allowed grows with the word', () => {
+  // Up to three letters: exact only
+  assert.equal(score('cat', 'cut'), 0);
+  // Four to seven letters: one typo, a swap counting as one
+  assert.ok(score('hello', 'hlelo world') > 0);
+  assert.ok(score('hello', 'hxllo world') > 0);
+  assert.equal(score('hello', 'hxllx world'), 0);
+  // Eight or more: two
+  assert.ok(score('keyboards', 'kexboarbs') > 0);
+  assert.equal(score('keyboards', 'kexbxarbs'), 0);
+  // Fewer typos score higher
+  assert.ok(score('keyboards', 'keyboarbs') > score('keyboards', 'kexboarbs'));
+});
+
+test('words that match nothing score 0', () => {
+  assert.equal(score('zebra', 'clipboard history'), 0);
+  assert.equal(score('xy', ''), 0);
+});
+
+test('highlight ranges cover substrings, subsequence letters or typo words', () => {
+  assert.deepEqual(createFuzzyMatcher('board').ranges('Clipboard board'), [[4, 9], [10, 15]]);
+  assert.deepEqual(createFuzzyMatcher('clpbrd').ranges('Clipboard'), [[0, 2], [3, 5], [7, 9]]);
+  assert.deepEqual(createFuzzyMatcher('clipboard').ranges('my clipbaord notes'), [[3, 12]]);
+  assert.deepEqual(createFuzzyMatcher('zebra').ranges('Clipboard'), []);
+});
+
+test('scoring several thousand items stays fast', () => {
+  const words = ['alpha', 'bravo', 'charlie', 'delta', 'echo', 'foxtrot', 'golf', 'hotel', 'india', 'juliet'];
+  const items = Array.from({ length: 5000 }, (value, index) => {
+    const text = Array.from({ length: 40 }, (unused, position) => words[(index * 7 + position * 3) % words.length]).join(' ');
+    return prepareText(`${text} item${index}`);
+  });
+
+  const started = process.hrtime.bigint();
+  for (const term of ['hotel', 'hotle', 'chrli', 'zulu', 'item4999']) {
+    const matcher = createFuzzyMatcher(term);
+    items.forEach(prepared => matcher.score(prepared));
+  }
+  const elapsed = Number(process.hrtime.bigint() - started) / 1e6;
+
+  // Each search has to keep up with typing; this allows for slow CI machines
+  assert.ok(elapsed < 1500, `5 searches over 5000 items took ${Math.round(elapsed)}ms`);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const historyCrypto = require('../src/history-crypto');
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0xff]);
+
+test('encrypted data round-trips and is marked as encrypted', () => {
+  const key = historyCrypto.generateKey();
+  const encrypted = historyCrypto.encrypt(key, PNG);
+
+  assert.ok(historyCrypto.isEncrypted(encrypted));
+  assert.ok(!historyCrypto.isEncrypted(PNG));
+  assert.ok(!historyCrypto.isEncrypted(Buffer.from('{"items":[]}')));
+  assert.ok(historyCrypto.decrypt(key, encrypted).equals(PNG));
+
+  // A fresh IV each time, so equal data does not give equal files
+  assert.ok(!historyCrypto.encrypt(key, PNG).equals(encrypted));
+});
+
+test('decrypting fails with the wrong key, altered data or plain data', () => {
+  const key = historyCrypto.generateKey();
+  const encrypted = historyCrypto.encrypt(key, PNG);
+
+  assert.throws(() => historyCrypto.decrypt(historyCrypto.generateKey(), encrypted));
+
+  const altered = Buffer.from(encrypted);
+  altered[altered.length - 1] ^= 1;
+  assert.throws(() => historyCrypto.decrypt(key, altered));
+
+  assert.throws(() => historyCrypto.decrypt(key, PNG), /not encrypted/);
+});
+
+test('journal lines round-trip and stay on one line', () => {
+  const key = historyCrypto.generateKey();
+  const entry = JSON.stringify({ op: 'add', item: { id: 'a', text: 'multi\nline ünïcode' } });
+  const line = historyCrypto.encryptLine(key, entry);
+
+  assert.ok(historyCrypto.isEncryptedLine(line));
+  assert.ok(!historyCrypto.isEncryptedLine(entry));
+  assert.ok(!line.includes('\n'));
+  assert.equal(historyCrypto.decryptLine(key, line), entry);
+});
+
+test('passphrase keys are repeatable per salt and checked by the verifier', () => {
+  const salt = historyCrypto.generateSalt();
+  const key = historyCrypto.deriveKey('correct horse', salt);
+
+  assert.equal(key.length, 32);
+  assert.ok(historyCrypto.deriveKey('correct horse', salt).equals(key));
+  assert.ok(!historyCrypto.deriveKey('correct horse', historyCrypto.generateSalt()).equals(key));
+
+  const verifier = historyCrypto.createVerifier(key);
+  assert.ok(historyCrypto.checkVerifier(key, verifier));
+  assert.ok(!historyCrypto.checkVerifier(historyCrypto.deriveKey('wrong horse', salt), verifier));
+  assert.ok(!historyCrypto.checkVerifier(key, 'garbage'));
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { SCHEMA_VERSION, migrateItem, migrateItems } = require('../src/history-schema');
+
+const PNG = Buffer.from('not really a png');
+
+// Stands in for the store: remembers what was written and reports the image fields
+function createContext() {
+  const stored = new Map();
+  return {
+    stored,
+    storeImage(id, buffer) {
+      stored.set(id, buffer);
+      return { imageStored: true, imageBytes: buffer.length };
+    }
+  };
+}
+
+test('version 1 images move out of the item into image files', () => {
+  const forms = {
+    buffer: PNG,
+    json: { type: 'Buffer', data: [...PNG] },
+    base64: PNG.toString('base64'),
+    dataUrl: `data:image/png;base64,${PNG.toString('base64')}`
+  };
+
+  for (const [name, value] of Object.entries(forms)) {
+    const context = createContext();
+    const field = name === 'dataUrl' ? 'dataUrl' : name === 'base64' ? 'imageBufferBase64' : 'imageBuffer';
+    const item = migrateItem({ id: `img-${name}`, type: 'image', timestamp: 1000, [field]: value }, context);
+
+    assert.equal(item.schemaVersion, SCHEMA_VERSION);
+    assert.equal(item.imageStored, true);
+    assert.equal(item.byteSize, PNG.length);
+    assert.equal(item[field], undefined, name);
+    assert.ok(context.stored.get(`img-${name}`).equals(PNG), name);
+  }
+});
+
+test('text items keep their text when an image flavor cannot be stored', () => {
+  const context = { storeImage: () => null };
+  const item = migrateItem({ id: 't1', type: 'text', text: 'héllo', timestamp: 1000, dataUrl: 'data:image/png;base64,AAAA' }, context);
+
+  assert.equal(item.text, 'héllo');
+  assert.equal(item.dataUrl, undefined);
+  assert.equal(item.byteSize, Buffer.byteLength('héllo'));
+});
+
+test('numeric ids become strings and unsafe ids are rejected before any file is named', () => {
+  const context = createContext();
+  assert.equal(migrateItem({ id: 42, type: 'text', text: 'a', timestamp: 1000 }, context).id, '42');
+
+  assert.throws(() => migrateItem({ id: '../escape', type: 'image', timestamp: 1000, imageBuffer: PNG }, context), /Invalid item id/);
+  assert.equal(context.stored.size, 0);
+});
+
+test('version 3 adds usage statistics starting at the copy time', () => {
+  const item = migrateItem({ id: 'u1', type: 'text', text: 'a', timestamp: 5000, schemaVersion: 2, byteSize: 1 }, createContext());
+
+  assert.equal(item.firstSeen, 5000);
+  assert.equal(item.lastSeen, 5000);
+  assert.equal(item.copyCount, 1);
+  assert.equal(item.pasteCount, 0);
+  assert.equal(item.byteSize, 1);
+});
+
+test('current items are returned as they are', () => {
+  const item = migrateItem({ id: 'c1', type: 'text', text: 'a', timestamp: 1000 }, createContext());
+  assert.equal(migrateItem(item, createContext()), item);
+});
+
+test('items from a newer version or without required fields are rejected', () => {
+  const context = createContext();
+
+  assert.throws(() => migrateItem({ id: 'n1', type: 'text', text: 'a', timestamp: 1000, schemaVersion: SCHEMA_VERSION + 1 }, context), /newer version/);
+  assert.throws(() => migrateItem({ id: 'n2', type: 'text', timestamp: 1000 }, context), /has no text/);
+  assert.throws(() => migrateItem({ id: 'n3', type: 'video', text: 'a', timestamp: 1000 }, context), /Unknown item type/);
+  assert.throws(() => migrateItem({ id: 'n4', type: 'image', timestamp: 1000, imageBuffer: 'not base64 at all' }, { storeImage: () => null }), /could not be decoded/);
+});
+
+test('migrateItems quarantines failures and counts upgrades', () => {
+  const current = migrateItem({ id: 'm0', type: 'text', text: 'a', timestamp: 1000 }, createContext());
+  const broken = { id: 'm2', type: 'files', text: 'x', timestamp: 1000 };
+
+  const result = migrateItems([current, { id: 'm1', type: 'text', text: 'b', timestamp: 1000 }, broken], createContext());
+
+  assert.deepEqual(result.items.map(item => item.id), ['m0', 'm1']);
+  assert.equal(result.upgraded, 1);
+  assert.equal(result.quarantined.length, 1);
+  assert.equal(result.quarantined[0].item, broken);
+  assert.match(result.quarantined[0].reason, /file list/);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const Module = require('node:module');
+
+const historyCrypto = require('../src/history-crypto');
+
+// Electron only runs inside the app. These tests stick to text items, which
+// never reach nativeImage, so the store is loaded with an empty stand-in.
+const loadModule = Module._load;
+Module._load = function (request, ...rest) {
+  return request === 'electron' ? { nativeImage: {} } : loadModule.call(this, request, ...rest);
+};
+const HistoryStore = require('../src/history-store');
+Module._load = loadModule;
+
+function createDirectory(t) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'hbiclipboard-history-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  return path.join(directory, 'history');
+}
+
+function textItem(id, text, timestamp) {
+  return { id, type: 'text', text, timestamp, schemaVersion: 3, byteSize: text.length, firstSeen: timestamp, lastSeen: timestamp, copyCount: 1, pasteCount: 0 };
+}
+
+test('saved history loads back in order, journal and all', (t) => {
+  const directory = createDirectory(t);
+  const store = new HistoryStore(directory);
+  store.load();
+  store.save([textItem('b', 'second', 2000), textItem('a', 'first', 1000)]);
+  store.save([textItem('c', 'third', 3000), textItem('a', 'first', 1000)]);
+
+  assert.deepEqual(new HistoryStore(directory).load().map(item => item.id), ['c', 'a']);
+});
+
+test('legacy history migrates into an existing store without losing its items', (t) => {
+  const directory = createDirectory(t);
+  const store = new HistoryStore(directory);
+  store.load();
+  store.save([textItem('new-1', 'kept', 3000), textItem('shared', 'stored copy', 2000)]);
+
+  const added = new HistoryStore(directory).importLegacy([
+    { id: 'shared', type: 'text', text: 'legacy copy', timestamp: 1500 },
+    { id: 17, type: 'text', text: 'old', timestamp: 1000 }
+  ]);
+  assert.deepEqual(added.map(item => item.id), ['17']);
+
+  const history = new HistoryStore(directory).load();
+  assert.deepEqual(history.map(item => item.id), ['new-1', 'shared', '17']);
+  assert.equal(history[1].text, 'stored copy');
+  assert.equal(history[2].copyCount, 1);
+});
+
+test('legacy history migrates into an empty store', (t) => {
+  const directory = createDirectory(t);
+
+  new HistoryStore(directory).importLegacy([{ id: 1, type: 'text', text: 'old', timestamp: 1000 }]);
+
+  assert.deepEqual(new HistoryStore(directory).load().map(item => item.text), ['old']);
+});
+
+test('an encrypted store refuses to load without its key and leaves the files alone', (t) => {
+  const directory = createDirectory(t);
+  const key = historyCrypto.generateKey();
+  const store = new HistoryStore(directory);
+  store.setEncryptionKey(key);
+  store.load();
+  store.save([textItem('a', 'secret', 1000)]);
+  store.compact([textItem('a', 'secret', 1000)]);
+  store.save([textItem('b', 'also secret', 2000), textItem('a', 'secret', 1000)]);
+
+  const journal = fs.readFileSync(path.join(directory, 'journal.jsonl'), 'utf8');
+  assert.ok(!journal.includes('secret'));
+
+  assert.throws(() => new HistoryStore(directory).load(), error => error.code === 'HISTORY_LOCKED');
+  assert.throws(() => new HistoryStore(directory).importLegacy([{ id: 1, type: 'text', text: 'old', timestamp: 1 }]), error => error.code === 'HISTORY_LOCKED');
+  assert.equal(fs.readFileSync(path.join(directory, 'journal.jsonl'), 'utf8'), journal);
+
+  const unlocked = new HistoryStore(directory);
+  unlocked.setEncryptionKey(key);
+  assert.deepEqual(unlocked.load().map(item => item.text), ['also secret', 'secret']);
+});
+
+test('an unreadable last journal line is skipped', (t) => {
+  const directory = createDirectory(t);
+  const store = new HistoryStore(directory);
+  store.load();
+  store.save([textItem('a', 'kept', 1000)]);
+  fs.appendFileSync(path.join(directory, 'journal.jsonl'), '{"op":"put","item":');
+
+  assert.deepEqual(new HistoryStore(directory).load().map(item => item.id), ['a']);
+});
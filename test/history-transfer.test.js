@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildExportDocument, serializeArchive, serializeJson, toMarkdown, toHtml, parseImportFile, planImport } = require('../src/history-transfer');
+
+const ITEMS = [
+  { id: 'a', type: 'text', text: '## not a heading\n```js\ncode\n```\n', timestamp: 1700000000000, tags: ['work'] },
+  { id: 'b', type: 'files', text: '/tmp/a b.txt', files: [{ path: '/tmp/a b.txt', name: 'a b.txt' }], timestamp: 1699999999000 },
+  { id: 'c', type: 'richtext', subtype: 'url', text: 'https://example.com/?a=<1>&b', html: '<a>x</a>', timestamp: 1699999998000 },
+  { id: 'd', type: 'image', imageStored: true, imageHash: 'abc', timestamp: 1699999997000 }
+];
+const PNG = Buffer.from('not really a png');
+const getImagePng = () => PNG;
+
+test('archives round-trip every item with its image data', () => {
+  const document = buildExportDocument(ITEMS, { includeImages: true, getImagePng });
+  const items = parseImportFile(serializeArchive(document));
+
+  assert.equal(items.length, 4);
+  assert.deepEqual(items[0].tags, ['work']);
+  assert.equal(items[2].html, '<a>x</a>');
+  assert.equal(Buffer.from(items[3].imageData, 'base64').toString(), PNG.toString());
+  assert.equal(items[3].imageStored, undefined);
+});
+
+test('JSON exports leave images out, so they are not imported', () => {
+  const items = parseImportFile(Buffer.from(serializeJson(buildExportDocument(ITEMS, { includeImages: false, getImagePng }))));
+  assert.deepEqual(items.map(item => item.id), ['a', 'b', 'c']);
+});
+
+test('Markdown exports import text and files, keeping text that looks like Markdown', () => {
+  const items = parseImportFile(Buffer.from(toMarkdown(ITEMS)));
+
+  assert.deepEqual(items.map(item => item.type), ['text', 'files', 'text']);
+  assert.equal(items[0].text, ITEMS[0].text);
+  assert.deepEqual(items[1].files, [{ path: '/tmp/a b.txt', name: 'a b.txt' }]);
+  assert.equal(items[2].text, ITEMS[2].text);
+  assert.deepEqual(items.map(item => item.timestamp), ITEMS.slice(0, 3).map(item => item.timestamp));
+});
+
+test('Markdown exports with times in a local format keep their order', () => {
+  const markdown = '# Clipboard History\n\n## 19.10.2026, 14:03:00 · text\n\n```\nnewer\n```\n\n## 18.10.2026, 09:00:00 · text\n\n```\nolder\n```\n';
+  const items = parseImportFile(Buffer.from(markdown));
+
+  assert.deepEqual(items.map(item => item.text), ['newer', 'older']);
+  assert.ok(items[0].timestamp > items[1].timestamp);
+});
+
+test('HTML exports import text, files and images with their times', () => {
+  const items = parseImportFile(Buffer.from(toHtml(ITEMS, getImagePng)));
+
+  assert.deepEqual(items.map(item => item.type), ['text', 'files', 'text', 'image']);
+  assert.equal(items[0].text, ITEMS[0].text);
+  assert.equal(items[2].text, ITEMS[2].text);
+  assert.deepEqual(items.map(item => item.timestamp), ITEMS.map(item => item.timestamp));
+  assert.equal(Buffer.from(items[3].imageData, 'base64').toString(), PNG.toString());
+});
+
+test('files that are not exports are rejected', () => {
+  assert.throws(() => parseImportFile(Buffer.from('{"hello": 1}')), /not a clipboard history export/);
+  assert.throws(() => parseImportFile(Buffer.from('# Shopping list\n\n- eggs\n')), /not a clipboard history export/);
+  assert.throws(() => parseImportFile(Buffer.from('<!DOCTYPE html><title>Page</title>')), /not a clipboard history export/);
+});
+
+test('planImport skips items already in history or repeated in the file', () => {
+  const plan = planImport([ITEMS[0]], [ITEMS[0], ITEMS[1], { ...ITEMS[1], id: 'e' }]);
+  assert.equal(plan.total, 3);
+  assert.equal(plan.duplicates, 2);
+  assert.deepEqual(plan.newItems.map(item => item.id), ['b']);
+});
+
+test('re-importing a Markdown or HTML export skips the rich text it came from', () => {
+  for (const exported of [toMarkdown(ITEMS), toHtml(ITEMS, getImagePng)]) {
+    const plan = planImport(ITEMS, parseImportFile(Buffer.from(exported)));
+    assert.equal(plan.newItems.filter(item => item.type !== 'image').length, 0);
+  }
+
+  // Rich text in an archive still needs its markup to match
+  const plan = planImport([{ ...ITEMS[2], html: '<b>other</b>' }], [ITEMS[2]]);
+  assert.deepEqual(plan.newItems.map(item => item.id), ['c']);
+});
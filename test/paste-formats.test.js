@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { htmlToMarkdown, normalizePlainText, getAvailableFormats, getPasteContent } = require('../src/paste-formats');
+
+test('htmlToMarkdown converts bullet lists, keeping nesting', () => {
+  const html = '<ul><li>One</li><li>Two<ul><li>Nested</li></ul></li></ul>';
+  assert.equal(htmlToMarkdown(html), '- One\n- Two\n  - Nested');
+});
+
+test('htmlToMarkdown numbers ordered lists', () => {
+  assert.equal(htmlToMarkdown('<ol><li>First</li><li>Second</li></ol>'), '1. First\n2. Second');
+});
+
+test('htmlToMarkdown converts tables with a header row and escapes pipes', () => {
+  const html = '<table><tr><th>Name</th><th>Qty</th></tr><tr><td>Apple</td><td>3</td></tr><tr><td>a|b</td><td>4</td></tr></table>';
+  assert.equal(htmlToMarkdown(html), '| Name | Qty |\n| --- | --- |\n| Apple | 3 |\n| a\\|b | 4 |');
+});
+
+test('htmlToMarkdown keeps code blocks verbatim with their language', () => {
+  const html = '<pre><code class="language-js">const a = 1;\n  if (a) {}\n</code></pre>';
+  assert.equal(htmlToMarkdown(html), '```js\nconst a = 1;\n  if (a) {}\n```');
+});
+
+test('htmlToMarkdown does not escape inside code blocks', () => {
+  assert.equal(htmlToMarkdown('<pre>a * b_c</pre>'), '```\na * b_c\n```');
+});
+
+test('htmlToMarkdown decodes named and numeric entities', () => {
+  const html = '<p>Fish &amp; chips &quot;x&quot; &#8212; &#x27;y&#x27; &hellip;</p>';
+  assert.equal(htmlToMarkdown(html), 'Fish & chips "x" — \'y\' …');
+});
+
+test('htmlToMarkdown escapes decoded markup so it stays text', () => {
+  assert.equal(htmlToMarkdown('<p>&lt;b&gt;not bold&lt;/b&gt;</p>'), '\\<b>not bold\\</b>');
+});
+
+test('htmlToMarkdown leaves unknown entities as written', () => {
+  assert.equal(htmlToMarkdown('<p>caf&eacute;</p>'), 'caf&eacute;');
+});
+
+test('htmlToMarkdown converts inline formatting, links and headings', () => {
+  const html = '<h2>Title</h2><p><b>Bold</b> and <i>em</i> <a href="https://e.com/a_(b)">link</a> <code>x*y</code></p>';
+  assert.equal(htmlToMarkdown(html), '## Title\n\n**Bold** and *em* [link](https://e.com/a_%28b%29) `x*y`');
+});
+
+test('htmlToMarkdown drops scripts and styles', () => {
+  assert.equal(htmlToMarkdown('<style>p { color: red }</style><p>Hi</p><script>alert(1)</script>'), 'Hi');
+});
+
+test('normalizePlainText collapses spaces, blank lines and line endings', () => {
+  assert.equal(normalizePlainText('  a \tb  \r\n\r\n\r\nc  '), 'a b\n\nc');
+});
+
+test('normalizePlainText removes zero-width characters and turns non-breaking spaces into spaces', () => {
+  assert.equal(normalizePlainText('a\u200bb\ufeff\u00a0c'), 'ab c');
+});
+
+test('normalizePlainText copes with missing text', () => {
+  assert.equal(normalizePlainText(undefined), '');
+});
+
+test('getAvailableFormats offers Markdown and HTML only for items with HTML', () => {
+  assert.deepEqual(getAvailableFormats({ type: 'richtext', text: 'x', html: '<b>x</b>' }), ['original', 'plain', 'markdown', 'html']);
+  assert.deepEqual(getAvailableFormats({ type: 'text', text: 'x' }), ['original', 'plain']);
+  assert.deepEqual(getAvailableFormats({ type: 'image' }), ['original']);
+});
+
+test('getPasteContent converts to the asked format', () => {
+  const item = { type: 'richtext', text: ' x  y ', html: '<b>x</b> y' };
+  assert.deepEqual(getPasteContent(item, 'plain'), { text: 'x y' });
+  assert.deepEqual(getPasteContent(item, 'markdown'), { text: '**x** y' });
+  assert.deepEqual(getPasteContent(item, 'html'), { text: '<b>x</b> y' });
+});
+
+test('getPasteContent returns null for the original format and unsupported ones', () => {
+  assert.equal(getPasteContent({ type: 'richtext', text: 'x', html: '<b>x</b>' }, 'original'), null);
+  assert.equal(getPasteContent({ type: 'text', text: 'x' }, 'markdown'), null);
+  assert.equal(getPasteContent({ type: 'image' }, 'plain'), null);
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+
+const { AppleScriptInjector, XdotoolInjector, YdotoolInjector, createPasteInjector } = require('../src/utils/paste-injector');
+
+/**
+ * Stand-in for runCommand that records calls and answers from a table
+ */
+function createFakeRun(outputs = {}) {
+  const calls = [];
+  const run = async (command, args) => {
+    calls.push([command, ...args]);
+    const output = outputs[args[0]];
+    if (output instanceof Error) throw output;
+    return output === undefined ? '' : output;
+  };
+  return { run, calls };
+}
+
+test('createPasteInjector picks the tool for the platform and session', () => {
+  assert.ok(createPasteInjector({ platform: 'darwin', env: {} }) instanceof AppleScriptInjector);
+  assert.ok(createPasteInjector({ platform: 'linux', env: { DISPLAY: ':0' } }) instanceof XdotoolInjector);
+  assert.ok(createPasteInjector({ platform: 'linux', env: { XDG_SESSION_TYPE: 'wayland', DISPLAY: ':0' } }) instanceof YdotoolInjector);
+  assert.ok(createPasteInjector({ platform: 'linux', env: { WAYLAND_DISPLAY: 'wayland-0' } }) instanceof YdotoolInjector);
+  assert.ok(createPasteInjector({ platform: 'linux', env: { WAYLAND_DISPLAY: 'wayland-0', DISPLAY: ':0' } }) instanceof XdotoolInjector);
+  assert.equal(createPasteInjector({ platform: 'win32', env: {} }), null);
+});
+
+test('createPasteInjector hands the runner to the injector', async () => {
+  const { run, calls } = createFakeRun();
+  await createPasteInjector({ platform: 'linux', env: { DISPLAY: ':0' }, run }).sendPaste();
+  assert.deepEqual(calls, [['xdotool', 'key', '--clearmodifiers', 'ctrl+v']]);
+});
+
+test('xdotool captures the active window and gives it focus back before pasting', async () => {
+  const { run, calls } = createFakeRun({ getactivewindow: '48234503' });
+  const injector = new XdotoolInjector(run);
+
+  const target = await injector.captureTarget();
+  await injector.activate(target);
+  await injector.sendPaste();
+
+  assert.equal(target, '48234503');
+  assert.deepEqual(calls, [
+    ['xdotool', 'getactivewindow'],
+    ['xdotool', 'windowactivate', '--sync', '48234503'],
+    ['xdotool', 'key', '--clearmodifiers', 'ctrl+v']
+  ]);
+});
+
+test('osascript activates the captured app by bundle id', async () => {
+  const { run, calls } = createFakeRun();
+  const injector = new AppleScriptInjector(run);
+
+  await injector.activate('com.apple.TextEdit');
+  await injector.sendPaste();
+
+  assert.deepEqual(calls[0], ['osascript', '-e', 'tell application id "com.apple.TextEdit" to activate']);
+  assert.match(calls[1][2], /keystroke "v" using command down/);
+});
+
+test('osascript strips quotes from the bundle id so it cannot break out of the script', async () => {
+  const { run, calls } = createFakeRun();
+  await new AppleScriptInjector(run).activate('evil" to quit\\');
+  assert.equal(calls[0][2], 'tell application id "evil to quit" to activate');
+});
+
+test('ydotool has no target and only sends the key presses', async () => {
+  const { run, calls } = createFakeRun();
+  const injector = new YdotoolInjector(run);
+
+  assert.equal(await injector.captureTarget(), null);
+  await injector.activate(null);
+  await injector.sendPaste();
+
+  assert.deepEqual(calls, [['ydotool', 'key', '29:1', '47:1', '47:0', '29:0']]);
+});
+
+test('failures of the tool reach the caller', async () => {
+  const { run } = createFakeRun({ key: new Error('xdotool failed: not found') });
+  await assert.rejects(new XdotoolInjector(run).sendPaste(), /xdotool failed/);
+});
+
+function hasXdotool() {
+  if (!process.env.DISPLAY) return false;
+  try {
+    execFileSync('xdotool', ['version'], { stdio: 'ignore', timeout: 2000 });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Runs for real under an X server, such as xvfb-run npm test
+test('xdotool runs against a real X display', { skip: !hasXdotool() && 'needs xdotool and an X display' }, async () => {
+  const injector = createPasteInjector({ platform: 'linux', env: { DISPLAY: process.env.DISPLAY } });
+  assert.match(await injector.run('xdotool', ['getdisplaygeometry']), /^\d+ \d+$/);
+  await injector.sendPaste();
+});
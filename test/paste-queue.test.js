@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const PasteQueue = require('../src/paste-queue');
+
+function fill(queue, ...ids) {
+  ids.forEach(id => queue.add({ item: { id }, format: null }));
+}
+
+function drain(queue) {
+  const ids = [];
+  for (let entry = queue.next(); entry; entry = queue.next()) {
+    ids.push(entry.item.id);
+  }
+  return ids;
+}
+
+test('FIFO hands entries out in the order they were added', () => {
+  const queue = new PasteQueue();
+  fill(queue, 'a', 'b', 'c');
+
+  assert.deepEqual(queue.getUpcoming().map(entry => entry.item.id), ['a', 'b', 'c']);
+  assert.deepEqual(drain(queue), ['a', 'b', 'c']);
+});
+
+test('LIFO starts with the most recent entry', () => {
+  const queue = new PasteQueue('lifo');
+  fill(queue, 'a', 'b', 'c');
+
+  assert.deepEqual(queue.getUpcoming().map(entry => entry.item.id), ['c', 'b', 'a']);
+  assert.deepEqual(drain(queue), ['c', 'b', 'a']);
+});
+
+test('the order can change while entries wait', () => {
+  const queue = new PasteQueue();
+  fill(queue, 'a', 'b', 'c');
+  assert.equal(queue.next().item.id, 'a');
+
+  queue.setOrder('lifo');
+  assert.deepEqual(drain(queue), ['c', 'b']);
+  assert.throws(() => queue.setOrder('random'), { message: 'Unknown queue order: random' });
+  assert.equal(new PasteQueue('random').order, 'fifo');
+});
+
+test('an empty queue hands out nothing and counts nothing', () => {
+  const queue = new PasteQueue();
+
+  assert.equal(queue.next(), null);
+  assert.deepEqual(queue.getUpcoming(), []);
+  assert.deepEqual(queue.getPosition(), { pasted: 0, total: 0 });
+});
+
+test('add returns the waiting count and the position tracks the run', () => {
+  const queue = new PasteQueue();
+  assert.equal(queue.add({ item: { id: 'a' } }), 1);
+  assert.equal(queue.add({ item: { id: 'b' } }), 2);
+
+  queue.next();
+  assert.deepEqual(queue.getPosition(), { pasted: 1, total: 2 });
+  queue.next();
+  assert.equal(queue.next(), null);
+  assert.deepEqual(queue.getPosition(), { pasted: 2, total: 2 });
+});
+
+test('remove drops matching entries, wherever they are', () => {
+  const queue = new PasteQueue();
+  fill(queue, 'a', 'secret', 'b', 'secret');
+
+  assert.equal(queue.remove(item => item.id === 'secret'), 2);
+  assert.equal(queue.remove(item => item.id === 'missing'), 0);
+  assert.deepEqual(drain(queue), ['a', 'b']);
+});
+
+test('stop leaves queue mode and drops what was not pasted', () => {
+  const queue = new PasteQueue();
+  queue.start();
+  fill(queue, 'a', 'b');
+  queue.next();
+
+  queue.stop();
+  assert.equal(queue.active, false);
+  assert.equal(queue.next(), null);
+  assert.deepEqual(queue.getPosition(), { pasted: 0, total: 0 });
+});
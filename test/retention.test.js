@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getRetentionPolicy, applyRetentionPolicy, getUsage, validateRetentionPolicy } = require('../src/retention');
+
+const NOW = 1800000000000;
+const HOUR = 60 * 60 * 1000;
+const MB = 1024 * 1024;
+
+function item(id, fields = {}) {
+  return { id, type: 'text', timestamp: NOW, byteSize: 10, ...fields };
+}
+
+function retain(items, policy = {}, historyLimit = 0) {
+  const { kept, removed } = applyRetentionPolicy(items, { policy: getRetentionPolicy(policy), historyLimit, now: NOW });
+  return {
+    kept: kept.map(entry => entry.id),
+    removed: Object.fromEntries(removed.map(({ item: entry, reason }) => [entry.id, reason]))
+  };
+}
+
+test('no policy keeps everything', () => {
+  assert.deepEqual(retain([item('a'), item('b', { type: 'image' })]), { kept: ['a', 'b'], removed: {} });
+});
+
+test('items past their own expiry are removed', () => {
+  const result = retain([item('a', { expiresAt: NOW }), item('b', { expiresAt: NOW + 1 })]);
+  assert.deepEqual(result, { kept: ['b'], removed: { a: 'expired' } });
+});
+
+test('items older than the age limit are removed', () => {
+  const result = retain([item('a', { timestamp: NOW - 2 * HOUR }), item('b', { timestamp: NOW - 3 * HOUR - 1 })], { maxAgeHours: 3 });
+  assert.deepEqual(result, { kept: ['a'], removed: { b: 'age' } });
+});
+
+test('type lifetimes apply to types and subtypes, the shorter one winning', () => {
+  const items = [
+    item('url', { type: 'richtext', subtype: 'url', timestamp: NOW - 2 * HOUR }),
+    item('rich', { type: 'richtext', timestamp: NOW - 2 * HOUR }),
+    item('image', { type: 'image', timestamp: NOW - 2 * HOUR })
+  ];
+  const result = retain(items, { typeLifetimes: { richtext: 5, url: 1, image: 0 } });
+  assert.deepEqual(result, { kept: ['rich', 'image'], removed: { url: 'type-lifetime' } });
+});
+
+test('the history limit keeps the newest items', () => {
+  const result = retain([item('a'), item('b'), item('c')], {}, 2);
+  assert.deepEqual(result, { kept: ['a', 'b'], removed: { c: 'history-limit' } });
+});
+
+test('image and text limits count their own type only', () => {
+  const items = [
+    item('image1', { type: 'image' }),
+    item('text1'),
+    item('image2', { type: 'image' }),
+    item('rich1', { type: 'richtext' }),
+    item('files1', { type: 'files' })
+  ];
+  const result = retain(items, { maxImages: 1, maxTextItems: 1 });
+  assert.deepEqual(result, { kept: ['image1', 'text1', 'files1'], removed: { image2: 'image-limit', rich1: 'text-limit' } });
+});
+
+test('once the storage budget is used up everything older goes', () => {
+  const items = [
+    item('a', { byteSize: 0.6 * MB }),
+    item('b', { byteSize: 0.6 * MB }),
+    item('c', { byteSize: 1 })
+  ];
+  const result = retain(items, { maxStorageMB: 1 });
+  assert.deepEqual(result, { kept: ['a'], removed: { b: 'storage', c: 'storage' } });
+});
+
+test('pinned and collection items are exempt and do not count toward limits', () => {
+  const items = [
+    item('pinned', { pinned: true, timestamp: NOW - 100 * HOUR, expiresAt: NOW - 1, byteSize: 5 * MB, type: 'image' }),
+    item('saved', { collectionIds: ['c1'], timestamp: NOW - 100 * HOUR, byteSize: 5 * MB }),
+    item('a', { type: 'image' }),
+    item('b'),
+    item('c')
+  ];
+  const result = retain(items, { maxAgeHours: 1, maxStorageMB: 1, maxImages: 1, maxTextItems: 1 }, 3);
+  assert.deepEqual(result, { kept: ['pinned', 'saved', 'a', 'b'], removed: { c: 'text-limit' } });
+});
+
+test('usage counts items, types, bytes and the oldest copy', () => {
+  const usage = getUsage([item('a', { timestamp: NOW - HOUR }), item('b', { type: 'image', byteSize: 100 }), item('c', { type: 'files' })]);
+  assert.deepEqual(usage, { items: 3, images: 1, textItems: 1, bytes: 120, oldestTimestamp: NOW - HOUR });
+  assert.equal(getUsage([]).oldestTimestamp, null);
+});
+
+test('policies from the settings window are validated', () => {
+  const policy = validateRetentionPolicy({ maxAgeHours: '24', maxImages: '', typeLifetimes: { url: 2, image: 0 } });
+  assert.deepEqual(policy, { maxAgeHours: 24, maxStorageMB: 0, maxImages: 0, maxTextItems: 0, typeLifetimes: { url: 2 } });
+
+  assert.throws(() => validateRetentionPolicy(null), /must be an object/);
+  assert.throws(() => validateRetentionPolicy({ maxStorageMB: -1 }), /maxStorageMB must be zero or a positive number/);
+  assert.throws(() => validateRetentionPolicy({ typeLifetimes: { video: 1 } }), /Unknown content type: video/);
+  assert.throws(() => validateRetentionPolicy({ typeLifetimes: { url: 'soon' } }), /Lifetime for url/);
+});
@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseQuery, matchesQuery, isRankedQuery, rankItems, getHighlightRanges } = require('../src/search-query');
+
+const NOW = new Date(2026, 9, 19, 12, 0).getTime();
+const DAY = 24 * 60 * 60 * 1000;
+
+const ITEMS = [
+  { id: 'a', type: 'text', text: 'Meeting notes for the clipboard project', timestamp: NOW - 60 * 1000, tags: ['work'], pinned: true },
+  { id: 'b', type: 'richtext', subtype: 'url', text: 'https://example.com/path', timestamp: NOW - DAY },
+  { id: 'c', type: 'image', preview: 'Image', timestamp: NOW - 3 * DAY },
+  { id: 'd', type: 'text', text: 'password: hunter2', sensitive: true, timestamp: NOW - 2 * 60 * 1000, tags: ['secret'] },
+  { id: 'e', type: 'files', text: '/usr/bin/node', files: [{ path: '/usr/bin/node' }], timestamp: new Date(2026, 9, 1, 9, 0).getTime() }
+];
+
+function search(query) {
+  const terms = parseQuery(query, NOW);
+  return ITEMS.filter(item => matchesQuery(item, terms)).map(item => item.id);
+}
+
+test('quoted phrases, regexes and negation are kept whole by the tokenizer', () => {
+  const [phrase, regex, negatedPhrase, path] = parseQuery('"two words" /a b+/i -"not this" /usr/bin', NOW);
+
+  assert.deepEqual(phrase, { kind: 'text', negated: false, text: 'two words' });
+  assert.equal(regex.kind, 'regex');
+  assert.equal(regex.pattern.source, 'a b+');
+  assert.equal(regex.pattern.flags, 'i');
+  assert.deepEqual(negatedPhrase, { kind: 'text', negated: true, text: 'not this' });
+  // Followed by something that is not a list of flags, so a path and not a regex
+  assert.equal(path.kind, 'text');
+  assert.equal(path.text, '/usr/bin');
+});
+
+test('a lone dash is a search word, not a negation', () => {
+  const [term] = parseQuery('-', NOW);
+  assert.equal(term.negated, false);
+  assert.equal(term.text, '-');
+});
+
+test('filters parse into their kinds', () => {
+  const terms = parseQuery('type:URL tag:#Work pinned:no len>=20 after:2026-10-01 before:2026-10-18 on:2026-10-02 today yesterday', NOW);
+
+  assert.deepEqual(terms.map(term => term.kind), ['type', 'tag', 'pinned', 'length', 'date', 'date', 'date', 'date', 'date']);
+  assert.equal(terms[0].type, 'url');
+  assert.equal(terms[1].tag, 'work');
+  assert.equal(terms[2].pinned, false);
+  assert.deepEqual([terms[3].operator, terms[3].length], ['>=', 20]);
+  assert.equal(terms[4].from, new Date(2026, 9, 1).getTime());
+  assert.equal(terms[5].to, new Date(2026, 9, 18).getTime());
+  assert.equal(terms[6].to - terms[6].from, DAY);
+  assert.equal(terms[7].from, new Date(2026, 9, 19).getTime());
+  assert.equal(terms[8].to, terms[7].from);
+});
+
+test('words with a colon that is not a filter stay plain text', () => {
+  const [term] = parseQuery('https://example.com', NOW);
+  assert.equal(term.kind, 'text');
+  assert.ok(term.matcher);
+});
+
+test('invalid queries throw messages meant for the search box', () => {
+  assert.throws(() => parseQuery('"open phrase', NOW), { message: 'Missing closing quote for the phrase at character 1' });
+  assert.throws(() => parseQuery('/(unclosed/', NOW), /^Error: Invalid regex \/\(unclosed\/: Unterminated group$/);
+  assert.throws(() => parseQuery('type:video', NOW), /^Error: Unknown type "video". Use one of: text, richtext, image, files/);
+  assert.throws(() => parseQuery('tag:', NOW), { message: 'tag: needs a tag name, like tag:work' });
+  assert.throws(() => parseQuery('pinned:maybe', NOW), { message: 'pinned: takes yes or no' });
+  assert.throws(() => parseQuery('after:2026-13-01', NOW), { message: 'after: needs a date like 2026-10-01, got "2026-13-01"' });
+  assert.throws(() => parseQuery('on:yesterday', NOW), /^Error: on: needs a date/);
+  assert.throws(() => parseQuery('len>lots', NOW), { message: 'len>lots needs a number, like len>500' });
+});
+
+test('every term has to match', () => {
+  assert.deepEqual(search('meeting'), ['a']);
+  assert.deepEqual(search('meeting tag:work pinned:yes'), ['a']);
+  assert.deepEqual(search('meeting pinned:no'), []);
+  assert.deepEqual(search('type:url'), ['b']);
+  assert.deepEqual(search('type:image'), ['c']);
+  assert.deepEqual(search('"notes for"'), ['a']);
+  assert.deepEqual(search('/exa.ple\\.com/'), ['b']);
+  assert.deepEqual(search('work'), ['a']);
+});
+
+test('negated terms exclude what they match', () => {
+  assert.deepEqual(search('-type:image -type:files -tag:secret'), ['a', 'b']);
+  assert.deepEqual(search('-meeting type:text'), ['d']);
+  assert.deepEqual(search('-/https?:/ -pinned:yes type:richtext'), []);
+});
+
+test('dates and lengths filter by copy time and text length', () => {
+  assert.deepEqual(search('today'), ['a', 'd']);
+  assert.deepEqual(search('yesterday'), ['b']);
+  assert.deepEqual(search('on:2026-10-01'), ['e']);
+  assert.deepEqual(search('before:2026-10-17'), ['c', 'e']);
+  assert.deepEqual(search('after:2026-10-18 len<30'), ['b', 'd']);
+  assert.deepEqual(search('len=13'), ['e']);
+});
+
+test('sensitive items are only found by filters and tags', () => {
+  assert.deepEqual(search('hunter2'), []);
+  assert.deepEqual(search('"password"'), []);
+  assert.deepEqual(search('/hunter/'), []);
+  assert.deepEqual(search('secret'), ['d']);
+  assert.deepEqual(search('tag:secret'), ['d']);
+});
+
+test('fuzzy words rank by match quality; filters keep the order', () => {
+  const items = [
+    { id: 'typo', type: 'text', text: 'clipbaord', timestamp: NOW },
+    { id: 'subsequence', type: 'text', text: 'clip-the-board', timestamp: NOW },
+    { id: 'substring', type: 'text', text: 'the clipboard', timestamp: NOW - DAY }
+  ];
+
+  const fuzzy = parseQuery('clipboard', NOW);
+  assert.ok(isRankedQuery(fuzzy));
+  assert.deepEqual(rankItems(items, fuzzy, NOW).map(item => item.id), ['substring', 'subsequence', 'typo']);
+
+  const filter = parseQuery('type:text', NOW);
+  assert.ok(!isRankedQuery(filter));
+  assert.deepEqual(rankItems(items, filter, NOW).map(item => item.id), ['typo', 'subsequence', 'substring']);
+});
+
+test('highlight ranges cover every matched term, merged and sorted', () => {
+  const text = 'Clipboard board game';
+
+  assert.deepEqual(getHighlightRanges(text, parseQuery('"board"', NOW)), [[4, 9], [10, 15]]);
+  assert.deepEqual(getHighlightRanges(text, parseQuery('/ga.e/ "clip" "pboa"', NOW)), [[0, 7], [16, 20]]);
+  assert.deepEqual(getHighlightRanges(text, parseQuery('-game', NOW)), []);
+});
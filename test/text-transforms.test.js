@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { TRANSFORMS, getTransform, applyChain, validatePreset } = require('../src/text-transforms');
+
+function apply(id, text) {
+  return getTransform(id).apply(text);
+}
+
+test('every transform has a unique id and a label', () => {
+  const ids = TRANSFORMS.map(transform => transform.id);
+  assert.equal(new Set(ids).size, ids.length);
+  assert.ok(TRANSFORMS.every(transform => transform.label && typeof transform.apply === 'function'));
+});
+
+test('trimming and case changes', () => {
+  assert.equal(apply('trim', '  a b \n'), 'a b');
+  assert.equal(apply('trim-lines', ' a \r\n  b\r\n'), 'a\r\nb\r\n');
+  assert.equal(apply('uppercase', 'straße'), 'STRASSE');
+  assert.equal(apply('lowercase', 'ÀB'), 'àb');
+  assert.equal(apply('title-case', "it's the CLIPBOARD-manager"), "It's The Clipboard-Manager");
+});
+
+test('URL and Base64 encoding round-trip, and bad input is reported', () => {
+  assert.equal(apply('url-decode', apply('url-encode', 'a b&c=ü')), 'a b&c=ü');
+  assert.throws(() => apply('url-decode', '%E0%A4%A'), { message: 'Text has an invalid % escape' });
+
+  assert.equal(apply('base64-encode', 'héllo'), 'aMOpbGxv');
+  assert.equal(apply('base64-decode', 'aMOp\nbGxv'), 'héllo');
+  // URL-safe alphabet and missing padding are accepted
+  assert.equal(apply('base64-decode', Buffer.from('??>>').toString('base64url')), '??>>');
+  assert.throws(() => apply('base64-decode', 'not base64!'), { message: 'Text is not Base64' });
+  assert.throws(() => apply('base64-decode', Buffer.from([0xff, 0xfe]).toString('base64')), { message: 'Decoded data is not text' });
+});
+
+test('JSON is pretty-printed or minified, and invalid JSON is reported', () => {
+  assert.equal(apply('json-pretty', '{"a":[1,2]}'), '{\n  "a": [\n    1,\n    2\n  ]\n}');
+  assert.equal(apply('json-minify', '{ "a" : [ 1 ] }'), '{"a":[1]}');
+  assert.throws(() => apply('json-minify', '{a:1}'), /^Error: Text is not valid JSON \(/);
+});
+
+test('line operations keep line endings and a final newline', () => {
+  assert.equal(apply('sort-lines', 'item10\nitem2\nItem1\n'), 'Item1\nitem2\nitem10\n');
+  assert.equal(apply('dedupe-lines', 'b\r\na\r\nb'), 'b\r\na');
+});
+
+test('tracking parameters are removed from every URL in the text', () => {
+  const text = 'See https://example.com/a?utm_source=x&id=5&fbclid=abc#top, and https://example.com/b?gclid=1.';
+  assert.equal(apply('strip-tracking', text), 'See https://example.com/a?id=5#top, and https://example.com/b.');
+  assert.equal(apply('strip-tracking', 'https://example.com/?q=utm_source'), 'https://example.com/?q=utm_source');
+});
+
+test('chains run in order and errors name the failing step', () => {
+  assert.equal(applyChain('  {"b": 1}  ', ['trim', 'json-minify', 'base64-encode']), Buffer.from('{"b":1}').toString('base64'));
+  assert.throws(() => applyChain('{}', ['trim', 'base64-decode']), { message: 'Step 2, Base64-Decode: Text is not Base64' });
+  assert.throws(() => applyChain('x', ['json-pretty']), /^Error: Text is not valid JSON/);
+  assert.throws(() => applyChain('x', []), { message: 'Add at least one transform' });
+  assert.throws(() => applyChain('x', ['rot13']), { message: 'Unknown transform: rot13' });
+  assert.throws(() => applyChain('x', Array(21).fill('trim')), { message: 'Chains are limited to 20 transforms' });
+});
+
+test('presets are normalized and checked', () => {
+  assert.deepEqual(validatePreset({ id: 'p1', name: ' Clean URL ', chain: ['trim', 'strip-tracking'] }), { id: 'p1', name: 'Clean URL', chain: ['trim', 'strip-tracking'] });
+  assert.match(validatePreset({ name: 'New', chain: ['trim'] }).id, /^preset-\d+$/);
+
+  assert.throws(() => validatePreset(null), { message: 'Preset must be an object' });
+  assert.throws(() => validatePreset({ name: '', chain: ['trim'] }), { message: 'Preset needs a name' });
+  assert.throws(() => validatePreset({ name: 'x'.repeat(81), chain: ['trim'] }), { message: 'Preset names are limited to 80 characters' });
+  assert.throws(() => validatePreset({ name: 'Empty', chain: [] }), { message: 'Add at least one transform' });
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { recordActivity, getFrecencyScore, sortItems, getUsageStats } = require('../src/usage-stats');
+
+const NOW = new Date(2026, 9, 19, 12, 0).getTime();
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+function item(id, copyCount, pasteCount, age, fields = {}) {
+  return { id, type: 'text', copyCount, pasteCount, lastSeen: NOW - age, timestamp: NOW - age, ...fields };
+}
+
+test('recent keeps the history order', () => {
+  const items = [item('a', 1, 0, 0), item('b', 9, 9, DAY)];
+  assert.equal(sortItems(items, 'recent', NOW), items);
+});
+
+test('frequent orders by copies and pastes together, keeping ties in order', () => {
+  const items = [item('a', 1, 0, 0), item('b', 2, 3, DAY), item('c', 4, 1, 2 * DAY), item('d', 3, 0, 3 * DAY)];
+  assert.deepEqual(sortItems(items, 'frequent', NOW).map(entry => entry.id), ['b', 'c', 'd', 'a']);
+});
+
+test('frecency weighs pastes double and fades with time since last use', () => {
+  assert.equal(getFrecencyScore(item('a', 1, 1, HOUR), NOW), 300);
+  assert.equal(getFrecencyScore(item('a', 1, 1, 12 * HOUR), NOW), 210);
+  assert.equal(getFrecencyScore(item('a', 1, 1, 3 * DAY), NOW), 150);
+  assert.equal(getFrecencyScore(item('a', 1, 1, 10 * DAY), NOW), 90);
+  assert.equal(getFrecencyScore(item('a', 1, 1, 90 * DAY), NOW), 30);
+  // Items from before usage statistics fall back to their copy time
+  assert.equal(getFrecencyScore({ copyCount: 1, pasteCount: 0, timestamp: NOW }, NOW), 100);
+});
+
+test('frecency puts recent reuse ahead of old heavy use', () => {
+  const items = [
+    item('new', 1, 0, 0),
+    item('reused', 1, 2, 2 * HOUR),
+    item('old-favourite', 10, 5, 60 * DAY)
+  ];
+  assert.deepEqual(sortItems(items, 'frecency', NOW).map(entry => entry.id), ['reused', 'old-favourite', 'new']);
+  assert.deepEqual(sortItems(items, 'frequent', NOW).map(entry => entry.id), ['old-favourite', 'reused', 'new']);
+});
+
+test('activity is counted per day and days past the window are dropped', () => {
+  let activity = recordActivity(undefined, 'copies', NOW);
+  activity = recordActivity(activity, 'copies', NOW);
+  activity = recordActivity(activity, 'pastes', NOW);
+  assert.deepEqual(activity, { '2026-10-19': { copies: 2, pastes: 1 } });
+
+  activity = recordActivity({ ...activity, '2026-09-21': { copies: 5, pastes: 0 }, '2026-09-20': { copies: 7, pastes: 0 } }, 'pastes', NOW + DAY);
+  assert.deepEqual(Object.keys(activity).sort(), ['2026-09-21', '2026-10-19', '2026-10-20']);
+  assert.deepEqual(activity['2026-10-20'], { copies: 0, pastes: 1 });
+});
+
+test('usage stats cover each day, the type mix and the most reused items', () => {
+  const items = [
+    item('a', 3, 1, 0, { subtype: 'url' }),
+    item('b', 1, 0, 0),
+    item('c', 5, 5, 0, { sensitive: true }),
+    item('d', 2, 0, 0, { type: 'image' })
+  ];
+  const stats = getUsageStats(items, { '2026-10-19': { copies: 4, pastes: 2 } }, { days: 3, topCount: 5, now: NOW });
+
+  assert.deepEqual(stats.daily, [
+    { date: '2026-10-17', copies: 0, pastes: 0 },
+    { date: '2026-10-18', copies: 0, pastes: 0 },
+    { date: '2026-10-19', copies: 4, pastes: 2 }
+  ]);
+  assert.deepEqual(stats.types, [{ type: 'text', count: 2 }, { type: 'url', count: 1 }, { type: 'image', count: 1 }]);
+  assert.deepEqual(stats.topItems.map(entry => entry.id), ['a', 'd']);
+});